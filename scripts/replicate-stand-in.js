@@ -0,0 +1,181 @@
+/**
+ * Replicate Stand-in
+ * Local fake of the Replicate predictions API that sends signed webhooks
+ *
+ * Serve (point the backend at it with REPLICATE_BASE_URL=http://localhost:5055/v1):
+ *   node scripts/replicate-stand-in.js
+ *
+ * Replay a recorded webhook payload against a receiver:
+ *   node scripts/replicate-stand-in.js send scripts/fixtures/replicate-prediction-succeeded.json http://localhost:3000/api/replicate/webhook
+ *
+ * Env: STAND_IN_PORT (5055), STAND_IN_STEP_MS (1000), REPLICATE_WEBHOOK_SECRET (shared with the backend)
+ * Prompts containing "[fail]" produce a failed prediction
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PORT = Number(process.env.STAND_IN_PORT || 5055);
+const STEP_MS = Number(process.env.STAND_IN_STEP_MS || 1000);
+const SECRET = process.env.REPLICATE_WEBHOOK_SECRET ||
+  `whsec_${Buffer.from('lana-replicate-stand-in').toString('base64')}`;
+
+const fixtures = {
+  succeeded: require('./fixtures/replicate-prediction-succeeded.json'),
+  failed: require('./fixtures/replicate-prediction-failed.json')
+};
+
+/**
+ * Sign a body the way Replicate does: HMAC-SHA256 over "id.timestamp.body"
+ */
+function sign(id, timestamp, body) {
+  const key = Buffer.from(SECRET.split('_').pop(), 'base64');
+  const signature = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${body}`).digest('base64');
+  return `v1,${signature}`;
+}
+
+async function sendWebhook(url, prediction) {
+  const body = JSON.stringify(prediction);
+  const id = `msg_${crypto.randomUUID()}`;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'webhook-id': id,
+        'webhook-timestamp': timestamp,
+        'webhook-signature': sign(id, timestamp, body)
+      },
+      body
+    });
+    console.log(`[Stand-in] Webhook ${prediction.id} (${prediction.status}) -> ${response.status}`);
+    return response;
+  } catch (error) {
+    console.error(`[Stand-in] Webhook ${prediction.id} failed:`, error.message);
+    return null;
+  }
+}
+
+function serve() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  // { id: prediction }
+  const predictions = new Map();
+
+  const notify = (prediction, event) => {
+    const filter = prediction.webhook_events_filter || ['start', 'output', 'logs', 'completed'];
+    if (prediction.webhook && filter.includes(event)) {
+      sendWebhook(prediction.webhook, prediction);
+    }
+  };
+
+  const toResponse = ({ webhook_events_filter, ...prediction }) => prediction;
+
+  const createPrediction = (req, res) => {
+    const { input = {}, webhook, webhook_events_filter, version } = req.body || {};
+    const model = req.params.owner ? `${req.params.owner}/${req.params.name}` : fixtures.succeeded.model;
+    const outcome = String(input.prompt || '').includes('[fail]') ? 'failed' : 'succeeded';
+    const id = crypto.randomBytes(13).toString('hex');
+    const base = `http://localhost:${PORT}/v1/predictions/${id}`;
+
+    const prediction = {
+      ...fixtures[outcome],
+      id,
+      model,
+      version: version || fixtures[outcome].version,
+      input,
+      status: 'starting',
+      output: null,
+      error: null,
+      logs: '',
+      created_at: new Date().toISOString(),
+      started_at: null,
+      completed_at: null,
+      urls: { get: base, cancel: `${base}/cancel` },
+      webhook,
+      webhook_events_filter
+    };
+    predictions.set(id, prediction);
+
+    setTimeout(() => {
+      if (prediction.status !== 'starting') return;
+      prediction.status = 'processing';
+      prediction.started_at = new Date().toISOString();
+      notify(prediction, 'start');
+    }, STEP_MS);
+
+    setTimeout(() => {
+      if (prediction.status !== 'processing') return;
+      const fixture = fixtures[outcome];
+      Object.assign(prediction, {
+        status: fixture.status,
+        output: fixture.output,
+        error: fixture.error,
+        logs: fixture.logs,
+        metrics: fixture.metrics,
+        completed_at: new Date().toISOString()
+      });
+      notify(prediction, 'completed');
+    }, STEP_MS * 2);
+
+    console.log(`[Stand-in] Created ${id} for ${model} (${outcome})`);
+    res.status(201).json(toResponse(prediction));
+  };
+
+  app.post('/v1/models/:owner/:name/predictions', createPrediction);
+  app.post('/v1/predictions', createPrediction);
+
+  app.get('/v1/predictions/:id', (req, res) => {
+    const prediction = predictions.get(req.params.id);
+    if (!prediction) return res.status(404).json({ detail: 'Not found' });
+    res.json(toResponse(prediction));
+  });
+
+  app.post('/v1/predictions/:id/cancel', (req, res) => {
+    const prediction = predictions.get(req.params.id);
+    if (!prediction) return res.status(404).json({ detail: 'Not found' });
+
+    if (!['succeeded', 'failed', 'canceled'].includes(prediction.status)) {
+      prediction.status = 'canceled';
+      prediction.completed_at = new Date().toISOString();
+      notify(prediction, 'completed');
+    }
+    res.json(toResponse(prediction));
+  });
+
+  app.get('/v1/webhooks/default/secret', (req, res) => {
+    res.json({ key: SECRET });
+  });
+
+  app.listen(PORT, () => {
+    console.log(`[Stand-in] Replicate stand-in on http://localhost:${PORT}/v1`);
+    console.log(`[Stand-in] Webhook secret: ${SECRET}`);
+  });
+}
+
+async function send(fixturePath, url) {
+  if (!fixturePath || !url) {
+    console.error('Usage: node scripts/replicate-stand-in.js send <payload.json> <webhook-url>');
+    process.exit(1);
+  }
+
+  const prediction = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const response = await sendWebhook(url, prediction);
+  if (response) {
+    console.log(await response.text());
+  }
+  process.exit(response?.ok ? 0 : 1);
+}
+
+const [command, ...args] = process.argv.slice(2);
+if (command === 'send') {
+  send(...args);
+} else {
+  serve();
+}
@@ -5,13 +5,24 @@
 
 const express = require('express');
 const cors = require('cors');
+const { randomUUID } = require('crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
 const { config, validateConfig } = require('./src/config/env.config');
+const { createAgentServer } = require('./src/mcp/agent-server');
+const pricingService = require('./src/services/pricing.service');
+const idempotencyService = require('./src/services/idempotency.service');
+const authService = require('./src/services/auth.service');
+const webhookService = require('./src/services/webhook.service');
 const { paymentMiddleware } = require('x402-express');
 const { facilitator } = require("@coinbase/x402");
 
 const app = express();
 const PORT = config.server.port;
 
+// Rate limits key anonymous callers by req.ip, which must be the client's address behind a proxy
+app.set('trust proxy', config.server.trustProxy);
+
 // Middleware
 app.use(cors({
   origin: '*',
@@ -19,6 +30,9 @@ app.use(cors({
   exposedHeaders: ['Mcp-Session-Id']
 }));
 
+// Replicate webhooks need the raw body for signature checks, so they go before the JSON parser
+app.use('/api/replicate', require('./src/routes/replicate.routes'));
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -29,6 +43,9 @@ const cleanupSession = async (sessionId) => {
   const session = mcpSessions.get(sessionId);
   if (!session) return;
 
+  // Removed first: closing the transport fires onclose, which calls back in here
+  mcpSessions.delete(sessionId);
+
   try {
     await session.transport.close?.();
   } catch (error) {
@@ -41,129 +58,291 @@ const cleanupSession = async (sessionId) => {
     console.error('Failed to close MCP server instance', error);
   }
 
-  mcpSessions.delete(sessionId);
   console.log(`🗑️  Cleaned up session: ${sessionId}`);
 };
 
+const mcpError = (res, status, message) => res.status(status).json({
+  jsonrpc: '2.0',
+  error: { code: -32000, message },
+  id: null
+});
+
+// Close sessions that have not made a request within the idle timeout
+const sessionSweeper = setInterval(() => {
+  const cutoff = Date.now() - config.mcp.sessionIdleMs;
+  for (const [sessionId, session] of mcpSessions.entries()) {
+    if (session.lastActivity < cutoff) {
+      console.log(`⌛ MCP session expired: ${sessionId}`);
+      cleanupSession(sessionId);
+    }
+  }
+}, Math.min(config.mcp.sessionIdleMs, 60 * 1000));
+sessionSweeper.unref();
+
+// Every MCP request needs a session token or an API key with the generate scope
+const mcpAuth = authService.middleware({ required: true, scope: 'generate' });
+
+/**
+ * The caller's session: a session belongs to the user who initialized it, others get a 404
+ * Refreshes the session's caller, so its tools are limited and charged to this request's credentials
+ */
+const getOwnedSession = (sessionId, req) => {
+  const session = mcpSessions.get(sessionId);
+  if (!session || session.userId !== req.user.id) return null;
+
+  session.lastActivity = Date.now();
+  Object.assign(session.caller, { user: req.user, auth: req.auth, ip: req.ip });
+  return session;
+};
+
+// MCP Streamable HTTP endpoint: POST carries JSON-RPC messages, the first one must be initialize
+app.post('/mcp', mcpAuth, async (req, res) => {
+  const sessionId = req.headers['mcp-session-id'];
+
+  try {
+    if (sessionId) {
+      const session = getOwnedSession(sessionId, req);
+      if (!session) {
+        return mcpError(res, 404, 'Session not found');
+      }
+
+      return await session.transport.handleRequest(req, res, req.body);
+    }
+
+    if (!isInitializeRequest(req.body)) {
+      return mcpError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+    }
+
+    // Tools read the caller when they run; getOwnedSession keeps it current
+    const userId = req.user.id;
+    const caller = { user: req.user, auth: req.auth, ip: req.ip };
+    const server = createAgentServer({ userId, caller });
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        const now = Date.now();
+        mcpSessions.set(newSessionId, { transport, server, userId, caller, createdAt: now, lastActivity: now });
+        console.log(`🔌 MCP session started: ${newSessionId} (user ${userId})`);
+      }
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        cleanupSession(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('MCP request error:', error);
+    if (!res.headersSent) {
+      mcpError(res, 500, 'Internal server error');
+    }
+  }
+});
+
+// GET opens the server-to-client SSE stream, DELETE ends the session
+const handleMcpSessionRequest = async (req, res) => {
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) {
+    return mcpError(res, 400, 'Bad Request: Mcp-Session-Id header is required');
+  }
+
+  const session = getOwnedSession(sessionId, req);
+  if (!session) {
+    return mcpError(res, 404, 'Session not found');
+  }
+
+  try {
+    await session.transport.handleRequest(req, res);
+  } catch (error) {
+    console.error('MCP request error:', error);
+    if (!res.headersSent) {
+      mcpError(res, 500, 'Internal server error');
+    }
+  }
+};
+
+app.get('/mcp', mcpAuth, handleMcpSessionRequest);
+app.delete('/mcp', mcpAuth, handleMcpSessionRequest);
+
 const x402PayToAddress = process.env.X402_SOLANA_RECEIVING_ADDRESS;
-const x402PriceUsd = process.env.X402_PRICE_USD || '0.06';
-
-const price = Number(x402PriceUsd);
-const formattedPrice = Number.isFinite(price) ? `$${price.toFixed(2)}` : x402PriceUsd;
-
-app.use(paymentMiddleware(
-  x402PayToAddress,
-  {
-    'POST /api/agent/generate-x402-simple': {
-      price: 0.001,
-      network: 'solana',
-      config: {
-        description: 'Create Image with Lana Agent',
-        maxTimeoutSeconds: 120,
-        mimeType: 'application/json',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            prompt: {
-              type: 'string',
-              description: 'Primary creative brief for the image'
-            },
-            referenceImages: {
-              type: 'array',
-              description: 'Optional reference image URLs to steer generation',
-              items: {
-                type: 'string',
-                format: 'uri'
-              }
-            },
-            startWebhookUrl: {
-              type: 'string',
-              description: 'Optional webhook URL to receive updates about the generation'
-            },
-            successWebhookUrl: {
-              type: 'string',
-              description: 'Optional webhook URL to receive updates about the generation when the generation is successful'
-            },
-            failureWebhookUrl: {
-              type: 'string',
-              description: 'Optional webhook URL to receive updates about the generation when the generation fails'
-            },
+
+// Paid generation route; its price comes from the request's quote
+const x402GenerateConfig = {
+  description: 'Create Image with Lana Agent',
+  maxTimeoutSeconds: 120,
+  mimeType: 'application/json',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      quoteId: {
+        type: 'string',
+        description: 'Quote from POST /api/agent/quote; the request is charged its price'
+      },
+      prompt: {
+        type: 'string',
+        description: 'Primary creative brief for the image (as quoted)'
+      },
+      count: {
+        type: 'integer',
+        description: 'Number of images (as quoted, default 1)'
+      },
+      referenceImages: {
+        type: 'array',
+        description: 'Optional reference image URLs to steer generation',
+        items: {
+          type: 'string',
+          format: 'uri'
+        }
+      },
+      startWebhookUrl: {
+        type: 'string',
+        description: 'Optional webhook URL to receive updates about the generation'
+      },
+      successWebhookUrl: {
+        type: 'string',
+        description: 'Optional webhook URL to receive updates about the generation when the generation is successful'
+      },
+      failureWebhookUrl: {
+        type: 'string',
+        description: 'Optional webhook URL to receive updates about the generation when the generation fails'
+      },
+    },
+    required: ['quoteId', 'prompt'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      imageUrl: {
+        type: 'string',
+        format: 'uri',
+        description: 'Generated image URL when success=true'
+      },
+      metadata: {
+        type: 'object',
+        description: 'Model + render metadata returned by the orchestrator',
+        properties: {
+          model: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              fullName: { type: 'string' }
+            }
           },
-          required: ['prompt'],
-          additionalProperties: false
-        },
-        outputSchema: {
-          type: 'object',
-          properties: {
-            success: { type: 'boolean' },
-            imageUrl: {
-              type: 'string',
-              format: 'uri',
-              description: 'Generated image URL when success=true'
-            },
-            metadata: {
-              type: 'object',
-              description: 'Model + render metadata returned by the orchestrator',
-              properties: {
-                model: {
-                  type: 'object',
-                  properties: {
-                    id: { type: 'string' },
-                    name: { type: 'string' },
-                    fullName: { type: 'string' }
-                  }
-                },
-                prompt: { type: 'string' },
-                negativePrompt: { type: 'string', nullable: true },
-                referenceImages: {
-                  type: 'array',
-                  items: { type: 'string', format: 'uri' }
-                },
-                aspectRatio: { type: 'string' },
-                style: { type: 'string' },
-                size: { type: 'string' }
-              }
-            },
-            reasoning: {
-              type: 'string',
-              description: 'LLM explanation of the workflow'
-            },
-            workflow: {
+          prompt: { type: 'string' },
+          negativePrompt: { type: 'string', nullable: true },
+          referenceImages: {
+            type: 'array',
+            items: { type: 'string', format: 'uri' }
+          },
+          aspectRatio: { type: 'string' },
+          style: { type: 'string' },
+          size: { type: 'string' }
+        }
+      },
+      reasoning: {
+        type: 'string',
+        description: 'LLM explanation of the workflow'
+      },
+      workflow: {
+        type: 'object',
+        properties: {
+          toolCalls: {
+            type: 'array',
+            items: {
               type: 'object',
               properties: {
-                toolCalls: {
-                  type: 'array',
-                  items: {
-                    type: 'object',
-                    properties: {
-                      tool: { type: 'string' },
-                      success: { type: 'boolean' }
-                    }
-                  }
-                }
+                tool: { type: 'string' },
+                success: { type: 'boolean' }
               }
-            },
-            error: {
-              type: 'string',
-              description: 'Error message when success=false'
             }
           }
-        },
-        discoverable: true
+        }
+      },
+      error: {
+        type: 'string',
+        description: 'Error message when success=false'
       }
     }
   },
-  facilitator
-));
+  discoverable: true
+};
+
+/**
+ * x402 paywall for quoted generations
+ * The payment requirement is built per request for the quote's price and names the quote
+ * in its resource URL, so a payment made for one quote cannot pay for another
+ * The caller is authenticated first (an optional session or API key scopes its idempotency keys), then
+ * idempotency keys are checked: a replayed request is neither re-charged nor re-validated against its
+ * (by then closed) quote
+ */
+app.post('/api/agent/generate-x402-simple', authService.middleware({ scope: 'generate' }), idempotencyService.middleware(), (req, res, next) => {
+  const { quote, error } = pricingService.resolveQuote(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  req.quote = quote;
+
+  // In on-success mode the route verifies the payment itself and settles only once an image exists
+  if (config.x402.settlement === 'on-success') {
+    return next();
+  }
+
+  const paywall = paymentMiddleware(
+    x402PayToAddress,
+    {
+      'POST /api/agent/generate-x402-simple': {
+        price: quote.priceUsd,
+        network: 'solana',
+        config: {
+          ...x402GenerateConfig,
+          description: `${x402GenerateConfig.description} (${quote.count} x ${quote.model.name}, quote ${quote.id})`,
+          resource: `${req.protocol}://${req.headers.host}${req.path}?quote=${quote.id}`
+        }
+      }
+    },
+    facilitator
+  );
+
+  paywall(req, res, next).catch(next);
+});
 
 // Orchestrator routes (Gemini-powered conversational agent)
 if (config.features.orchestratorEnabled) {
   app.use('/api/agent', require('./src/routes/orchestrator.routes'));
-  console.log('✅ Gemini orchestrator enabled');
+  app.use('/api/jobs', require('./src/routes/jobs.routes'));
+  console.log('✅ Orchestrator enabled');
 } else {
-  console.warn('⚠️  Gemini orchestrator disabled (set GEMINI_API_KEY to enable)');
+  console.warn('⚠️  Orchestrator disabled (configure the LLM provider for every phase to enable)');
 }
 
+// Accounts and sessions (register, login, me)
+app.use('/api/auth', require('./src/routes/auth.routes'));
+
+// Generation history of the signed-in user
+app.use('/api/generations', require('./src/routes/generations.routes'));
+
+// Generated images (content-addressed, immutable)
+app.use('/assets', require('./src/routes/assets.routes'));
+
+// Prepaid credits (x402 top-ups, balance and history)
+app.use('/api/credits', require('./src/routes/credits.routes'));
+
+// Rate limit and quota consumption of the caller
+app.use('/api/usage', require('./src/routes/usage.routes'));
+
+// Outgoing generation webhooks (delivery log and redelivery)
+app.use('/api/webhooks', require('./src/routes/webhooks.routes'));
+
 // Models routes (for fetching and caching model data)
 app.use('/api/models', require('./src/routes/models.routes'));
 console.log('✅ Models API enabled');
@@ -183,17 +362,22 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Session management endpoint
-app.get('/sessions', (req, res) => {
-  const sessions = Array.from(mcpSessions.entries()).map(([id, session]) => ({
-    id,
-    hasTransport: !!session.transport,
-    hasServer: !!session.server
-  }));
+// Session management endpoint: the caller's own MCP sessions
+app.get('/sessions', mcpAuth, (req, res) => {
+  const sessions = Array.from(mcpSessions.entries())
+    .filter(([, session]) => session.userId === req.user.id)
+    .map(([id, session]) => ({
+      id,
+      hasTransport: !!session.transport,
+      hasServer: !!session.server,
+      createdAt: new Date(session.createdAt).toISOString(),
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      expiresAt: new Date(session.lastActivity + config.mcp.sessionIdleMs).toISOString()
+    }));
 
   res.json({
     success: true,
-    count: mcpSessions.size,
+    count: sessions.length,
     sessions
   });
 });
@@ -265,19 +449,65 @@ const startServer = async () => {
     console.log('      2. search-models - Search models by keyword');
     console.log('      3. suggest-prompt - Refine user ideas into prompts');
     console.log('      4. generate-image - Generate image with specified model');
+    if (config.features.orchestratorEnabled) {
+      console.log('      5. orchestrated-generate - Full pipeline with progress notifications');
+    }
     
     if (config.features.orchestratorEnabled) {
       console.log('\n   Orchestrator:');
       console.log('      POST /api/agent/chat - Conversational agent with auto tool calling');
+      console.log('      GET  /api/agent/threads - List conversation threads');
+      console.log('      GET  /api/agent/threads/:id - Fetch a thread with messages');
+      console.log('      PATCH/DELETE /api/agent/threads/:id - Rename or delete a thread');
       console.log('      POST /api/agent/generate - LLM-orchestrated image generation');
       console.log('      GET  /api/agent/status - Check orchestrator status');
+      console.log('      POST /api/jobs - Queue a generation job (returns jobId)');
+      console.log('      GET  /api/jobs/:id - Job status and result');
+      console.log('      GET  /api/jobs/:id/events - Job progress (SSE)');
+      console.log('      POST /api/jobs/:id/cancel - Cancel a running job');
     }
     
+    console.log('\n   Replicate:');
+    console.log(`      POST /api/replicate/webhook - Prediction webhooks (${config.replicate.webhookUrl ? 'enabled' : 'polling mode'})`);
+
+    console.log('\n   Auth:');
+    console.log('      POST /api/auth/register - Create an account (returns a session token)');
+    console.log('      POST /api/auth/login - Sign in');
+    console.log('      GET  /api/auth/me - Current user (Authorization: Bearer <token>)');
+
+    console.log('\n   Generations:');
+    console.log('      GET    /api/generations - Your generation history (?model=&status=&from=&to=&q=)');
+    console.log('      GET    /api/generations/:id - A generation with its images');
+    console.log('      DELETE /api/generations/:id - Delete a generation');
+    console.log('      POST   /api/generations/:id/rerun - Same model and inputs, new seed');
+    console.log('      POST   /api/generations/:id/remix - New instruction with an output as reference');
+
+    console.log('\n   Assets:');
+    console.log(`      GET /assets/:hash - Stored generated images (${config.assets.backend} store)`);
+
+    console.log('\n   Credits:');
+    console.log('      GET  /api/credits?userId= - Balance and history');
+    console.log('      POST /api/credits/topup - Buy credits with an x402 payment');
+    console.log(`      Job billing: ${config.credits.enabled ? 'enabled' : 'disabled'}`);
+
+    console.log('\n   Usage:');
+    console.log('      GET  /api/usage - Daily quota and rate limit buckets of the caller');
+    console.log(`      Rate limits: ${config.rateLimits.enabled ? 'enabled' : 'disabled'}`);
+
+    console.log('\n   Webhooks:');
+    console.log('      GET  /api/webhooks/deliveries - Your delivery log (?status=failed)');
+    console.log('      POST /api/webhooks/deliveries/:id/redeliver - Send one of your deliveries again');
+    console.log(`      Webhooks: ${webhookService.isEnabled() ? 'enabled (signed)' : 'disabled (set WEBHOOK_SIGNING_SECRET)'}`);
+
     console.log('\n   Models API:');
     console.log('      GET /api/models/status - Check cached model data status');
     console.log('      GET /api/models/fetch-source - Fetch models + READMEs (slow, run periodically)');
     console.log('      GET /api/models/generate-summaries - Generate LLM summaries from source');
     console.log('      GET /api/models/list - List models from cache');
+
+    webhookService.resumePending().catch(error => {
+      console.error('[Webhooks] Failed to resume pending deliveries:', error.message);
+    });
   });
 };
 
@@ -0,0 +1,138 @@
+/**
+ * Asset Store Loader
+ * Content-addressed storage for generated images (local filesystem or S3-compatible)
+ *
+ * Assets are keyed by the SHA-256 of their bytes and served from /assets/:hash,
+ * so the same image is stored once and its URL never changes
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config/env.config');
+
+let store;
+
+if (config.assets.backend === 's3') {
+  console.log('🪣 Using S3 asset store');
+  store = require('./s3.store');
+} else {
+  console.log('📁 Using local asset store');
+  store = require('./local.store');
+}
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+function isValidHash(hash) {
+  return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+function getAssetUrl(hash) {
+  return `${config.assets.publicBaseUrl.replace(/\/$/, '')}/assets/${hash}`;
+}
+
+/**
+ * The hash of a URL served from this store (see getAssetUrl), or null for any other URL
+ */
+function hashFromUrl(url) {
+  const prefix = getAssetUrl('');
+  if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+  const hash = url.slice(prefix.length);
+  return isValidHash(hash) ? hash : null;
+}
+
+/**
+ * Detect an image type from its leading bytes
+ */
+function sniffContentType(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'image/gif';
+  }
+  return null;
+}
+
+/**
+ * Store image bytes and return the asset descriptor
+ * The content type is detected from the bytes; anything that is not a PNG, JPEG, WebP or GIF is
+ * refused, since assets are served from the API's own origin
+ */
+async function putBuffer(buffer) {
+  const type = sniffContentType(buffer);
+  if (!type) {
+    throw new Error('Asset is not a PNG, JPEG, WebP or GIF image');
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  await store.put(hash, buffer, type);
+
+  return {
+    hash,
+    url: getAssetUrl(hash),
+    contentType: type,
+    size: buffer.length
+  };
+}
+
+/**
+ * Download a remote file (e.g. a Replicate delivery URL) into the store
+ */
+async function putFromUrl(sourceUrl) {
+  const response = await fetch(sourceUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download asset (${response.status}) from ${sourceUrl}`);
+  }
+
+  const declaredSize = Number(response.headers.get('content-length'));
+  if (declaredSize > config.assets.maxBytes) {
+    throw new Error(`Asset is larger than ${config.assets.maxBytes} bytes`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > config.assets.maxBytes) {
+    throw new Error(`Asset is larger than ${config.assets.maxBytes} bytes`);
+  }
+
+  return await putBuffer(buffer);
+}
+
+/**
+ * Fetch a stored asset: { stream, contentType, size } or null
+ */
+async function getAsset(hash) {
+  if (!isValidHash(hash)) return null;
+  return await store.get(hash);
+}
+
+/**
+ * A stored asset as a base64 data URI, or null when it is not in the store
+ * For services that cannot fetch publicBaseUrl (a localhost default is unreachable from Replicate)
+ */
+async function getAssetDataUri(hash) {
+  const asset = await getAsset(hash);
+  if (!asset) return null;
+
+  const chunks = [];
+  for await (const chunk of asset.stream) {
+    chunks.push(chunk);
+  }
+  return `data:${asset.contentType};base64,${Buffer.concat(chunks).toString('base64')}`;
+}
+
+module.exports = {
+  backend: store.name,
+  isValidHash,
+  hashFromUrl,
+  getAssetUrl,
+  putBuffer,
+  putFromUrl,
+  getAsset,
+  getAssetDataUri
+};
@@ -0,0 +1,64 @@
+/**
+ * Local Filesystem Asset Store
+ * Files live under <dir>/<first two hash chars>/<hash> with a JSON sidecar for the content type
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config/env.config');
+
+class LocalAssetStore {
+  constructor() {
+    this.name = 'local';
+    this.dir = config.assets.local.dir;
+  }
+
+  filePath(hash) {
+    return path.join(this.dir, hash.slice(0, 2), hash);
+  }
+
+  async readMeta(hash) {
+    try {
+      return JSON.parse(await fs.promises.readFile(`${this.filePath(hash)}.json`, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async exists(hash) {
+    return (await this.readMeta(hash)) !== null;
+  }
+
+  async put(hash, body, contentType) {
+    if (await this.exists(hash)) return;
+
+    const filePath = this.filePath(hash);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, body);
+    await fs.promises.rename(tmpPath, filePath);
+
+    // The sidecar is written last: an asset exists once its metadata does
+    await fs.promises.writeFile(`${filePath}.json`, JSON.stringify({
+      contentType,
+      size: body.length,
+      createdAt: new Date().toISOString()
+    }));
+  }
+
+  async get(hash) {
+    const meta = await this.readMeta(hash);
+    if (!meta) return null;
+
+    return {
+      stream: fs.createReadStream(this.filePath(hash)),
+      contentType: meta.contentType,
+      size: meta.size
+    };
+  }
+}
+
+module.exports = new LocalAssetStore();
@@ -0,0 +1,90 @@
+/**
+ * S3-compatible Asset Store
+ * Works with AWS S3 and self-hosted stores such as MinIO (set S3_ENDPOINT + S3_FORCE_PATH_STYLE)
+ */
+
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand
+} = require('@aws-sdk/client-s3');
+const { config } = require('../config/env.config');
+
+class S3AssetStore {
+  constructor() {
+    this.name = 's3';
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const { region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } = config.assets.s3;
+
+      this.client = new S3Client({
+        region,
+        forcePathStyle,
+        ...(endpoint && { endpoint }),
+        // Falls back to the default AWS credential chain when keys are not set
+        ...(accessKeyId && secretAccessKey && {
+          credentials: { accessKeyId, secretAccessKey }
+        })
+      });
+    }
+
+    return this.client;
+  }
+
+  key(hash) {
+    return `${config.assets.s3.prefix}${hash}`;
+  }
+
+  isNotFound(error) {
+    return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+  }
+
+  async exists(hash) {
+    try {
+      await this.getClient().send(new HeadObjectCommand({
+        Bucket: config.assets.s3.bucket,
+        Key: this.key(hash)
+      }));
+      return true;
+    } catch (error) {
+      if (this.isNotFound(error)) return false;
+      throw error;
+    }
+  }
+
+  async put(hash, body, contentType) {
+    if (await this.exists(hash)) return;
+
+    await this.getClient().send(new PutObjectCommand({
+      Bucket: config.assets.s3.bucket,
+      Key: this.key(hash),
+      Body: body,
+      ContentType: contentType,
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+  }
+
+  async get(hash) {
+    try {
+      const response = await this.getClient().send(new GetObjectCommand({
+        Bucket: config.assets.s3.bucket,
+        Key: this.key(hash)
+      }));
+
+      return {
+        stream: response.Body,
+        contentType: response.ContentType,
+        size: response.ContentLength
+      };
+    } catch (error) {
+      if (this.isNotFound(error)) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = new S3AssetStore();
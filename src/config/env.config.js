@@ -4,13 +4,45 @@
  */
 
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Resolve provider + model for an orchestrator phase
+ * LLM_<PHASE>_PROVIDER / LLM_<PHASE>_MODEL override the global LLM_PROVIDER
+ */
+function resolvePhase(phase, geminiModel) {
+  const provider = process.env[`LLM_${phase}_PROVIDER`] || process.env.LLM_PROVIDER || 'gemini';
+  const defaultModels = {
+    gemini: geminiModel,
+    openai: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    fake: 'fake'
+  };
+
+  return {
+    provider,
+    model: process.env[`LLM_${phase}_MODEL`] || defaultModels[provider]
+  };
+}
+
+/**
+ * Read a non-negative integer variable; unset, empty or invalid values (reported by validateConfig) use the default
+ */
+function readCount(name, defaultValue) {
+  return process.env[name] && isValidCount(name) ? Number(process.env[name]) : defaultValue;
+}
+
+function isValidCount(name) {
+  return !process.env[name] || /^\d+$/.test(process.env[name].trim());
+}
 
 const config = {
   // Server Configuration
   server: {
     port: process.env.PORT || 3001,
     env: process.env.NODE_ENV || 'development',
-    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+    frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+    // Express "trust proxy": number of proxy hops in front of the server, so req.ip is the client's address
+    trustProxy: Number(process.env.TRUST_PROXY ?? 0)
   },
 
   // Database Configuration
@@ -31,9 +63,77 @@ const config = {
     maxOutputTokens: 2048
   },
 
+  // OpenAI-compatible Configuration (OpenAI, llama.cpp, vLLM, ...)
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  },
+
+  // LLM provider selection per orchestrator phase ('gemini' | 'openai' | 'fake')
+  llm: {
+    phases: {
+      safety: resolvePhase('SAFETY', 'gemini-flash-latest'),
+      refiner: resolvePhase('REFINER', 'gemini-2.5-pro'),
+      agent: resolvePhase('AGENT', process.env.GEMINI_MODEL || 'gemini-2.5-flash'),
+      chat: resolvePhase('CHAT', process.env.GEMINI_MODEL || 'gemini-2.5-flash')
+    },
+    // Cap on model -> tools -> model rounds in the streaming chat agent
+    maxToolRounds: Number(process.env.CHAT_MAX_TOOL_ROUNDS) || 8
+  },
+
   // Replicate Configuration
   replicate: {
-    apiToken: process.env.REPLICATE_API_TOKEN
+    apiToken: process.env.REPLICATE_API_TOKEN,
+    // Predictions are polled until they finish instead of holding one long request open
+    pollIntervalMs: Number(process.env.REPLICATE_POLL_INTERVAL_MS ?? 1000),
+    predictionTimeoutMs: Number(process.env.REPLICATE_PREDICTION_TIMEOUT_MS ?? 10 * 60 * 1000),
+    // API base URL override, e.g. a local stand-in (scripts/replicate-stand-in.js)
+    baseUrl: process.env.REPLICATE_BASE_URL,
+    // Public URL of POST /api/replicate/webhook; when set, predictions report back via webhook
+    webhookUrl: process.env.REPLICATE_WEBHOOK_URL,
+    // Signing secret (whsec_...); fetched from Replicate when not set
+    webhookSecret: process.env.REPLICATE_WEBHOOK_SECRET,
+    webhookToleranceSeconds: Number(process.env.REPLICATE_WEBHOOK_TOLERANCE_SECONDS ?? 300),
+    // Safety-net poll while waiting for a webhook that may never arrive
+    webhookPollIntervalMs: Number(process.env.REPLICATE_WEBHOOK_POLL_INTERVAL_MS ?? 60 * 1000)
+  },
+
+  // Durable storage for generated images (content-addressed, served from /assets/:hash)
+  assets: {
+    backend: process.env.ASSET_STORE || 'local', // 'local' | 's3'
+    publicBaseUrl: process.env.ASSET_PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`,
+    maxBytes: Number(process.env.ASSET_MAX_BYTES ?? 50 * 1024 * 1024),
+    local: {
+      dir: process.env.ASSET_DIR || path.join(__dirname, '..', '..', 'storage', 'assets')
+    },
+    // S3-compatible object storage (AWS S3, MinIO, R2, ...)
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      // MinIO and most self-hosted stores need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: process.env.S3_PREFIX || 'assets/'
+    }
+  },
+
+  // Generation pipeline
+  generation: {
+    // Extra ranked models tried after the selected model fails
+    maxFallbackAttempts: readCount('GENERATION_MAX_FALLBACKS', 2),
+    // Upper bound for `count` (images per request)
+    maxImagesPerRequest: Number(process.env.GENERATION_MAX_IMAGES ?? 4)
+  },
+
+  // MCP over Streamable HTTP (/mcp)
+  mcp: {
+    // Sessions without a request for this long are closed (default 30 minutes)
+    sessionIdleMs: Number(process.env.MCP_SESSION_IDLE_MS ?? 30 * 60 * 1000),
+    // User whose generations the stdio server (bin/lana-mcp) lists as resources
+    userId: process.env.MCP_USER_ID || null
   },
 
   // Solana Configuration
@@ -54,17 +154,127 @@ const config = {
     priceUsd: process.env.X402_PRICE_USD || '0.06',
     facilitatorUrl: process.env.X402_FACILITATOR_URL || 'https://x402.org/facilitator',
     cdpApiKeyId: process.env.CDP_API_KEY_ID,
-    cdpApiKeySecret: process.env.CDP_API_KEY_SECRET
+    cdpApiKeySecret: process.env.CDP_API_KEY_SECRET,
+    // on-success: verify before generating, settle only when an image was produced
+    // always: x402-express settles every paid request regardless of the result
+    settlement: process.env.X402_SETTLEMENT || 'on-success'
+  },
+
+  // x402 pricing: per-image USD price by model cost tier, scaled by resolution
+  pricing: {
+    tiers: {
+      low: Number(process.env.PRICE_TIER_LOW_USD ?? 0.01),
+      medium: Number(process.env.PRICE_TIER_MEDIUM_USD ?? 0.03),
+      high: Number(process.env.PRICE_TIER_HIGH_USD ?? 0.08)
+    },
+    // Images up to this size cost the tier price; larger ones pay proportionally more
+    baseMegapixels: Number(process.env.PRICE_BASE_MEGAPIXELS ?? 1),
+    // Quotes must be paid within this window (default 10 minutes)
+    quoteTtlMs: Number(process.env.PRICE_QUOTE_TTL_MS ?? 10 * 60 * 1000),
+    // Open quotes kept in memory; the oldest are dropped beyond this
+    maxOpenQuotes: Number(process.env.PRICE_MAX_OPEN_QUOTES ?? 10000)
+  },
+
+  // Prepaid credits (USD balance topped up through x402)
+  credits: {
+    // When enabled, every generation not paid through x402 is charged to the user's balance
+    enabled: process.env.CREDITS_ENABLED === 'true',
+    minTopupUsd: Number(process.env.CREDITS_MIN_TOPUP_USD ?? 1),
+    maxTopupUsd: Number(process.env.CREDITS_MAX_TOPUP_USD ?? 100)
+  },
+
+  // Idempotency-Key handling on paid and generation endpoints
+  idempotency: {
+    // Stored responses are replayed for this long (default 24 hours)
+    ttlMs: Number(process.env.IDEMPOTENCY_TTL_MS ?? 24 * 60 * 60 * 1000),
+    // A retry waits this long for the original request to finish before giving up with a 409
+    waitTimeoutMs: Number(process.env.IDEMPOTENCY_WAIT_TIMEOUT_MS ?? 2 * 60 * 1000),
+    pollIntervalMs: 500
+  },
+
+  // Accounts and session tokens (/api/auth)
+  auth: {
+    // HMAC key for session tokens (required in production); without it a random key is used and sessions end on restart
+    tokenSecret: process.env.AUTH_TOKEN_SECRET,
+    tokenTtlSeconds: Number(process.env.AUTH_TOKEN_TTL_SECONDS ?? 7 * 24 * 60 * 60),
+    // Accounts allowed the models:admin scope (comma-separated usernames)
+    adminUsernames: (process.env.ADMIN_USERNAMES || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean)
+  },
+
+  // Rate limits (per API key, user or IP) and daily generation quotas (per user or IP)
+  rateLimits: {
+    enabled: process.env.RATE_LIMITS_ENABLED !== 'false',
+    // Token buckets per route: burst capacity, refilled continuously at refillPerMinute
+    routes: {
+      generate: {
+        capacity: Number(process.env.RATE_LIMIT_GENERATE_BURST ?? 5),
+        refillPerMinute: Number(process.env.RATE_LIMIT_GENERATE_PER_MINUTE ?? 5)
+      },
+      chat: {
+        capacity: Number(process.env.RATE_LIMIT_CHAT_BURST ?? 20),
+        refillPerMinute: Number(process.env.RATE_LIMIT_CHAT_PER_MINUTE ?? 20)
+      },
+      // Quoting without a model runs the LLM prompt refiner
+      quote: {
+        capacity: Number(process.env.RATE_LIMIT_QUOTE_BURST ?? 10),
+        refillPerMinute: Number(process.env.RATE_LIMIT_QUOTE_PER_MINUTE ?? 10)
+      }
+    },
+    // Generations per UTC day by plan; callers without an account are on the anonymous plan
+    plans: {
+      anonymous: Number(process.env.QUOTA_ANONYMOUS_DAILY ?? 10),
+      free: Number(process.env.QUOTA_FREE_DAILY ?? 50),
+      pro: Number(process.env.QUOTA_PRO_DAILY ?? 1000)
+    },
+    // Plan of accounts without one set (users.plan)
+    defaultPlan: process.env.DEFAULT_PLAN || 'free'
+  },
+
+  // Outgoing start/success/failure webhooks of the generation routes
+  webhooks: {
+    // Webhook URLs are refused when disabled; enabled webhooks need the signing secret, nothing is sent unsigned
+    enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+    // HMAC-SHA256 signing key (Standard Webhooks: a whsec_<base64> key or any string)
+    secret: process.env.WEBHOOK_SIGNING_SECRET,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS ?? 6),
+    // First retry delay, doubled on every attempt (1s, 2s, 4s, ...)
+    initialBackoffMs: Number(process.env.WEBHOOK_INITIAL_BACKOFF_MS ?? 1000),
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS ?? 10000),
+    // Private, loopback and link-local targets are refused unless explicitly allowed (local development)
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
   },
 
   // Feature Flags
   features: {
-    orchestratorEnabled: !!process.env.GEMINI_API_KEY,
+    orchestratorEnabled: false, // Resolved below from the LLM phase providers
     paymentsEnabled: !!process.env.X402_SOLANA_RECEIVING_ADDRESS,
     imageGenerationEnabled: !!process.env.REPLICATE_API_TOKEN
   }
 };
 
+/**
+ * Check whether a provider has the credentials it needs
+ */
+function isProviderConfigured(provider) {
+  switch (provider) {
+    case 'gemini':
+      return !!config.gemini.apiKey;
+    case 'openai':
+      // Local OpenAI-compatible servers usually run without an API key
+      return !!config.openai.apiKey || !!process.env.OPENAI_BASE_URL;
+    case 'fake':
+      return true;
+    default:
+      return false;
+  }
+}
+
+config.features.orchestratorEnabled = Object.values(config.llm.phases)
+  .every(phase => isProviderConfigured(phase.provider));
+
 // Validation
 function validateConfig() {
   const warnings = [];
@@ -74,14 +284,41 @@ function validateConfig() {
     warnings.push('REPLICATE_API_TOKEN not set - image generation will fail');
   }
 
-  if (!config.gemini.apiKey) {
-    warnings.push('GEMINI_API_KEY not set - orchestrator disabled');
+  for (const [phase, { provider }] of Object.entries(config.llm.phases)) {
+    if (!['gemini', 'openai', 'fake'].includes(provider)) {
+      errors.push(`Unknown LLM provider "${provider}" for ${phase} phase`);
+    } else if (!isProviderConfigured(provider)) {
+      warnings.push(`${provider} provider for ${phase} phase is not configured - orchestrator disabled`);
+    }
+  }
+
+  if (!['local', 's3'].includes(config.assets.backend)) {
+    errors.push(`Unknown ASSET_STORE "${config.assets.backend}" (expected local or s3)`);
+  } else if (config.assets.backend === 's3' && !config.assets.s3.bucket) {
+    errors.push('S3_BUCKET is required when ASSET_STORE=s3');
+  }
+
+  if (!isValidCount('GENERATION_MAX_FALLBACKS')) {
+    errors.push(`GENERATION_MAX_FALLBACKS must be a non-negative integer, got "${process.env.GENERATION_MAX_FALLBACKS}" - using ${config.generation.maxFallbackAttempts}`);
   }
 
   if (!config.x402.receivingAddress) {
     warnings.push('X402_SOLANA_RECEIVING_ADDRESS not set - payments disabled');
   }
 
+  if (!config.auth.tokenSecret) {
+    // A random key ends every session on restart and differs between instances
+    if (config.server.env === 'production') {
+      errors.push('AUTH_TOKEN_SECRET is required in production');
+    } else {
+      warnings.push('AUTH_TOKEN_SECRET not set - sessions are signed with a random key and end on restart');
+    }
+  }
+
+  if (config.webhooks.enabled && !config.webhooks.secret) {
+    errors.push('WEBHOOK_SIGNING_SECRET is required while webhooks are enabled (WEBHOOKS_ENABLED=false turns them off) - webhook URLs are refused');
+  }
+
   if (!config.x402.cdpApiKeyId || !config.x402.cdpApiKeySecret) {
     warnings.push('CDP_API_KEY_ID or CDP_API_KEY_SECRET not set - x402 facilitator may fail');
   }
@@ -91,6 +328,7 @@ function validateConfig() {
 
 module.exports = {
   config,
-  validateConfig
+  validateConfig,
+  isProviderConfigured
 };
 
@@ -12,6 +12,13 @@ CREATE TABLE IF NOT EXISTS users (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Registered accounts log in with a password; placeholder profiles have none
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_account_username ON users(LOWER(username)) WHERE password_hash IS NOT NULL;
+
+-- Quota plan (config.rateLimits.plans); NULL means the default plan
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plan VARCHAR(50);
+
 -- Wallets table (for tracking)
 CREATE TABLE IF NOT EXISTS wallets (
   address VARCHAR(255) PRIMARY KEY,
@@ -49,6 +56,16 @@ CREATE TABLE IF NOT EXISTS generations (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Replicate prediction backing a generation (matched by the webhook receiver)
+ALTER TABLE generations ADD COLUMN IF NOT EXISTS prediction_id VARCHAR(255);
+
+-- Every Replicate prediction of a generation (a run with count > 1 has several), for the webhook receiver
+CREATE TABLE IF NOT EXISTS generation_predictions (
+  prediction_id VARCHAR(255) PRIMARY KEY,
+  job_id VARCHAR(255) NOT NULL REFERENCES generations(job_id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Conversations table (for chat history)
 CREATE TABLE IF NOT EXISTS conversations (
   id SERIAL PRIMARY KEY,
@@ -58,6 +75,19 @@ CREATE TABLE IF NOT EXISTS conversations (
   timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Conversation threads (named chats per user)
+CREATE TABLE IF NOT EXISTS conversation_threads (
+  id VARCHAR(255) PRIMARY KEY,
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL DEFAULT 'New conversation',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Messages belong to a thread and carry tool calls / generated images
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS thread_id VARCHAR(255) REFERENCES conversation_threads(id) ON DELETE CASCADE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS metadata JSONB;
+
 -- User data table (for temporary data like suggestions)
 CREATE TABLE IF NOT EXISTS user_data (
   user_id VARCHAR(255) REFERENCES users(id),
@@ -68,14 +98,84 @@ CREATE TABLE IF NOT EXISTS user_data (
   PRIMARY KEY (user_id, key)
 );
 
+-- API keys for programmatic clients (only the SHA-256 of the key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id VARCHAR(255) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  prefix VARCHAR(32) NOT NULL, -- first characters of the key, shown in listings and logs
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes JSONB NOT NULL DEFAULT '[]', -- 'generate', 'chat', 'models:admin'
+  last_used_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Idempotency keys: the first request with a key stores its response, retries replay it
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  scope VARCHAR(255) NOT NULL, -- 'POST /api/jobs user:<id>', 'POST /api/jobs ip:<ip>', ...
+  key VARCHAR(255) NOT NULL,
+  fingerprint VARCHAR(64) NOT NULL, -- sha256 of the request payload
+  status VARCHAR(50) DEFAULT 'in_progress', -- 'in_progress' or 'completed'
+  response_status INTEGER,
+  response_headers JSONB,
+  response_body JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (scope, key)
+);
+
+-- Rate limit token buckets ('generate:key:<id>', 'chat:ip:<address>', ...)
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key VARCHAR(255) PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Daily generation counts per quota subject ('user:<id>' or 'ip:<address>')
+CREATE TABLE IF NOT EXISTS usage_counters (
+  subject VARCHAR(255) NOT NULL,
+  day DATE NOT NULL,
+  generations INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (subject, day)
+);
+
+-- Outgoing webhook deliveries (one row per event, retried with backoff and redeliverable)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id VARCHAR(255) PRIMARY KEY, -- sent as webhook-id, stable across retries
+  user_id VARCHAR(255) REFERENCES users(id) ON DELETE CASCADE, -- caller of the generation; NULL when anonymous
+  event VARCHAR(100) NOT NULL, -- 'generation.started', 'generation.succeeded', 'generation.failed'
+  url TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'delivered', 'failed' or 'blocked'
+  attempts INTEGER DEFAULT 0,
+  last_status_code INTEGER,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_transactions_user_id ON transactions(user_id);
 CREATE INDEX IF NOT EXISTS idx_transactions_wallet ON transactions(wallet_address);
 CREATE INDEX IF NOT EXISTS idx_generations_user_id ON generations(user_id);
 CREATE INDEX IF NOT EXISTS idx_generations_wallet ON generations(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_generations_prediction_id ON generations(prediction_id);
+CREATE INDEX IF NOT EXISTS idx_generation_predictions_job_id ON generation_predictions(job_id);
+CREATE INDEX IF NOT EXISTS idx_generations_request_id ON generations((metadata->>'requestId'));
+CREATE INDEX IF NOT EXISTS idx_generations_user_created_at ON generations(user_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_conversations_user_id ON conversations(user_id);
 CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp);
+CREATE INDEX IF NOT EXISTS idx_conversations_thread_id ON conversations(thread_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_threads_user_id ON conversation_threads(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_data_user_id ON user_data(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_id ON webhook_deliveries(user_id, created_at DESC);
 
 -- Update timestamp trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -95,6 +195,14 @@ DROP TRIGGER IF EXISTS update_generations_updated_at ON generations;
 CREATE TRIGGER update_generations_updated_at BEFORE UPDATE ON generations
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_conversation_threads_updated_at ON conversation_threads;
+CREATE TRIGGER update_conversation_threads_updated_at BEFORE UPDATE ON conversation_threads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_user_data_updated_at ON user_data;
 CREATE TRIGGER update_user_data_updated_at BEFORE UPDATE ON user_data
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
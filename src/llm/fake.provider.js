@@ -0,0 +1,148 @@
+/**
+ * Fake LLM Provider
+ * Deterministic, offline responses for tests and local development
+ * Responses can be scripted per phase; otherwise each phase gets a canned answer
+ */
+
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    // Scripted responses: { phase: [ { text, functionCalls } ] }
+    this.scripts = new Map();
+    // Every request received, newest last (for assertions in tests)
+    this.calls = [];
+  }
+
+  /**
+   * Queue responses for a phase; they are consumed in order before falling back to defaults
+   */
+  script(phase, responses) {
+    const queue = this.scripts.get(phase) || [];
+    queue.push(...responses);
+    this.scripts.set(phase, queue);
+  }
+
+  reset() {
+    this.scripts.clear();
+    this.calls = [];
+  }
+
+  toResult({ text = '', functionCalls = [] }) {
+    return {
+      text,
+      functionCalls,
+      parts: [
+        ...(text ? [{ text }] : []),
+        ...functionCalls.map(functionCall => ({ functionCall }))
+      ]
+    };
+  }
+
+  /**
+   * Collect the plain text of all user turns, newest last
+   */
+  getUserTexts(contents = []) {
+    return contents
+      .filter(entry => entry.role !== 'model')
+      .map(entry => (entry.parts || []).filter(part => part.text).map(part => part.text).join(''))
+      .filter(Boolean);
+  }
+
+  respondSafety() {
+    return { text: JSON.stringify({ safe: true, reason: '', category: 'safe', confidence: 1.0 }) };
+  }
+
+  respondRefiner(contents) {
+    const userText = this.getUserTexts(contents).pop() || '';
+    const prompt = userText.match(/USER PROMPT: "([\s\S]*?)"/)?.[1] || userText;
+    const referenceCount = Number(userText.match(/REFERENCE IMAGES: (\d+)/)?.[1] || 0);
+    const inpaint = userText.includes('SOURCE IMAGE and MASK');
+
+    return {
+      text: JSON.stringify({
+        mode: inpaint ? 'inpaint' : referenceCount > 0 ? 'image_to_image' : 'text_to_image',
+        title: prompt.split(/\s+/).slice(0, 6).join(' ') || 'Untitled',
+        refined_prompt: prompt,
+        aspect_ratio: '1:1',
+        style: 'photorealistic',
+        preferred_model: null,
+        modelRequirements: {
+          minQuality: 'good',
+          styleFocus: ['photorealistic'],
+          speedPreference: null
+        }
+      })
+    };
+  }
+
+  /**
+   * Walk the list_models -> generate_image workflow based on the last tool result
+   */
+  respondWithTools(contents) {
+    const lastEntry = contents[contents.length - 1];
+    const lastResponse = (lastEntry?.parts || []).find(part => part.functionResponse)?.functionResponse;
+
+    if (!lastResponse) {
+      return { functionCalls: [{ name: 'list_models', args: {} }] };
+    }
+
+    if (lastResponse.name === 'list_models') {
+      const model = lastResponse.response?.models?.[0];
+      if (!model) {
+        return { text: 'No models are available right now.' };
+      }
+
+      const firstUserText = this.getUserTexts(contents)[0] || '';
+      let spec = {};
+      try {
+        spec = JSON.parse(firstUserText.slice(firstUserText.indexOf('{')));
+      } catch (error) {
+        spec = {};
+      }
+
+      return {
+        functionCalls: [{
+          name: 'generate_image',
+          args: {
+            modelId: model.id,
+            prompt: spec.refined_prompt || this.getUserTexts(contents).filter(text => !text.startsWith('Available models')).pop() || 'image',
+            title: spec.title || 'Untitled',
+            referenceImages: spec.referenceImages || [],
+            aspectRatio: spec.aspect_ratio || '1:1'
+          }
+        }]
+      };
+    }
+
+    if (lastResponse.response?.success) {
+      return { text: `Here is your image: ${lastResponse.response.imageUrl}` };
+    }
+
+    return { text: `The ${lastResponse.name} tool failed: ${lastResponse.response?.error || 'unknown error'}` };
+  }
+
+  respond({ phase, contents, tools }) {
+    const queue = this.scripts.get(phase);
+    if (queue && queue.length > 0) {
+      return this.toResult(queue.shift());
+    }
+
+    if (phase === 'safety') return this.toResult(this.respondSafety());
+    if (phase === 'refiner') return this.toResult(this.respondRefiner(contents));
+    if (tools && tools.length > 0) return this.toResult(this.respondWithTools(contents));
+
+    return this.toResult({ text: this.getUserTexts(contents).pop() || '' });
+  }
+
+  async generate(request) {
+    this.calls.push(request);
+    return this.respond(request);
+  }
+
+  async *stream(request) {
+    this.calls.push(request);
+    yield this.respond(request);
+  }
+}
+
+module.exports = new FakeProvider();
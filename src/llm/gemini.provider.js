@@ -0,0 +1,92 @@
+/**
+ * Gemini LLM Provider
+ * Thin wrapper around @google/genai using the shared request format
+ */
+
+const { GoogleGenAI } = require('@google/genai');
+const { config } = require('../config/env.config');
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.client = null;
+  }
+
+  getClient() {
+    if (!config.gemini.apiKey) {
+      throw new Error(
+        'GEMINI_API_KEY is not configured. Set it in your environment to enable the orchestrator agent.'
+      );
+    }
+
+    if (!this.client) {
+      this.client = new GoogleGenAI({ apiKey: config.gemini.apiKey });
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Build the Gemini request config from a provider request
+   */
+  buildConfig({ systemInstruction, temperature, maxOutputTokens, tools }) {
+    const configOptions = {
+      generationConfig: {
+        temperature,
+        maxOutputTokens
+      }
+    };
+
+    if (systemInstruction) {
+      configOptions.systemInstruction = {
+        parts: [{ text: systemInstruction }]
+      };
+    }
+
+    if (tools && tools.length > 0) {
+      configOptions.tools = tools;
+    }
+
+    return configOptions;
+  }
+
+  /**
+   * Extract text and function calls from a list of content parts
+   */
+  parseParts(parts = []) {
+    return {
+      text: parts.filter(part => part.text).map(part => part.text).join(''),
+      functionCalls: parts.filter(part => part.functionCall).map(part => part.functionCall),
+      parts
+    };
+  }
+
+  async generate({ model, contents, ...request }) {
+    const ai = this.getClient();
+
+    const response = await ai.models.generateContent({
+      model,
+      contents,
+      config: this.buildConfig(request)
+    });
+
+    return this.parseParts(response.candidates?.[0]?.content?.parts || []);
+  }
+
+  async *stream({ model, contents, ...request }) {
+    const ai = this.getClient();
+
+    const response = await ai.models.generateContentStream({
+      model,
+      contents,
+      config: this.buildConfig(request)
+    });
+
+    for await (const chunk of response) {
+      const parts = (chunk.candidates || []).flatMap(candidate => candidate.content?.parts || []);
+      yield this.parseParts(parts);
+    }
+  }
+}
+
+module.exports = new GeminiProvider();
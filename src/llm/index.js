@@ -0,0 +1,65 @@
+/**
+ * LLM Provider Loader
+ * Resolves the provider and model configured for each orchestrator phase
+ *
+ * Requests use the Gemini contents format:
+ *   { systemInstruction, contents: [{ role: 'user' | 'model', parts }], tools, temperature, maxOutputTokens }
+ * Results: { text, functionCalls: [{ id?, name, args }], parts }
+ */
+
+const { config } = require('../config/env.config');
+
+const providers = {
+  gemini: () => require('./gemini.provider'),
+  openai: () => require('./openai.provider'),
+  fake: () => require('./fake.provider')
+};
+
+/**
+ * Get a provider instance by name
+ */
+function getProvider(name) {
+  const load = providers[name];
+  if (!load) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return load();
+}
+
+/**
+ * Get the provider + model configured for a phase
+ */
+function getPhase(phase) {
+  const phaseConfig = config.llm.phases[phase];
+  if (!phaseConfig) {
+    throw new Error(`Unknown LLM phase: ${phase}`);
+  }
+
+  return {
+    provider: getProvider(phaseConfig.provider),
+    model: phaseConfig.model
+  };
+}
+
+/**
+ * Single-shot generation for a phase
+ */
+async function generate(phase, request) {
+  const { provider, model } = getPhase(phase);
+  return await provider.generate({ ...request, model, phase });
+}
+
+/**
+ * Streaming generation for a phase (async iterable of partial results)
+ */
+function stream(phase, request) {
+  const { provider, model } = getPhase(phase);
+  return provider.stream({ ...request, model, phase });
+}
+
+module.exports = {
+  generate,
+  stream,
+  getProvider,
+  getPhase
+};
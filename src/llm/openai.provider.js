@@ -0,0 +1,233 @@
+/**
+ * OpenAI-compatible LLM Provider
+ * Works with OpenAI and local servers exposing /chat/completions (llama.cpp, vLLM, ...)
+ * Requests use the shared (Gemini-shaped) contents format and are translated here
+ */
+
+const { randomUUID } = require('crypto');
+const { config } = require('../config/env.config');
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  /**
+   * Translate Gemini-style contents into chat completion messages
+   */
+  toMessages(systemInstruction, contents = []) {
+    const messages = [];
+    // OpenAI requires tool results to reference the id of the call they answer
+    const pendingCallIds = [];
+
+    if (systemInstruction) {
+      messages.push({ role: 'system', content: systemInstruction });
+    }
+
+    for (const entry of contents) {
+      const parts = entry.parts || [];
+      const text = parts.filter(part => part.text).map(part => part.text).join('');
+
+      if (entry.role === 'model') {
+        const functionCalls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+        const message = { role: 'assistant', content: text || null };
+
+        if (functionCalls.length > 0) {
+          message.tool_calls = functionCalls.map((call) => {
+            const id = call.id || `call_${randomUUID()}`;
+            pendingCallIds.push({ id, name: call.name });
+            return {
+              id,
+              type: 'function',
+              function: {
+                name: call.name,
+                arguments: JSON.stringify(call.args || {})
+              }
+            };
+          });
+        }
+
+        messages.push(message);
+        continue;
+      }
+
+      const functionResponses = parts.filter(part => part.functionResponse).map(part => part.functionResponse);
+      for (const response of functionResponses) {
+        const index = pendingCallIds.findIndex(call =>
+          response.id ? call.id === response.id : call.name === response.name
+        );
+        const [pending] = index >= 0 ? pendingCallIds.splice(index, 1) : [];
+
+        messages.push({
+          role: 'tool',
+          tool_call_id: response.id || pending?.id || `call_${randomUUID()}`,
+          content: JSON.stringify(response.response)
+        });
+      }
+
+      const images = parts.filter(part => part.inlineData);
+      if (images.length > 0) {
+        messages.push({
+          role: 'user',
+          content: [
+            ...(text ? [{ type: 'text', text }] : []),
+            ...images.map(part => ({
+              type: 'image_url',
+              image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` }
+            }))
+          ]
+        });
+      } else if (text) {
+        messages.push({ role: 'user', content: text });
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Translate Gemini functionDeclarations into chat completion tools
+   */
+  toTools(tools = []) {
+    return tools
+      .flatMap(tool => tool.functionDeclarations || [])
+      .map(declaration => ({
+        type: 'function',
+        function: {
+          name: declaration.name,
+          description: declaration.description,
+          parameters: declaration.parameters || { type: 'object', properties: {} }
+        }
+      }));
+  }
+
+  buildBody({ model, systemInstruction, contents, temperature, maxOutputTokens, tools }, stream) {
+    const body = {
+      model,
+      messages: this.toMessages(systemInstruction, contents),
+      stream
+    };
+
+    if (temperature !== undefined) body.temperature = temperature;
+    if (maxOutputTokens !== undefined) body.max_tokens = maxOutputTokens;
+
+    const openaiTools = this.toTools(tools);
+    if (openaiTools.length > 0) {
+      body.tools = openaiTools;
+    }
+
+    return body;
+  }
+
+  async post(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.openai.apiKey) {
+      headers.Authorization = `Bearer ${config.openai.apiKey}`;
+    }
+
+    const response = await fetch(`${config.openai.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`OpenAI-compatible request failed (${response.status}): ${errorText.substring(0, 200)}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Convert chat completion tool calls into Gemini-style function calls
+   */
+  parseToolCalls(toolCalls = []) {
+    return toolCalls.map((call) => {
+      let args = {};
+      try {
+        args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+      } catch (error) {
+        console.warn('[LLM - OpenAI] Could not parse tool call arguments:', call.function?.arguments);
+      }
+
+      return {
+        id: call.id,
+        name: call.function?.name,
+        args
+      };
+    });
+  }
+
+  toResult(text, functionCalls) {
+    return {
+      text,
+      functionCalls,
+      parts: [
+        ...(text ? [{ text }] : []),
+        ...functionCalls.map(functionCall => ({ functionCall }))
+      ]
+    };
+  }
+
+  async generate(request) {
+    const response = await this.post(this.buildBody(request, false));
+    const data = await response.json();
+    const message = data.choices?.[0]?.message || {};
+
+    return this.toResult(message.content || '', this.parseToolCalls(message.tool_calls));
+  }
+
+  async *stream(request) {
+    const response = await this.post(this.buildBody(request, true));
+    const decoder = new TextDecoder();
+    // Tool call fragments arrive spread over many deltas, keyed by index
+    const toolCalls = [];
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        let data;
+        try {
+          data = JSON.parse(payload);
+        } catch (error) {
+          console.warn('[LLM - OpenAI] Skipping malformed stream chunk');
+          continue;
+        }
+
+        const delta = data.choices?.[0]?.delta || {};
+
+        for (const fragment of delta.tool_calls || []) {
+          const index = fragment.index ?? toolCalls.length;
+          if (!toolCalls[index]) {
+            toolCalls[index] = { id: fragment.id, function: { name: '', arguments: '' } };
+          }
+          if (fragment.id) toolCalls[index].id = fragment.id;
+          if (fragment.function?.name) toolCalls[index].function.name += fragment.function.name;
+          if (fragment.function?.arguments) toolCalls[index].function.arguments += fragment.function.arguments;
+        }
+
+        if (delta.content) {
+          yield this.toResult(delta.content, []);
+        }
+      }
+    }
+
+    const functionCalls = this.parseToolCalls(toolCalls.filter(Boolean));
+    if (functionCalls.length > 0) {
+      yield this.toResult('', functionCalls);
+    }
+  }
+}
+
+module.exports = new OpenAIProvider();
@@ -1,12 +1,24 @@
 /**
  * MCP Agent Server
- * MCP server with 5 core tools for wallet and image generation
+ * MCP server with core tools for image generation, plus model and generation resources
  */
 
 const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { z } = require('zod');
-const { executeTool } = require('../services/tool-executor.service');
+const { executeTool, parseInpaintInput, describeImageSource } = require('../services/tool-executor.service');
+const { registerResources, loadImage } = require('./resources');
+const rateLimitService = require('../services/rate-limit.service');
+const { config } = require('../config/env.config');
 
+// Orchestrated generation reports progress as each phase starts and completes
+const ORCHESTRATOR_PHASES = ['safety', 'refinement', 'generation'];
+const PHASE_LABELS = {
+  safety: 'Content safety check',
+  refinement: 'Prompt refinement',
+  generation: 'Model selection and generation'
+};
+
+// No structuredContent: clients validate it against the tool's outputSchema, which describes success only
 const toolError = (message) => ({
   content: [
     {
@@ -14,17 +26,17 @@ const toolError = (message) => ({
       text: message || 'An error occurred'
     }
   ],
-  structuredContent: {
-    success: false,
-    error: message || 'An error occurred'
-  },
   isError: true
 });
 
 /**
- * Create the MCP server with all tools
+ * Create the MCP server with all tools and resources
+ * @param {Object} options - { userId } scopes generation resources to one user (see registerResources);
+ *   { caller } ({ user, auth, ip }) is who generations are rate limited, counted and charged for
  */
-function createAgentServer() {
+function createAgentServer(options = {}) {
+  // Over stdio the caller is the local operator: the configured MCP user, else one anonymous local caller
+  const caller = options.caller || { user: options.userId ? { id: options.userId } : null, ip: 'local' };
   const server = new McpServer(
     {
       name: 'lana-agent-simple',
@@ -106,7 +118,11 @@ function createAgentServer() {
         userInput: z
           .string()
           .min(3)
-          .describe('Natural language description of desired image')
+          .describe('Natural language description of desired image'),
+        referenceImages: z
+          .array(z.string())
+          .optional()
+          .describe('Optional reference image URLs the prompt should build on')
       }),
       outputSchema: z.object({
         success: z.boolean(),
@@ -122,9 +138,9 @@ function createAgentServer() {
         })
       })
     },
-    async ({ userInput }) => {
+    async ({ userInput, referenceImages }) => {
       try {
-        const result = await executeTool('suggest-prompt', { userInput });
+        const result = await executeTool('suggest-prompt', { userInput, referenceImages });
 
         return {
           content: [
@@ -226,11 +242,42 @@ function createAgentServer() {
         extraParams: z
           .record(z.any())
           .optional()
-          .describe('Additional model-specific parameters')
+          .describe('Additional model-specific parameters'),
+        count: z
+          .number()
+          .int()
+          .min(1)
+          .max(config.generation.maxImagesPerRequest)
+          .optional()
+          .describe('Optional number of images to generate (default 1)'),
+        mode: z
+          .enum(['generate', 'inpaint'])
+          .optional()
+          .describe('Optional "inpaint" to repaint the masked region of image (model must have a mask parameter)'),
+        image: z
+          .string()
+          .optional()
+          .describe('Inpaint mode: source image URL or data URI'),
+        mask: z
+          .string()
+          .optional()
+          .describe('Inpaint mode: mask URL or data URI (white = region to repaint)')
       }),
       outputSchema: z.object({
         success: z.boolean(),
         imageUrl: z.string(),
+        images: z
+          .array(
+            z.object({
+              index: z.number(),
+              imageUrl: z.string(),
+              sourceUrl: z.string(),
+              predictionId: z.string().optional(),
+              generationId: z.string().nullable()
+            })
+          )
+          .optional(),
+        requestId: z.string().optional(),
         metadata: z.object({
           model: z.object({
             id: z.string(),
@@ -243,6 +290,8 @@ function createAgentServer() {
             })
           }),
           prompt: z.string(),
+          mode: z.enum(['generate', 'inpaint']).optional(),
+          mask: z.string().optional(),
           negativePrompt: z.string().nullable(),
           referenceImages: z.array(z.string()),
           aspectRatio: z.string(),
@@ -257,7 +306,7 @@ function createAgentServer() {
         })
       })
     },
-    async ({ modelId, prompt, referenceImages, aspectRatio, style, negativePrompt, extraParams }, extra) => {
+    async ({ modelId, prompt, referenceImages, aspectRatio, style, negativePrompt, extraParams, count, mode, image, mask }, extra) => {
       try {
         if (extra?.sessionId) {
           await server.sendLoggingMessage(
@@ -269,21 +318,31 @@ function createAgentServer() {
           );
         }
 
-        const result = await executeTool('generate-image', {
+        // Required lazily: the orchestrator loads the LLM layer and requires the tool executor
+        const { executeGenerateImageFor } = require('../services/orchestrator.service');
+
+        // Limited, counted and (with CREDITS_ENABLED) charged like every generation entry point
+        const result = await executeGenerateImageFor(caller, {
           modelId,
           prompt,
           referenceImages,
           aspectRatio,
           style,
           negativePrompt,
-          extraParams
+          extraParams,
+          count,
+          mode,
+          image,
+          mask
         });
 
+        const imageUrls = (result.images || [{ imageUrl: result.imageUrl }]).map(image => image.imageUrl);
+
         if (extra?.sessionId) {
           await server.sendLoggingMessage(
             {
               level: 'info',
-              data: `✅ Image generated: ${result.imageUrl}`
+              data: `✅ ${imageUrls.length > 1 ? `${imageUrls.length} images` : 'Image'} generated: ${imageUrls.join(', ')}`
             },
             extra.sessionId
           );
@@ -305,7 +364,9 @@ function createAgentServer() {
                 result.metadata.size ? `Size: ${result.metadata.size}` : null,
                 refInfo || null,
                 '',
-                `Image URL: ${result.imageUrl}`
+                ...(imageUrls.length > 1
+                  ? imageUrls.map((url, index) => `Image ${index + 1} URL: ${url}`)
+                  : [`Image URL: ${result.imageUrl}`])
               ]
                 .filter(Boolean)
                 .join('\n')
@@ -328,6 +389,210 @@ function createAgentServer() {
     }
   );
 
+  // Tool 5: Orchestrated Generate (only when the LLM orchestrator is available)
+  if (config.features.orchestratorEnabled) {
+    server.registerTool(
+      'orchestrated-generate',
+      {
+        title: 'Orchestrated Generate',
+        description: 'Run the full pipeline from a plain description: safety check, prompt refinement, model selection and generation. Reports progress per phase and can be canceled.',
+        inputSchema: z.object({
+          prompt: z
+            .string()
+            .min(3)
+            .describe('Natural language description of the desired image'),
+          referenceImages: z
+            .array(z.string())
+            .optional()
+            .describe('Optional reference image URLs'),
+          count: z
+            .number()
+            .int()
+            .min(1)
+            .max(config.generation.maxImagesPerRequest)
+            .optional()
+            .describe('Optional number of images to generate (default 1)'),
+          mode: z
+            .enum(['generate', 'inpaint'])
+            .optional()
+            .describe('Optional "inpaint" to repaint the masked region of image'),
+          image: z
+            .string()
+            .optional()
+            .describe('Inpaint mode: source image URL or data URI'),
+          mask: z
+            .string()
+            .optional()
+            .describe('Inpaint mode: mask URL or data URI (white = region to repaint)')
+        }),
+        outputSchema: z.object({
+          success: z.boolean(),
+          imageUrl: z.string(),
+          images: z
+            .array(
+              z.object({
+                index: z.number(),
+                imageUrl: z.string(),
+                sourceUrl: z.string(),
+                predictionId: z.string().optional(),
+                generationId: z.string().nullable(),
+                asset: z
+                  .object({
+                    hash: z.string(),
+                    contentType: z.string(),
+                    size: z.number()
+                  })
+                  .nullable()
+                  .optional()
+              })
+            )
+            .optional(),
+          requestId: z.string().optional(),
+          modelUsed: z.object({
+            id: z.string(),
+            name: z.string(),
+            fullName: z.string()
+          }),
+          reasoning: z.string().nullable(),
+          refinedData: z.record(z.any()),
+          safetyCheck: z.record(z.any()),
+          phaseTimings: z.record(z.number()),
+          toolCalls: z.array(z.record(z.any())).optional()
+        })
+      },
+      async ({ prompt, referenceImages, count, mode, image, mask }, extra) => {
+        const progressToken = extra?._meta?.progressToken;
+
+        const sendProgress = (progress, message) => {
+          if (progressToken === undefined) return;
+          extra.sendNotification({
+            method: 'notifications/progress',
+            params: {
+              progressToken,
+              progress,
+              total: ORCHESTRATOR_PHASES.length * 2,
+              message
+            }
+          }).catch(error => console.error('[MCP] Failed to send progress:', error.message));
+        };
+
+        try {
+          const inpaint = parseInpaintInput({ mode, image, mask });
+
+          // Required lazily: the orchestrator loads the LLM layer and requires the tool executor
+          const { generateWithGeminiOrchestratorGx, quoteForCredits } = require('../services/orchestrator.service');
+
+          const userId = caller.user?.id || null;
+
+          // Limited and counted like /api/agent/generate; with CREDITS_ENABLED charged to the caller
+          const result = await rateLimitService.runGeneration(caller, count || 1, async () => {
+            const quote = await quoteForCredits(userId, {
+              prompt,
+              referenceImages: referenceImages || [],
+              count: count || 1,
+              inpaint
+            });
+
+            return await generateWithGeminiOrchestratorGx({
+              userId,
+              prompt: prompt.trim(),
+              referenceImages: referenceImages || [],
+              count: count || 1,
+              inpaint,
+              quote,
+              state: {},
+              signal: extra?.signal,
+              onPhase: (phase, status) => {
+                const index = ORCHESTRATOR_PHASES.indexOf(phase);
+                sendProgress(
+                  index * 2 + (status === 'completed' ? 2 : 1),
+                  `${PHASE_LABELS[phase]} ${status}`
+                );
+              },
+              onPrediction: (prediction) => {
+                if (!extra?.sessionId) return;
+                server.sendLoggingMessage(
+                  {
+                    level: 'info',
+                    data: `⏳ Prediction ${prediction.id}: ${prediction.status}`
+                  },
+                  extra.sessionId
+                ).catch(() => {});
+              }
+            });
+          });
+
+          if (!result.success) {
+            return toolError(result.safetyCheck?.message || result.error || 'Image generation failed');
+          }
+
+          const images = result.images || [{ index: 0, imageUrl: result.imageUrl, asset: result.metadata.asset }];
+          const imageContent = [];
+          for (const generated of images) {
+            try {
+              const { buffer, mimeType } = await loadImage(generated);
+              imageContent.push({ type: 'image', data: buffer.toString('base64'), mimeType });
+            } catch (error) {
+              console.error('[MCP] Failed to load generated image:', error.message);
+            }
+          }
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: [
+                  '✅ Orchestrated generation completed!',
+                  '',
+                  `Title: ${result.refinedData.title || 'Untitled'}`,
+                  `Model: ${result.modelUsed.name} (${result.modelUsed.id})`,
+                  result.reasoning ? `Reasoning: ${result.reasoning}` : null,
+                  `Refined Prompt: ${result.refinedData.refined_prompt}`,
+                  '',
+                  ...images.map((generated, index) => `Image ${index + 1} URL: ${generated.imageUrl}`)
+                ]
+                  .filter(line => line !== null)
+                  .join('\n')
+              },
+              ...imageContent,
+              ...images
+                .filter(generated => generated.generationId)
+                .map(generated => ({
+                  type: 'resource_link',
+                  uri: `lana://generations/${generated.generationId}`,
+                  name: generated.generationId,
+                  mimeType: 'application/json'
+                }))
+            ],
+            structuredContent: {
+              success: true,
+              imageUrl: result.imageUrl,
+              images: result.images,
+              requestId: result.requestId,
+              modelUsed: result.modelUsed,
+              reasoning: result.reasoning || null,
+              // Inpainting sources may be data URIs; keep the structured result small
+              refinedData: {
+                ...result.refinedData,
+                referenceImages: (result.refinedData.referenceImages || []).map(describeImageSource)
+              },
+              safetyCheck: result.safetyCheck,
+              phaseTimings: result.phaseTimings,
+              toolCalls: result.toolCalls
+            }
+          };
+        } catch (error) {
+          if (extra?.signal?.aborted) {
+            return toolError('Generation canceled');
+          }
+          return toolError(error.message || 'Orchestrated generation failed');
+        }
+      }
+    );
+  }
+
+  registerResources(server, options);
+
   return server;
 }
 
@@ -0,0 +1,211 @@
+/**
+ * MCP Resources
+ * lana://models/{id}         - catalog entry (summary, inputSchema, README)
+ * lana://generations/{jobId} - a past generation (metadata + image)
+ */
+
+const { ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const storage = require('../storage'); // Auto-selects PostgreSQL or memory
+const assets = require('../assets');
+const modelCatalog = require('../services/model-catalog.service');
+const { config } = require('../config/env.config');
+
+// Generations listed per session; older ones can still be read by URI
+const GENERATION_LIST_LIMIT = 50;
+
+/**
+ * Normalize a generation row (memory rows are camelCase, PostgreSQL rows snake_case)
+ */
+function formatGeneration(gen) {
+  return {
+    jobId: gen.job_id || gen.jobId,
+    status: gen.status,
+    prompt: gen.prompt,
+    model: gen.model_name || gen.modelName,
+    imageUrl: gen.image_url || gen.imageUrl || null,
+    createdAt: gen.created_at || gen.createdAt,
+    metadata: gen.metadata || {}
+  };
+}
+
+/**
+ * A generation belongs to a user by user id or by the user's wallet; without a user nothing is owned
+ */
+async function ownsGeneration(gen, userId) {
+  if (!userId) return false;
+  if ((gen.user_id || gen.userId) === userId) return true;
+
+  const user = await storage.getUser(userId);
+  const wallet = gen.wallet_address || gen.walletAddress;
+  return !!wallet && wallet === (user?.wallet_address || user?.walletAddress);
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Load an image's bytes: from the asset store when it was persisted, otherwise from its URL
+ * @param {Object} image - { imageUrl, asset }
+ */
+async function loadImage({ imageUrl, asset: stored }) {
+  const hash = stored?.hash;
+  if (hash) {
+    const asset = await assets.getAsset(hash);
+    if (asset) {
+      return { buffer: await streamToBuffer(asset.stream), mimeType: asset.contentType };
+    }
+  }
+
+  const response = await fetch(imageUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download image (${response.status})`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (buffer.length > config.assets.maxBytes) {
+    throw new Error(`Image is larger than ${config.assets.maxBytes} bytes`);
+  }
+
+  return {
+    buffer,
+    mimeType: response.headers.get('content-type')?.split(';')[0].trim() || 'image/png'
+  };
+}
+
+/**
+ * Register model and generation resources on an MCP server
+ * @param {McpServer} server
+ * @param {Object} options - { userId } scopes generation resources to one user; { allGenerations } lets
+ * any generation be read by URI (bin/lana-mcp --all-generations, a local stdio server only)
+ */
+function registerResources(server, { userId, allGenerations = false } = {}) {
+  server.registerResource(
+    'model',
+    new ResourceTemplate('lana://models/{id}', {
+      list: async () => ({
+        resources: modelCatalog.listModels().map(model => ({
+          uri: `lana://models/${model.id}`,
+          name: model.id,
+          title: model.name,
+          description: model.summary?.oneLinePitch || model.fullName,
+          mimeType: 'application/json'
+        }))
+      }),
+      complete: {
+        id: (value) => modelCatalog.listModels()
+          .map(model => model.id)
+          .filter(id => id.startsWith(value))
+      }
+    }),
+    {
+      title: 'Image Model',
+      description: 'Catalog entry for an image generation model: summary, capabilities, inputSchema and README',
+      mimeType: 'application/json'
+    },
+    async (uri, { id }) => {
+      const model = modelCatalog.getModel(id);
+      if (!model) {
+        throw new Error(`Model "${id}" not found`);
+      }
+
+      const { readme, ...entry } = model;
+
+      return {
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(entry, null, 2)
+          },
+          ...(readme ? [{
+            uri: `${uri.href}#readme`,
+            mimeType: 'text/markdown',
+            text: readme
+          }] : [])
+        ]
+      };
+    }
+  );
+
+  server.registerResource(
+    'generation',
+    new ResourceTemplate('lana://generations/{jobId}', {
+      list: async () => {
+        const generations = userId ? await storage.getUserGenerations(userId) : [];
+
+        return {
+          resources: generations
+            .map(formatGeneration)
+            .filter(gen => gen.status === 'completed' && gen.imageUrl)
+            .slice(0, GENERATION_LIST_LIMIT)
+            .map(gen => ({
+              uri: `lana://generations/${gen.jobId}`,
+              name: gen.jobId,
+              title: gen.metadata.title || gen.prompt?.substring(0, 60),
+              description: `${gen.model} • ${gen.createdAt}`,
+              mimeType: 'application/json'
+            }))
+        };
+      }
+    }),
+    {
+      title: 'Past Generation',
+      description: 'A generated image with its prompt, model and metadata; use its imageUrl as a reference image',
+      mimeType: 'application/json'
+    },
+    async (uri, { jobId }) => {
+      const row = await storage.getGeneration(jobId);
+      if (!row || !(allGenerations || await ownsGeneration(row, userId))) {
+        throw new Error(`Generation "${jobId}" not found`);
+      }
+
+      const generation = formatGeneration(row);
+      const { events, ...metadata } = generation.metadata;
+      const contents = [
+        {
+          uri: uri.href,
+          mimeType: 'application/json',
+          text: JSON.stringify({ ...generation, metadata }, null, 2)
+        }
+      ];
+
+      if (generation.imageUrl) {
+        try {
+          const image = await loadImage({
+            imageUrl: generation.imageUrl,
+            asset: generation.metadata.asset
+          });
+          contents.push({
+            uri: `${uri.href}#image`,
+            mimeType: image.mimeType,
+            blob: image.buffer.toString('base64')
+          });
+        } catch (error) {
+          console.error(`[MCP] Failed to load image for generation ${jobId}:`, error.message);
+        }
+      }
+
+      return { contents };
+    }
+  );
+
+  // Clients re-list resources when the catalog is regenerated
+  const onCatalogUpdated = () => server.sendResourceListChanged();
+  modelCatalog.on('updated', onCatalogUpdated);
+
+  const previousOnClose = server.server.onclose;
+  server.server.onclose = () => {
+    modelCatalog.off('updated', onCatalogUpdated);
+    previousOnClose?.();
+  };
+}
+
+module.exports = {
+  registerResources,
+  loadImage
+};
@@ -0,0 +1,61 @@
+/**
+ * Assets Routes
+ * Serves content-addressed generated images
+ */
+
+const express = require('express');
+const router = express.Router();
+const assets = require('../assets');
+
+/**
+ * GET /assets/:hash
+ * Stream a stored asset; the hash names the exact bytes, so responses are cached forever
+ */
+router.get('/:hash', async (req, res) => {
+  const { hash } = req.params;
+
+  if (!assets.isValidHash(hash)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Asset not found'
+    });
+  }
+
+  const etag = `"${hash}"`;
+  if (req.headers['if-none-match'] === etag) {
+    return res.status(304).end();
+  }
+
+  try {
+    const asset = await assets.getAsset(hash);
+
+    if (!asset) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    res.setHeader('Content-Type', asset.contentType || 'application/octet-stream');
+    if (asset.size !== undefined) {
+      res.setHeader('Content-Length', asset.size);
+    }
+    res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+    res.setHeader('ETag', etag);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    asset.stream.on('error', (error) => {
+      console.error('[Assets] Stream error:', error.message);
+      res.destroy(error);
+    });
+    asset.stream.pipe(res);
+  } catch (error) {
+    console.error('[Assets] Get asset error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
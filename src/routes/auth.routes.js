@@ -0,0 +1,178 @@
+/**
+ * Auth Routes
+ * Account registration, login, the current session's user and its API keys
+ *
+ * Responses follow the frontend's contract (frontend/src/lib/backend-service.ts):
+ * { success, data: { token, user, paymentWallet, usdcBalance } }, and errors carry a message
+ */
+
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/auth.service');
+const apiKeyService = require('../services/api-key.service');
+
+const ERROR_STATUS = {
+  INVALID_CREDENTIALS_FORMAT: 400,
+  INVALID_CREDENTIALS: 401,
+  USERNAME_TAKEN: 409,
+  INVALID_API_KEY_REQUEST: 400
+};
+
+// Keys are managed from a signed-in session, never with another key
+const requireSession = authService.middleware({ required: true, allowApiKeys: false });
+
+/**
+ * Public fields of a user row (never the password hash or wallet key)
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    wallet_address: user.wallet_address,
+    created_at: user.created_at || user.createdAt
+  };
+}
+
+function formatSession({ user, token }) {
+  return {
+    token,
+    user: formatUser(user),
+    paymentWallet: null,
+    usdcBalance: Number(user.balance || 0)
+  };
+}
+
+function sendError(res, error, fallbackMessage) {
+  const status = ERROR_STATUS[error.code];
+  if (!status) {
+    console.error('[Auth API] Error:', error);
+  }
+
+  const message = status ? error.message : fallbackMessage;
+  res.status(status || 500).json({
+    success: false,
+    error: message,
+    message
+  });
+}
+
+/**
+ * POST /api/auth/register
+ * Body: { username, password }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const session = await authService.register({
+      username: req.body?.username,
+      password: req.body?.password
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSession(session)
+    });
+  } catch (error) {
+    sendError(res, error, 'Registration failed');
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Body: { username, password }
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const session = await authService.login({
+      username: req.body?.username,
+      password: req.body?.password
+    });
+
+    res.json({
+      success: true,
+      data: formatSession(session)
+    });
+  } catch (error) {
+    sendError(res, error, 'Login failed');
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * The user behind the bearer token
+ */
+router.get('/me', authService.middleware({ required: true }), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: formatUser(req.user),
+      usdcBalance: Number(req.user.balance || 0),
+      scopes: req.auth.scopes
+    }
+  });
+});
+
+/**
+ * GET /api/auth/keys
+ * The signed-in user's API keys (prefix and scopes; revoked keys included)
+ */
+router.get('/keys', requireSession, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        apiKeys: await apiKeyService.list(req.user.id)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to list API keys');
+  }
+});
+
+/**
+ * POST /api/auth/keys
+ * Body: { name, scopes: ['generate' | 'chat' | 'models:admin'] }
+ * The key itself is only returned here
+ */
+router.post('/keys', requireSession, async (req, res) => {
+  try {
+    const { key, apiKey } = await apiKeyService.create({
+      userId: req.user.id,
+      name: req.body?.name,
+      scopes: req.body?.scopes,
+      allowedScopes: req.auth.scopes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { key, apiKey }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * DELETE /api/auth/keys/:id
+ * Revoke a key; requests using it are rejected from then on
+ */
+router.delete('/keys/:id', requireSession, async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.user.id, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { apiKey }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+/**
+ * Credits Routes
+ * Prepaid credit balance: x402 top-ups and ledger history
+ * Both routes act on the signed-in user (session or API key)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { settleResponseHeader } = require('x402/types');
+const creditsService = require('../services/credits.service');
+const paymentService = require('../services/payment.service');
+const idempotencyService = require('../services/idempotency.service');
+const authService = require('../services/auth.service');
+const { config } = require('../config/env.config');
+
+const X402_VERSION = 1;
+
+router.use(authService.middleware({ required: true }));
+
+/**
+ * GET /api/credits
+ * Current balance and ledger history (newest first)
+ */
+router.get('/', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    res.json({
+      success: true,
+      userId,
+      balance: await creditsService.getBalance(userId),
+      currency: 'USD',
+      transactions: await creditsService.getHistory(userId)
+    });
+  } catch (error) {
+    console.error('[Credits API] Get credits error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/credits/topup
+ * Buy credits with an x402 payment of the same USD amount
+ * Body: { amountUsd }
+ * Without an X-PAYMENT header the response is a 402 with the payment requirements;
+ * the payment is recorded, verified, then settled, and only a settled payment is credited.
+ * If crediting fails after settlement, the 500 carries the settlement and the same X-PAYMENT
+ * can be sent again to credit it without paying twice
+ */
+router.post('/topup', idempotencyService.middleware(), async (req, res) => {
+  const userId = req.user.id;
+  const amountUsd = Number(req.body?.amountUsd);
+  const { minTopupUsd, maxTopupUsd } = config.credits;
+
+  if (!Number.isFinite(amountUsd) || amountUsd < minTopupUsd || amountUsd > maxTopupUsd) {
+    return res.status(400).json({
+      success: false,
+      error: `amountUsd must be between ${minTopupUsd} and ${maxTopupUsd}`
+    });
+  }
+
+  if (!paymentService.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'x402 payments are not configured'
+    });
+  }
+
+  try {
+    const requirements = await paymentService.preparePayment({
+      priceUsd: amountUsd,
+      resource: `${req.protocol}://${req.headers.host}${req.originalUrl}`,
+      description: `Top up $${amountUsd} of Lana credits for ${userId}`
+    });
+
+    const paymentHeader = req.header('X-PAYMENT');
+    if (!paymentHeader) {
+      return res.status(402).json({
+        x402Version: X402_VERSION,
+        error: 'X-PAYMENT header is required',
+        accepts: requirements
+      });
+    }
+
+    const record = await creditsService.startTopUp({
+      userId,
+      amountUsd,
+      paymentHeader,
+      network: paymentService.x402Network
+    });
+
+    if ((record.user_id || record.userId) !== userId || Number(record.amount) !== amountUsd) {
+      return res.status(409).json({
+        success: false,
+        error: 'This payment was already submitted for a different top-up'
+      });
+    }
+
+    // A payment settled by an earlier attempt is credited without settling again
+    let settlement = record.metadata?.settlement;
+    const settledNow = !settlement;
+    if (!settlement) {
+      try {
+        await paymentService.verifyPayment(paymentHeader, requirements);
+      } catch (error) {
+        await creditsService.failTopUp(record.id, error.message);
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          error: error.message,
+          accepts: requirements
+        });
+      }
+
+      const payment = await paymentService.settleOnlyPayment(paymentHeader, requirements);
+      if (!payment.success) {
+        await creditsService.failTopUp(record.id, payment.error || 'Payment settlement failed');
+        return res.status(402).json({
+          x402Version: X402_VERSION,
+          error: payment.error || 'Payment settlement failed',
+          accepts: requirements
+        });
+      }
+
+      res.setHeader('X-PAYMENT-RESPONSE', settleResponseHeader(payment.settlement.raw));
+      settlement = payment.settlement;
+    }
+
+    let credited;
+    try {
+      if (settledNow) {
+        await creditsService.settleTopUp(record.id, settlement);
+      }
+      credited = await creditsService.topUp({
+        userId,
+        amountUsd,
+        settlement,
+        paymentId: record.id
+      });
+    } catch (error) {
+      console.error(`[Credits API] Settled top-up ${settlement.transaction} was not credited:`, error);
+      return res.status(500).json({
+        success: false,
+        error: `Payment settled but not credited: ${error.message}. Send the same X-PAYMENT again to credit it`,
+        settlement: {
+          transaction: settlement.transaction,
+          network: settlement.network
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      userId,
+      balance: credited.balance,
+      currency: 'USD',
+      transaction: credited.transaction
+    });
+  } catch (error) {
+    console.error('[Credits API] Top-up error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,487 @@
+/**
+ * Generation Routes
+ * The signed-in user's generation history
+ *
+ * Every pipeline run (/api/agent/generate*, /api/jobs) is one entry with its refined prompt
+ * (refinedData), the model that was chosen and its images; each image is also stored as a row
+ * of its own, linked to the run by requestId
+ *
+ * Runs can be rerun (same model and inputs, new seed) or remixed (an output image as the reference
+ * of a new instruction); the new run records its parent ({ id, relation: 'rerun' | 'remix' })
+ */
+
+const express = require('express');
+const router = express.Router();
+const storage = require('../storage');
+const assets = require('../assets');
+const authService = require('../services/auth.service');
+const idempotencyService = require('../services/idempotency.service');
+const rateLimitService = require('../services/rate-limit.service');
+const { parseImageCount } = require('../services/tool-executor.service');
+const { config } = require('../config/env.config');
+
+const RUN_TYPE = 'orchestrated';
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+router.use(authService.middleware({ required: true, scope: 'generate' }));
+
+/**
+ * Normalize a generation row for API responses (memory and PostgreSQL rows differ)
+ */
+function formatGeneration(gen) {
+  // A job's event log is served by /api/jobs/:id/events
+  const { events, ...metadata } = gen.metadata || {};
+
+  return {
+    id: gen.job_id || gen.jobId,
+    type: metadata.type || null,
+    status: gen.status,
+    prompt: gen.prompt,
+    model: gen.model_name || gen.modelName,
+    imageUrl: gen.image_url || gen.imageUrl || null,
+    title: metadata.refinedData?.title || metadata.title || null,
+    parent: metadata.parent || null,
+    createdAt: gen.created_at || gen.createdAt,
+    metadata
+  };
+}
+
+/**
+ * The row when it belongs to the user, otherwise null
+ */
+async function getOwnedGeneration(id, userId) {
+  const gen = await storage.getGeneration(id);
+  return gen && (gen.user_id || gen.userId) === userId ? gen : null;
+}
+
+/**
+ * Whether a recorded input image can be sent again
+ * Inline images are recorded as asset URLs; one that could not be stored is only a summary
+ */
+function isReplayable(image) {
+  return !image.startsWith('data:');
+}
+
+/**
+ * An image of the asset store as a data URI, any other image as it is
+ * Asset URLs point at ASSET_PUBLIC_BASE_URL, which Replicate cannot reach in the default (localhost) setup
+ */
+async function inlineAsset(image) {
+  const hash = assets.hashFromUrl(image);
+  return (hash && await assets.getAssetDataUri(hash)) || image;
+}
+
+/**
+ * inlineAsset on the images of a recorded input ({ referenceImages?, image?, mask? })
+ */
+async function inlineInputImages(input) {
+  if (!input) return input;
+
+  return {
+    ...input,
+    ...(input.referenceImages && { referenceImages: await Promise.all(input.referenceImages.map(inlineAsset)) }),
+    ...(input.image && { image: await inlineAsset(input.image) }),
+    ...(input.mask && { mask: await inlineAsset(input.mask) })
+  };
+}
+
+/**
+ * Run the pipeline for a rerun or remix; the run is recorded like any other generation
+ * and, with credits enabled, charged to the user's balance (refunded if it fails)
+ */
+async function generate(options) {
+  // Required lazily: the orchestrator pulls in the LLM and tool layers
+  const { generateWithGeminiOrchestratorGx, quoteForCredits } = require('../services/orchestrator.service');
+  const quote = await quoteForCredits(options.userId, {
+    prompt: options.prompt,
+    referenceImages: options.referenceImages,
+    count: options.count,
+    modelId: options.generationInput?.modelId || options.modelId,
+    aspectRatio: options.aspectRatio,
+    inpaint: options.inpaint
+  });
+  return await generateWithGeminiOrchestratorGx({ ...options, quote, state: {} });
+}
+
+/**
+ * 402 for a generation the user's credits do not cover
+ */
+function sendInsufficientCredits(res, error) {
+  res.status(402).json({
+    success: false,
+    error: `Insufficient credits: this generation costs $${error.quote.priceUsd}. Top up with POST /api/credits/topup`,
+    quote: error.quote
+  });
+}
+
+/**
+ * Respond with a pipeline result, the same way as /api/agent/generate
+ */
+function sendGenerationResult(res, result, parent) {
+  if (result.success) {
+    return res.json({
+      success: true,
+      requestId: result.requestId,
+      parent,
+      imageUrl: result.imageUrl,
+      images: result.images,
+      metadata: result.metadata,
+      modelUsed: result.modelUsed,
+      reasoning: result.reasoning,
+      refinedData: result.refinedData,
+      safetyCheck: result.safetyCheck,
+      phaseTimings: result.phaseTimings,
+      workflow: {
+        toolCalls: result.toolCalls
+      }
+    });
+  }
+
+  res.status(result.safetyCheck?.safe === false ? 400 : 500).json({
+    success: false,
+    error: result.error || 'Image generation failed',
+    requestId: result.requestId,
+    parent,
+    safetyCheck: result.safetyCheck,
+    phaseTimings: result.phaseTimings,
+    workflow: {
+      toolCalls: result.toolCalls
+    }
+  });
+}
+
+function orchestratorUnavailable(res) {
+  res.status(503).json({
+    success: false,
+    error: 'Generation is unavailable: the orchestrator is disabled'
+  });
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return { date: null };
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: `${name} must be an ISO date` } : { date };
+}
+
+/**
+ * GET /api/generations?limit=20&offset=0&model=&status=&from=&to=&q=
+ * The user's pipeline runs, newest first
+ * model: id of the chosen model; status: queued, running, completed, failed or canceled;
+ * from/to: ISO dates (from inclusive, to exclusive); q: text contained in the prompt;
+ * parent: id of the generation that runs were rerun or remixed from
+ */
+router.get('/', async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const since = parseDate(req.query.from, 'from');
+  const until = parseDate(req.query.to, 'to');
+
+  const error = since.error || until.error;
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error
+    });
+  }
+
+  try {
+    const { generations, total } = await storage.getGenerations({
+      userId: req.user.id,
+      type: RUN_TYPE,
+      modelName: req.query.model,
+      status: req.query.status,
+      since: since.date,
+      until: until.date,
+      search: req.query.q?.trim() || null,
+      parentId: req.query.parent,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      generations: generations.map(formatGeneration),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + generations.length < total
+      }
+    });
+  } catch (error) {
+    console.error('[Generations API] List error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/generations/:id
+ * A run with its images, or a single image
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const gen = await getOwnedGeneration(req.params.id, req.user.id);
+    if (!gen) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found'
+      });
+    }
+
+    const generation = formatGeneration(gen);
+    if (generation.type === RUN_TYPE) {
+      const images = await storage.getGenerationsByRequestId(generation.id);
+      generation.images = images.map(formatGeneration);
+    }
+
+    res.json({
+      success: true,
+      generation
+    });
+  } catch (error) {
+    console.error('[Generations API] Get error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/generations/:id
+ * Remove a finished run together with its images, or a single image
+ * Stored image files are content-addressed and may be shared, so they are kept
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const gen = await getOwnedGeneration(req.params.id, req.user.id);
+    if (!gen) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found'
+      });
+    }
+
+    if (ACTIVE_STATUSES.includes(gen.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Generation is still ${gen.status} - cancel or wait for it before deleting`
+      });
+    }
+
+    const deleted = await storage.deleteGeneration(req.params.id);
+    console.log(`[Generations API] User ${req.user.id} deleted ${req.params.id} (${deleted} rows)`);
+
+    res.json({
+      success: true,
+      deleted
+    });
+  } catch (error) {
+    console.error('[Generations API] Delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/generations/:id/rerun
+ * Body: { skipRefinement?, count? }
+ * Run a generation again with the same prompt, inputs and model; every setting but the seed is kept.
+ * With skipRefinement the recorded model call is repeated as-is instead of refining the prompt again
+ * Counted against the daily quota only once the generation is found and replayable
+ */
+router.post('/:id/rerun', idempotencyService.middleware(), rateLimitService.middleware({ route: 'generate' }), async (req, res) => {
+  if (!config.features.orchestratorEnabled) return orchestratorUnavailable(res);
+
+  const skipRefinement = req.body?.skipRefinement === true;
+
+  try {
+    const gen = await getOwnedGeneration(req.params.id, req.user.id);
+    if (!gen) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found'
+      });
+    }
+
+    const source = formatGeneration(gen);
+    if (source.type !== RUN_TYPE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only generation runs can be rerun - remix a single image instead'
+      });
+    }
+
+    if (ACTIVE_STATUSES.includes(source.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Generation is still ${source.status}`
+      });
+    }
+
+    const { replay } = source.metadata;
+    const input = replay?.generationInput;
+    if (!replay) {
+      return res.status(409).json({
+        success: false,
+        error: 'The inputs of this generation were not recorded, so it cannot be rerun'
+      });
+    }
+
+    if (skipRefinement && !input) {
+      return res.status(409).json({
+        success: false,
+        error: 'This generation produced no image to replay - rerun it without skipRefinement'
+      });
+    }
+
+    const images = skipRefinement
+      ? [...(input.referenceImages || []), input.image, input.mask]
+      : [...replay.referenceImages, replay.inpaint?.image, replay.inpaint?.mask];
+    if (images.filter(Boolean).some(image => !isReplayable(image))) {
+      return res.status(409).json({
+        success: false,
+        error: 'An inline input image of this generation could not be stored, so it cannot be rerun'
+      });
+    }
+
+    let imageCount;
+    try {
+      imageCount = parseImageCount(req.body?.count ?? source.metadata.count);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Counted once the generation is known to be replayable
+    if (!await rateLimitService.reserveQuota(req, res, imageCount)) return;
+
+    // Models pick a random seed when none is given, so dropping it gives a new variation
+    const { seed, ...extraParams } = input?.extraParams || {};
+    const parent = { id: source.id, relation: 'rerun' };
+
+    const result = await generate({
+      userId: req.user.id,
+      prompt: source.prompt,
+      referenceImages: await Promise.all(replay.referenceImages.map(inlineAsset)),
+      inpaint: await inlineInputImages(replay.inpaint),
+      count: imageCount,
+      modelId: input?.modelId || (source.model !== 'auto' ? source.model : undefined),
+      aspectRatio: input?.aspectRatio,
+      ...(skipRefinement && {
+        generationInput: { ...await inlineInputImages(input), extraParams, count: imageCount },
+        refinedData: source.metadata.refinedData
+      }),
+      parent
+    });
+
+    console.log(`[Generations API] Rerun of ${source.id} as ${result.requestId}${skipRefinement ? ' (refinement skipped)' : ''}`);
+    sendGenerationResult(res, result, parent);
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_CREDITS') return sendInsufficientCredits(res, error);
+    console.error('[Generations API] Rerun error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Image generation failed'
+    });
+  }
+});
+
+/**
+ * POST /api/generations/:id/remix
+ * Body: { instruction, imageIndex?, count? }
+ * A new generation from instruction with an output of this one as the reference image
+ * (imageIndex picks among a run's images; an image's own id can be remixed directly)
+ * A stored image is sent as its bytes, so remixing works when the asset URL is not publicly reachable
+ * Counted against the daily quota only once the image to remix is found
+ */
+router.post('/:id/remix', idempotencyService.middleware(), rateLimitService.middleware({ route: 'generate' }), async (req, res) => {
+  if (!config.features.orchestratorEnabled) return orchestratorUnavailable(res);
+
+  const { instruction, imageIndex = 0, count } = req.body || {};
+  if (!instruction || typeof instruction !== 'string' || instruction.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'instruction is required and must be a non-empty string'
+    });
+  }
+
+  if (!Number.isInteger(imageIndex) || imageIndex < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'imageIndex must be a non-negative integer'
+    });
+  }
+
+  let imageCount;
+  try {
+    imageCount = parseImageCount(count);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const gen = await getOwnedGeneration(req.params.id, req.user.id);
+    if (!gen) {
+      return res.status(404).json({
+        success: false,
+        error: 'Generation not found'
+      });
+    }
+
+    const source = formatGeneration(gen);
+    const images = source.type === RUN_TYPE
+      ? (await storage.getGenerationsByRequestId(source.id)).map(formatGeneration)
+      : [source];
+    if (images.length === 0 || !images[0].imageUrl) {
+      return res.status(409).json({
+        success: false,
+        error: 'This generation has no image to remix'
+      });
+    }
+
+    const image = images[imageIndex];
+    if (!image?.imageUrl) {
+      return res.status(400).json({
+        success: false,
+        error: `imageIndex must be between 0 and ${images.length - 1}`
+      });
+    }
+
+    if (!await rateLimitService.reserveQuota(req, res, imageCount)) return;
+
+    const parent = { id: source.id, relation: 'remix' };
+    const result = await generate({
+      userId: req.user.id,
+      prompt: instruction.trim(),
+      referenceImages: [await inlineAsset(image.imageUrl)],
+      count: imageCount,
+      parent
+    });
+
+    console.log(`[Generations API] Remix of ${source.id} as ${result.requestId}`);
+    sendGenerationResult(res, result, parent);
+  } catch (error) {
+    if (error.code === 'INSUFFICIENT_CREDITS') return sendInsufficientCredits(res, error);
+    console.error('[Generations API] Remix error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Image generation failed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,260 @@
+/**
+ * Jobs Routes
+ * Asynchronous orchestrated generation with status polling and SSE progress
+ */
+
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/job.service');
+const pricingService = require('../services/pricing.service');
+const idempotencyService = require('../services/idempotency.service');
+const authService = require('../services/auth.service');
+const rateLimitService = require('../services/rate-limit.service');
+const { parseImageCount, parseInpaintInput, parseReferenceImages } = require('../services/tool-executor.service');
+const { config } = require('../config/env.config');
+
+// Optional credentials: a user's jobs are only visible to that user, an anonymous job to the holder of its access token
+const authenticate = authService.middleware({ scope: 'generate' });
+
+/**
+ * Strip the event log from a job for compact status responses
+ */
+function formatJobStatus({ events, ...job }) {
+  return job;
+}
+
+/**
+ * The job when it belongs to the caller, otherwise null
+ * An anonymous job's access token comes as X-Job-Token or ?token= (EventSource cannot set headers)
+ */
+async function getOwnedJob(jobId, req) {
+  return await jobService.getJobFor(jobId, {
+    userId: req.user?.id || null,
+    accessToken: req.header('X-Job-Token') || req.query.token || null
+  });
+}
+
+/**
+ * POST /api/jobs
+ * Queue an orchestrated generation and return immediately
+ * Body: { prompt, referenceImages?, count?, mode?, image?, mask?, quoteId? }
+ * With a session or an API key the job is recorded in that user's generation history; an anonymous
+ * job is returned with an accessToken, required to read or cancel it
+ * With credits enabled, authentication is required and the job is charged to the caller's balance
+ * at the price of quoteId (from /api/agent/quote) or of a quote made for this request
+ * Rate limited and counted against the caller's daily generation quota (429 with Retry-After);
+ * a job that fails or is canceled is not counted
+ */
+router.post('/', authenticate, idempotencyService.middleware(), rateLimitService.middleware({ route: 'generate', quota: true }), async (req, res) => {
+  try {
+    const { prompt, referenceImages, count, mode, image, mask, quoteId } = req.body || {};
+
+    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'prompt is required and must be a non-empty string'
+      });
+    }
+
+    let imageCount;
+    let inpaint;
+    try {
+      imageCount = parseImageCount(count);
+      inpaint = parseInpaintInput({ mode, image, mask });
+      parseReferenceImages(referenceImages);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    let quote = null;
+    if (config.credits.enabled) {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required: generations are charged to your credits'
+        });
+      }
+
+      if (quoteId) {
+        quote = pricingService.getQuote(quoteId);
+        if (!quote || !pricingService.matchesQuote(quote, { prompt, referenceImages, count: imageCount })) {
+          return res.status(400).json({
+            success: false,
+            error: 'Quote not found, expired, or made for a different request'
+          });
+        }
+      } else {
+        quote = await pricingService.createQuote({
+          prompt,
+          referenceImages: referenceImages || [],
+          count: imageCount,
+          inpaint
+        });
+      }
+    }
+
+    let job;
+    try {
+      job = await jobService.createJob({
+        userId: req.user?.id || null,
+        prompt: prompt.trim(),
+        referenceImages: referenceImages || [],
+        count: imageCount,
+        inpaint,
+        quote,
+        quotaReservation: req.quotaReservation
+      });
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_CREDITS') {
+        return res.status(402).json({
+          success: false,
+          error: `Insufficient credits: this generation costs $${quote.priceUsd}. Top up with POST /api/credits/topup`,
+          quote
+        });
+      }
+      throw error;
+    }
+
+    if (quote) {
+      pricingService.consumeQuote(quote.id);
+    }
+
+    const query = job.accessToken ? `?token=${job.accessToken}` : '';
+    res.status(202).json({
+      success: true,
+      jobId: job.jobId,
+      status: job.status,
+      billing: job.billing,
+      ...(job.accessToken && { accessToken: job.accessToken }),
+      statusUrl: `/api/jobs/${job.jobId}${query}`,
+      eventsUrl: `/api/jobs/${job.jobId}/events${query}`
+    });
+  } catch (error) {
+    console.error('[Jobs API] Create job error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId
+ * Current status, phase and result of a job
+ */
+router.get('/:jobId', authenticate, async (req, res) => {
+  try {
+    const job = await getOwnedJob(req.params.jobId, req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: formatJobStatus(job)
+    });
+  } catch (error) {
+    console.error('[Jobs API] Get job error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:jobId/events
+ * Server-Sent Events stream of phase transitions
+ * Past events are replayed first; the stream ends when the job finishes
+ */
+router.get('/:jobId/events', authenticate, async (req, res) => {
+  let job;
+  try {
+    job = await getOwnedJob(req.params.jobId, req);
+  } catch (error) {
+    console.error('[Jobs API] Job events error:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+
+  for (const event of job.events) {
+    send(event);
+  }
+
+  if (jobService.isTerminal(job.status)) {
+    return res.end();
+  }
+
+  const unsubscribe = jobService.subscribe(job.jobId, (event) => {
+    send(event);
+
+    if (event.type === 'status' && jobService.isTerminal(event.status)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  res.on('close', unsubscribe);
+});
+
+/**
+ * POST /api/jobs/:jobId/cancel
+ * Cancel a queued or running job (also cancels its Replicate prediction)
+ */
+router.post('/:jobId/cancel', authenticate, async (req, res) => {
+  try {
+    const job = await getOwnedJob(req.params.jobId, req);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (!jobService.cancelJob(job.jobId)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job is already ${job.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: job.jobId,
+      status: 'canceling'
+    });
+  } catch (error) {
+    console.error('[Jobs API] Cancel job error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,12 @@ const path = require('path');
 const Replicate = require('replicate');
 const { config } = require('../config/env.config');
 const { GoogleGenAI } = require('@google/genai');
+const { isImageInputParam, resolveSchemaRef } = require('../services/input-mapper.service');
+const modelCatalog = require('../services/model-catalog.service');
+const authService = require('../services/auth.service');
+
+// Rebuilding the catalog calls Replicate and the LLM for every model
+const requireModelsAdmin = authService.middleware({ required: true, scope: 'models:admin' });
 
 let geminiClient = null;
 
@@ -57,17 +63,29 @@ function extractSimplifiedSchema(modelSchema) {
       }
 
       if (value.allOf) {
-        const allOfTypes = value.allOf.map(item => item.type).filter(Boolean);
+        // Replicate puts enums behind $ref, e.g. { allOf: [{ $ref: '#/components/schemas/aspect_ratio' }] }
+        const resolved = value.allOf.map(item => resolveSchemaRef(modelSchema, item));
+        const allOfTypes = resolved.map(item => item.type).filter(Boolean);
         if (allOfTypes.length > 0) {
           paramInfo.type = allOfTypes[0];
         }
+        const allOfEnum = resolved.find(item => Array.isArray(item.enum))?.enum;
+        if (allOfEnum && !paramInfo.options) {
+          paramInfo.options = allOfEnum;
+        }
+      }
+
+      // Numeric bounds
+      if (value.minimum !== undefined) {
+        paramInfo.minimum = value.minimum;
+      }
+      if (value.maximum !== undefined) {
+        paramInfo.maximum = value.maximum;
       }
 
-      // Detect if parameter is for image input
-      const isImageParam = 
-        key.toLowerCase().includes('image') || 
-        value.format === 'uri' ||
-        (value.description && value.description.toLowerCase().includes('image'));
+      // Detect if parameter is for image input (by type, format and name; descriptions
+      // mention "image" for almost every parameter of an image model)
+      const isImageParam = isImageInputParam(key, { ...value, type: paramInfo.type });
       
       if (isImageParam) {
         paramInfo.isImageInput = true;
@@ -128,8 +146,9 @@ function isImageGenerationModel(model) {
  * GET /api/models/fetch-source
  * Fetches all official image generation models with their READMEs
  * Saves to storage/model-source.json
+ * Requires the models:admin scope
  */
-router.get('/fetch-source', async (req, res) => {
+router.get('/fetch-source', requireModelsAdmin, async (req, res) => {
   try {
     console.log('🔍 Starting model source fetch...');
     
@@ -215,6 +234,7 @@ router.get('/fetch-source', async (req, res) => {
     // Save to storage/model-source.json
     const storagePath = path.join(__dirname, '../../storage/model-source.json');
     fs.writeFileSync(storagePath, JSON.stringify(modelSource, null, 2), 'utf-8');
+    modelCatalog.notifyUpdated('source fetched');
     
     console.log(`✅ Model source data saved successfully`);
     console.log(`   Total processed: ${processedCount}`);
@@ -427,8 +447,9 @@ function extractTags(model, summary) {
  * GET /api/models/generate-summaries
  * Reads model-source.json and generates LLM summaries
  * Saves to storage/model-summaries.json
+ * Requires the models:admin scope
  */
-router.get('/generate-summaries', async (req, res) => {
+router.get('/generate-summaries', requireModelsAdmin, async (req, res) => {
   try {
     console.log('🤖 Starting summary generation...');
     
@@ -516,6 +537,7 @@ router.get('/generate-summaries', async (req, res) => {
     // Save to storage/model-summaries.json
     const summariesPath = path.join(__dirname, '../../storage/model-summaries.json');
     fs.writeFileSync(summariesPath, JSON.stringify(summaries, null, 2), 'utf-8');
+    modelCatalog.notifyUpdated('summaries generated');
     
     console.log(`✅ Model summaries saved successfully`);
     console.log(`   Success: ${successCount}`);
@@ -6,19 +6,83 @@
 const express = require('express');
 const { randomUUID } = require('crypto');
 const router = express.Router();
-const { streamGeminiOrchestrator, generateWithGeminiOrchestrator,generateWithGeminiOrchestratorGx } = require('../services/orchestrator.service');
+const { streamGeminiOrchestrator, generateWithGeminiOrchestratorGx, quoteForCredits } = require('../services/orchestrator.service');
 const storage = require('../storage'); // Auto-selects PostgreSQL or memory
-const { executeTool } = require('../services/tool-executor.service');
-const { settleResponseFromHeader } = require('x402/types');
+const { executeTool, parseImageCount, parseInpaintInput, parseReferenceImages } = require('../services/tool-executor.service');
+const { settleResponseFromHeader, settleResponseHeader } = require('x402/types');
 const paymentService = require('../services/payment.service');
+const pricingService = require('../services/pricing.service');
+const idempotencyService = require('../services/idempotency.service');
+const webhookService = require('../services/webhook.service');
+const authService = require('../services/auth.service');
+const rateLimitService = require('../services/rate-limit.service');
+const { config } = require('../config/env.config');
 const bs58 = require('bs58');
 
+/**
+ * Format a conversation thread for API responses (memory and PostgreSQL rows differ)
+ */
+function formatThread(thread) {
+  return {
+    id: thread.id,
+    title: thread.title,
+    createdAt: thread.createdAt || thread.created_at,
+    updatedAt: thread.updatedAt || thread.updated_at
+  };
+}
+
+/**
+ * Format a stored conversation message for API responses
+ */
+function formatMessage(message) {
+  return {
+    role: message.role,
+    content: message.content,
+    metadata: message.metadata || {},
+    timestamp: message.timestamp
+  };
+}
+
+/**
+ * Load a thread and make sure it belongs to the user
+ */
+async function getOwnedThread(threadId, userId) {
+  const thread = await storage.getThread(threadId);
+  if (!thread || (thread.userId || thread.user_id) !== userId) {
+    return null;
+  }
+  return thread;
+}
+
+/**
+ * Build the metadata stored with an assistant message: tool calls and generated images
+ */
+function buildAssistantMetadata(toolResults = []) {
+  return {
+    toolCalls: toolResults.map(tr => ({
+      tool: tr.name,
+      success: tr.result?.success !== false
+    })),
+    images: toolResults
+      .filter(tr => tr.name === 'generate-image' && tr.result?.success)
+      .flatMap(tr => (tr.result.images || [{ imageUrl: tr.result.imageUrl }]).map(image => ({
+        imageUrl: image.imageUrl,
+        title: tr.result.metadata?.title,
+        model: tr.result.metadata?.model?.id,
+        prompt: tr.result.metadata?.prompt
+      })))
+  };
+}
+
 /**
  * POST /api/agent/chat
  * Stream conversational responses with automatic tool calling
- * Body: { userId, message, conversationHistory?, state? }
+ * History is loaded from and appended to the thread on the server
+ * Requires a session or an API key with the chat scope; the thread belongs to that user
+ * Images the model generates take the generate rate limit and count against the daily quota
+ * Body: { message, threadId?, state? }
  */
-router.post('/chat', async (req, res) => {
+router.post('/chat', authService.middleware({ required: true, scope: 'chat' }), rateLimitService.middleware({ route: 'chat' }), async (req, res) => {
   // Set up Server-Sent Events headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -27,18 +91,10 @@ router.post('/chat', async (req, res) => {
   res.flushHeaders();
 
   try {
-    const { userId, message, conversationHistory, state } = req.body;
+    const { message, threadId, conversationHistory, state } = req.body;
+    const user = req.user;
 
     // Validate input
-    if (!userId || typeof userId !== 'string') {
-      res.write(`data: ${JSON.stringify({ 
-        type: 'error', 
-        error: 'userId is required' 
-      })}\n\n`);
-      res.end();
-      return;
-    }
-
     if (!message || typeof message !== 'string') {
       res.write(`data: ${JSON.stringify({ 
         type: 'error', 
@@ -48,46 +104,82 @@ router.post('/chat', async (req, res) => {
       return;
     }
 
-    // Ensure user profile exists for conversation tracking
-    let user = await storage.getUser(userId);
-    if (!user) {
-      const placeholderWallet = `placeholder-${userId}-${randomUUID()}`;
-      user = await storage.createUser({
-        id: userId,
-        username: userId,
-        wallet_address: placeholderWallet,
-        wallet_private_key: `placeholder-key-${randomUUID()}`,
-        balance: 0
+    // Resume the requested thread or start a new one
+    let thread;
+    if (threadId) {
+      thread = await getOwnedThread(threadId, user.id);
+      if (!thread) {
+        res.write(`data: ${JSON.stringify({
+          type: 'error',
+          error: 'Thread not found'
+        })}\n\n`);
+        res.end();
+        return;
+      }
+    } else {
+      thread = await storage.createThread({
+        id: randomUUID(),
+        userId: user.id,
+        title: message.trim().substring(0, 60) || 'New conversation'
       });
-
-      res.write(`data: ${JSON.stringify({
-        type: 'system',
-        content: '👋 Created a new profile for you.'
-      })}\n\n`);
-
-      console.log('[Agent API] Created new user profile:', userId);
     }
 
-    console.log('[Agent API] Stream request for user:', userId);
+    res.write(`data: ${JSON.stringify({
+      type: 'thread',
+      thread: formatThread(thread)
+    })}\n\n`);
+
+    // Server-side history wins; client-sent history is only used to seed an empty thread
+    const storedHistory = await storage.getConversation(user.id, thread.id);
+    const history = storedHistory.length > 0
+      ? storedHistory.map(formatMessage)
+      : (conversationHistory || []);
+
+    await storage.addConversation(user.id, {
+      threadId: thread.id,
+      role: 'user',
+      content: message
+    });
+
+    console.log('[Agent API] Stream request for user:', user.id, 'thread:', thread.id);
     console.log('[Agent API] Message:', message.substring(0, 50));
 
+    // Stop running tool rounds once the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
     // Stream Gemini responses and tool calls
     await streamGeminiOrchestrator({
       userId: user.id,
+      caller: { user, auth: req.auth, ip: req.ip },
       message,
-      conversationHistory: conversationHistory || [],
+      conversationHistory: history,
       state: state || {},
+      signal: abortController.signal,
       onChunk: (chunk) => {
         // Send each chunk as Server-Sent Event
         if (!res.writableEnded) {
           res.write(`data: ${JSON.stringify(chunk)}\n\n`);
         }
       },
-      onComplete: (finalResult) => {
-        console.log('[Agent API] Stream complete for user:', userId);
+      onComplete: async (finalResult) => {
+        console.log('[Agent API] Stream complete for user:', user.id);
+
+        try {
+          await storage.addConversation(user.id, {
+            threadId: thread.id,
+            role: 'assistant',
+            content: finalResult.fullText || '',
+            metadata: buildAssistantMetadata(finalResult.toolResults)
+          });
+        } catch (error) {
+          console.error('[Agent API] Failed to persist assistant message:', error);
+        }
+
         if (!res.writableEnded) {
           res.write(`data: ${JSON.stringify({ 
             type: 'done', 
+            threadId: thread.id,
             ...finalResult 
           })}\n\n`);
           res.end();
@@ -116,17 +208,178 @@ router.post('/chat', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/agent/threads
+ * List the signed-in user's conversation threads, most recently active first
+ */
+router.get('/threads', authService.middleware({ required: true, scope: 'chat' }), async (req, res) => {
+  try {
+    const threads = await storage.getUserThreads(req.user.id);
+
+    res.json({
+      success: true,
+      total: threads.length,
+      threads: threads.map(formatThread)
+    });
+  } catch (error) {
+    console.error('[Agent API] List threads error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/agent/threads/:threadId
+ * Fetch a thread with its messages
+ */
+router.get('/threads/:threadId', authService.middleware({ required: true, scope: 'chat' }), async (req, res) => {
+  try {
+    const thread = await getOwnedThread(req.params.threadId, req.user.id);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        error: 'Thread not found'
+      });
+    }
+
+    const messages = await storage.getConversation(req.user.id, thread.id);
+
+    res.json({
+      success: true,
+      thread: formatThread(thread),
+      messages: messages.map(formatMessage)
+    });
+  } catch (error) {
+    console.error('[Agent API] Get thread error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/agent/threads/:threadId
+ * Rename a thread
+ * Body: { title }
+ */
+router.patch('/threads/:threadId', authService.middleware({ required: true, scope: 'chat' }), async (req, res) => {
+  try {
+    const { title } = req.body || {};
+
+    if (!title || typeof title !== 'string' || title.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'title is required and must be a non-empty string'
+      });
+    }
+
+    const thread = await getOwnedThread(req.params.threadId, req.user.id);
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        error: 'Thread not found'
+      });
+    }
+
+    const updated = await storage.updateThread(thread.id, { title: title.trim().substring(0, 255) });
+
+    res.json({
+      success: true,
+      thread: formatThread(updated)
+    });
+  } catch (error) {
+    console.error('[Agent API] Rename thread error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/agent/threads/:threadId
+ * Delete a thread and its messages
+ */
+router.delete('/threads/:threadId', authService.middleware({ required: true, scope: 'chat' }), async (req, res) => {
+  try {
+    const thread = await getOwnedThread(req.params.threadId, req.user.id);
+
+    if (!thread) {
+      return res.status(404).json({
+        success: false,
+        error: 'Thread not found'
+      });
+    }
+
+    await storage.deleteThread(thread.id);
+
+    res.json({
+      success: true,
+      deleted: thread.id
+    });
+  } catch (error) {
+    console.error('[Agent API] Delete thread error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Webhook targets of a generation request (camelCase or snake_case), checked before any work starts
+ * @returns {Object} { webhooks: { start, success, failure } } or { error } to send back as a 400
+ */
+async function resolveWebhooks(body = {}) {
+  const webhooks = {
+    start: body.startWebhookUrl || body.start_webhook_url,
+    success: body.successWebhookUrl || body.success_webhook_url,
+    failure: body.failureWebhookUrl || body.failure_webhook_url
+  };
+
+  const urls = Object.values(webhooks).filter(Boolean);
+  if (urls.length > 0 && !webhookService.isEnabled()) {
+    return { error: 'Webhooks are disabled on this server - remove the webhook URLs' };
+  }
+
+  try {
+    for (const url of urls) {
+      await webhookService.checkTarget(url);
+    }
+  } catch (error) {
+    return { error: error.message };
+  }
+
+  return { webhooks };
+}
+
 /**
  * POST /api/agent/generate
  * LLM-orchestrated image generation with intelligent model selection
- * Body: { userId, prompt, referenceImages?, preferredModelId?, aspectRatio?, style?, extraParams? }
+ * Body: { prompt, referenceImages?, count?, mode?, image?, mask?, preferredModelId?, aspectRatio?, style?, extraParams?,
+ *         startWebhookUrl?, successWebhookUrl?, failureWebhookUrl? }
+ * mode "inpaint" repaints the white region of mask on image (each a URL or data URI)
+ * With a session or an API key (generate scope) the generation is recorded for its user
+ * With credits enabled, authentication is required and the generation is charged to the caller's
+ * balance (402 when too low); a generation that fails is refunded
+ * Rate limited and counted against the caller's daily generation quota (429 with Retry-After)
  */
-router.post('/generate', async (req, res) => {
+router.post('/generate', authService.middleware({ scope: 'generate' }), idempotencyService.middleware(), rateLimitService.middleware({ route: 'generate', quota: true }), async (req, res) => {
+  let webhooks = {};
+  let quote = null;
+
   try {
     const {
-      userId,
       prompt,
       referenceImages,
+      count,
+      mode,
+      image,
+      mask
     } = req.body || {};
 
     // Validate prompt
@@ -137,19 +390,67 @@ router.post('/generate', async (req, res) => {
       });
     }
 
+    let imageCount;
+    let inpaint;
+    let references;
+    try {
+      imageCount = parseImageCount(count);
+      inpaint = parseInpaintInput({ mode, image, mask });
+      references = parseReferenceImages(referenceImages);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const resolved = await resolveWebhooks(req.body);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error
+      });
+    }
+    webhooks = resolved.webhooks;
+
+    try {
+      quote = await quoteForCredits(req.user?.id, {
+        prompt,
+        referenceImages: references,
+        count: imageCount,
+        inpaint
+      });
+    } catch (error) {
+      if (error.code !== 'AUTH_REQUIRED') throw error;
+      return res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    webhookService.dispatch(webhookService.events.started, webhooks.start, { prompt }, req.user?.id);
+
     // Use Gemini orchestrator for intelligent generation
     const result = await generateWithGeminiOrchestratorGx({
-      userId: null,
+      userId: req.user?.id || null,
       prompt: prompt.trim(),
-      referenceImages: referenceImages || [],
+      referenceImages: references,
+      count: imageCount,
+      inpaint,
+      quote,
       state: {}
     });
 
     if (result.success) {
+      webhookService.dispatch(webhookService.events.succeeded, webhooks.success, { result }, req.user?.id);
+
       res.json({
         success: true,
         imageUrl: result.imageUrl,
+        images: result.images,
+        requestId: result.requestId,
         metadata: result.metadata,
+        modelUsed: result.modelUsed,
         reasoning: result.reasoning,
         refinedData: result.refinedData,
         safetyCheck: result.safetyCheck,
@@ -159,6 +460,12 @@ router.post('/generate', async (req, res) => {
         }
       });
     } else {
+      webhookService.dispatch(webhookService.events.failed, webhooks.failure, {
+        error: result.error || 'Image generation failed',
+        reasoning: result.reasoning,
+        safetyCheck: result.safetyCheck
+      }, req.user?.id);
+
       // Check if it's a content policy violation
       const statusCode = result.safetyCheck?.safe === false ? 400 : 500;
       
@@ -174,6 +481,16 @@ router.post('/generate', async (req, res) => {
       });
     }
   } catch (error) {
+    webhookService.dispatch(webhookService.events.failed, webhooks.failure, {
+      error: error.message || 'Image generation failed'
+    }, req.user?.id);
+    if (error.code === 'INSUFFICIENT_CREDITS') {
+      return res.status(402).json({
+        success: false,
+        error: `Insufficient credits: this generation costs $${quote.priceUsd}. Top up with POST /api/credits/topup`,
+        quote
+      });
+    }
     console.error('[Agent API] Generate workflow error:', error);
     res.status(500).json({
       success: false,
@@ -182,203 +499,271 @@ router.post('/generate', async (req, res) => {
   }
 });
 
+const X402_VERSION = 1;
+
 /**
- * POST /api/agent/generate-x402
- * LLM-orchestrated image generation with intelligent model selection
- * Body: { userId, prompt, referenceImages?, preferredModelId?, aspectRatio?, style?, extraParams? }
+ * Paid generation in verify-then-settle mode
+ * The X-PAYMENT header is verified before generating and settled only when an image was produced:
+ * a rejected prompt or a failed generation is never charged. Every payment is recorded in transactions.
+ * Body: { quoteId, prompt, referenceImages?, count?, startWebhookUrl?, successWebhookUrl?, failureWebhookUrl? }
  */
-router.post('/generate-x402', async (req, res) => {
+async function generateWithVerifiedPayment(req, res) {
   // Support both camelCase and snake_case naming conventions
   const prompt = req.body?.prompt;
   const referenceImages = req.body?.referenceImages || req.body?.reference_images;
-  const startWebhookUrl = req.body?.startWebhookUrl || req.body?.start_webhook_url;
-  const successWebhookUrl = req.body?.successWebhookUrl || req.body?.success_webhook_url;
-  const failureWebhookUrl = req.body?.failureWebhookUrl || req.body?.failure_webhook_url;
-  
-  console.log('[DEBUG] Extracted webhooks:', {
-    startWebhookUrl,
-    successWebhookUrl,
-    failureWebhookUrl
-  });
-  
+
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'prompt is required and must be a non-empty string'
+    });
+  }
+
+  const { webhooks, error: webhookError } = await resolveWebhooks(req.body);
+  if (webhookError) {
+    return res.status(400).json({
+      success: false,
+      error: webhookError
+    });
+  }
+
+  const { quote, error: quoteError } = pricingService.resolveQuote(req.body);
+  if (quoteError) {
+    return res.status(400).json({
+      success: false,
+      error: quoteError
+    });
+  }
+
+  if (!paymentService.isEnabled()) {
+    return res.status(503).json({
+      success: false,
+      error: 'x402 payments are not configured'
+    });
+  }
+
   try {
-    // Validate prompt
-    if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'prompt is required and must be a non-empty string'
+    const requirements = await paymentService.preparePayment({
+      priceUsd: quote.priceUsd,
+      resource: `${req.protocol}://${req.headers.host}${req.baseUrl}${req.path}?quote=${quote.id}`,
+      description: `Create Image with Lana Agent (${quote.count} x ${quote.model.name}, quote ${quote.id})`
+    });
+
+    const paymentHeader = req.header('X-PAYMENT');
+    if (!paymentHeader) {
+      return res.status(402).json({
+        x402Version: X402_VERSION,
+        error: 'X-PAYMENT header is required',
+        accepts: requirements
       });
     }
 
-    // if (!req.headers['x-payment']) {
-    //   const paymentRequirements = await paymentService.preparePayment();
-    //   return res.status(402).json({
-    //     accepts: paymentRequirements,
-    //     error: "X-PAYMENT header is required",
-    //     x402Version: 1
-    //   });
-    // }
-    
-    // start when request header X-PAYMENT is present
-    let paymentMetadata = null;
-    // if (req.headers['x-payment']) {
-      // const paymentHeader = req.headers['x-payment'];
-      // prepare payment
-      // const paymentRequirements = await paymentService.preparePayment();
-      // verify payment first
-      // const paymentResponse = await paymentService.verifyPayment(paymentHeader, paymentRequirements);
-      // if (!paymentResponse.success) {
-      //   return res.status(400).json({
-      //     success: false,
-      //     error: paymentResponse.error || 'Payment failed'
-      //   });
-      // }
-      // console.log('payment verified:', paymentResponse);
-      // console.log('payer:', paymentResponse.verification.payer, bs58.default.decode(paymentResponse.verification.payer));
-
-      if (startWebhookUrl) {
-        console.log('trigger startwebhook on url:', startWebhookUrl);
-        fetch(startWebhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            prompt: prompt,
-          })
-        });
+    let verification;
+    try {
+      ({ verification } = await paymentService.verifyPayment(paymentHeader, requirements));
+    } catch (error) {
+      return res.status(402).json({
+        x402Version: X402_VERSION,
+        error: error.message,
+        accepts: requirements
+      });
+    }
+
+    const payment = {
+      quoteId: quote.id,
+      priceUsd: quote.priceUsd,
+      payer: verification.payer || null
+    };
+    const recordPayment = (status, details = {}) => paymentService.recordPayment({
+      status,
+      priceUsd: quote.priceUsd,
+      payer: payment.payer,
+      signature: details.signature,
+      network: details.network,
+      metadata: {
+        route: `${req.baseUrl}${req.path}`,
+        quoteId: quote.id,
+        model: quote.model.id,
+        ...details.metadata
       }
+    });
 
-      // Use Gemini orchestrator for intelligent generation
-      const result = await generateWithGeminiOrchestrator({
-        userId: null,
+    webhookService.dispatch(webhookService.events.started, webhooks.start, { prompt }, req.user?.id);
+
+    let result;
+    try {
+      result = await generateWithGeminiOrchestratorGx({
+        userId: req.user?.id || null,
         prompt: prompt.trim(),
         referenceImages: referenceImages || [],
+        count: quote.count,
+        modelId: quote.model.id,
+        aspectRatio: quote.aspectRatio,
         state: {}
       });
+    } catch (error) {
+      console.error('[Agent API] Paid generation error:', error);
+      result = { success: false, error: error.message || 'Image generation failed' };
+    }
 
-      if (result.success) {
-        if(successWebhookUrl){
-          console.log('trigger successwebhook on url:', successWebhookUrl);
-          fetch(successWebhookUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              result: result,
-              paymentMetadata: paymentMetadata
-            })
-          });
-        }
-        res.json({
-          success: true,
-          imageUrl: result.imageUrl,
-          metadata: {
-            ...result.metadata,
-            payment: paymentMetadata
-          },
-          reasoning: result.reasoning,
-          refinedData: result.refinedData,
-          safetyCheck: result.safetyCheck,
-          phaseTimings: result.phaseTimings,
-          workflow: {
-            toolCalls: result.toolCalls
-          }
-        });
-
-        // settle payment
-        // const paymentResponse = await paymentService.settleOnlyPayment(paymentHeader, paymentRequirements);
-        // if (!paymentResponse.success) {
-        //   console.error('[Agent API] Payment settlement failed:', paymentResponse.error);
-        // }
-        // paymentMetadata = paymentResponse.settlement;
-
-        // if(successWebhookUrl){
-        //   console.log('trigger successwebhook on url:', successWebhookUrl);
-        //   fetch(successWebhookUrl, {
-        //     method: 'POST',
-        //     headers: {
-        //       'Content-Type': 'application/json'
-        //     },
-        //     body: JSON.stringify({
-        //       result: result,
-        //       paymentMetadata: paymentMetadata
-        //     })
-        //   });
-        // }
-      } else {
-        if(failureWebhookUrl){
-          console.log('trigger failurewebhook on url:', failureWebhookUrl);
-          fetch(failureWebhookUrl, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              error: result.error || 'Image generation failed',
-              reasoning: result.reasoning,
-              safetyCheck: result.safetyCheck
-            })
-          });
+    // No image, no charge: the verified payment is released unsettled
+    if (!result.success) {
+      await recordPayment('released', { metadata: { reason: result.error || 'Image generation failed' } });
+
+      webhookService.dispatch(webhookService.events.failed, webhooks.failure, {
+        error: result.error || 'Image generation failed',
+        reasoning: result.reasoning,
+        safetyCheck: result.safetyCheck
+      }, req.user?.id);
+
+      const statusCode = result.safetyCheck?.safe === false ? 400 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        error: result.error || 'Image generation failed',
+        safetyCheck: result.safetyCheck,
+        phaseTimings: result.phaseTimings,
+        reasoning: result.reasoning,
+        payment: { ...payment, settled: false },
+        workflow: {
+          toolCalls: result.toolCalls
         }
-        
-        // Check if it's a content policy violation
-        const statusCode = result.safetyCheck?.safe === false ? 400 : 500;
-        
-        res.status(statusCode).json({
-          success: false,
-          error: result.error || 'Image generation failed',
-          safetyCheck: result.safetyCheck,
-          phaseTimings: result.phaseTimings,
-          reasoning: result.reasoning,
-          workflow: {
-            toolCalls: result.toolCalls
-          }
-        });
-      }
-      
-    // }
-  } catch (error) {
-    console.log('failurewebhook url:', failureWebhookUrl);
-    if(failureWebhookUrl){
-      console.log('trigger failurewebhook on url:', failureWebhookUrl);
-      fetch(failureWebhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          error: error.message || 'Image generation failed',
-        })
       });
     }
-    console.error('[Agent API] Generate workflow error:', error);
+
+    const settlement = await paymentService.settleOnlyPayment(paymentHeader, requirements);
+    if (!settlement.success) {
+      await recordPayment('failed', { metadata: { reason: settlement.error, requestId: result.requestId } });
+
+      return res.status(402).json({
+        x402Version: X402_VERSION,
+        error: settlement.error || 'Payment settlement failed',
+        accepts: requirements
+      });
+    }
+
+    await recordPayment('completed', {
+      signature: settlement.settlement.transaction,
+      network: settlement.settlement.network,
+      metadata: { requestId: result.requestId }
+    });
+    pricingService.consumeQuote(quote.id);
+
+    const paymentMetadata = {
+      ...payment,
+      settled: true,
+      transaction: settlement.settlement.transaction,
+      network: settlement.settlement.network
+    };
+
+    webhookService.dispatch(webhookService.events.succeeded, webhooks.success, { result, paymentMetadata }, req.user?.id);
+
+    res.setHeader('X-PAYMENT-RESPONSE', settleResponseHeader(settlement.settlement.raw));
+    res.json({
+      success: true,
+      imageUrl: result.imageUrl,
+      images: result.images,
+      requestId: result.requestId,
+      metadata: {
+        ...result.metadata,
+        payment: paymentMetadata
+      },
+      reasoning: result.reasoning,
+      refinedData: result.refinedData,
+      safetyCheck: result.safetyCheck,
+      phaseTimings: result.phaseTimings,
+      workflow: {
+        toolCalls: result.toolCalls
+      }
+    });
+  } catch (error) {
+    console.error('[Agent API] Paid generation workflow error:', error);
+    webhookService.dispatch(webhookService.events.failed, webhooks.failure, {
+      error: error.message || 'Image generation failed'
+    }, req.user?.id);
     res.status(500).json({
       success: false,
       error: error.message || 'Image generation failed'
     });
   }
-});
+}
 
 /**
  * POST /api/agent/generate-x402
- * LLM-orchestrated image generation with intelligent model selection
- * Body: { userId, prompt, referenceImages?, preferredModelId?, aspectRatio?, style?, extraParams? }
+ * Paid orchestrated generation, always verify-then-settle (see generateWithVerifiedPayment)
+ * Paid generations are rate limited but not counted against the daily quota
+ */
+router.post('/generate-x402', authService.middleware({ scope: 'generate' }), idempotencyService.middleware(), rateLimitService.middleware({ route: 'generate' }), generateWithVerifiedPayment);
+
+/**
+ * POST /api/agent/quote
+ * Price a paid generation before paying for it
+ * Body: { prompt, referenceImages?, count?, modelId?, aspectRatio? }
+ * Without modelId the prompt is refined and the best-matching model is quoted
+ * The quote pins the model and aspect ratio; pass its id as quoteId to /generate-x402-simple
+ * Rate limited per API key, user or IP (429 with Retry-After)
+ */
+router.post('/quote', authService.middleware({ scope: 'generate' }), rateLimitService.middleware({ route: 'quote' }), async (req, res) => {
+  const prompt = req.body?.prompt;
+  const referenceImages = req.body?.referenceImages || req.body?.reference_images || [];
+  const { modelId, aspectRatio } = req.body || {};
+
+  if (!prompt || typeof prompt !== 'string' || prompt.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'prompt is required and must be a non-empty string'
+    });
+  }
+
+  let count;
+  try {
+    count = parseImageCount(req.body?.count);
+    parseReferenceImages(referenceImages);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  try {
+    const { requestHash, ...quote } = await pricingService.createQuote({
+      prompt,
+      referenceImages,
+      count,
+      modelId,
+      aspectRatio
+    });
+
+    res.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('[Agent API] Quote error:', error);
+    res.status(error.message.includes('not found') ? 400 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/agent/generate-x402-simple
+ * Paid (x402) orchestrated generation, charged at the price of its quote
+ * Body: { quoteId, prompt, referenceImages?, count?, startWebhookUrl?, successWebhookUrl?, failureWebhookUrl? }
+ * The x402 paywall in server.js authenticates the caller, checks the quote and sets req.quote; with
+ * X402_SETTLEMENT=always it also settles the payment, otherwise the payment is handled here in
+ * verify-then-settle mode
  */
-router.post('/generate-x402-simple', async (req, res) => {
+router.post('/generate-x402-simple', rateLimitService.middleware({ route: 'generate' }), async (req, res) => {
+  if (config.x402.settlement === 'on-success') {
+    return generateWithVerifiedPayment(req, res);
+  }
+
   // Support both camelCase and snake_case naming conventions
   const prompt = req.body?.prompt;
   const referenceImages = req.body?.referenceImages || req.body?.reference_images;
-  const startWebhookUrl = req.body?.startWebhookUrl || req.body?.start_webhook_url;
-  const successWebhookUrl = req.body?.successWebhookUrl || req.body?.success_webhook_url;
-  const failureWebhookUrl = req.body?.failureWebhookUrl || req.body?.failure_webhook_url;
-  
-  console.log('[DEBUG] Extracted webhooks:', {
-    startWebhookUrl,
-    successWebhookUrl,
-    failureWebhookUrl
-  });
+  let webhooks = {};
 
   let paymentMetadata = {}
   
@@ -390,25 +775,35 @@ router.post('/generate-x402-simple', async (req, res) => {
         error: 'prompt is required and must be a non-empty string'
       });
     }
-    
-    if (startWebhookUrl) {
-      console.log('trigger startwebhook on url:', startWebhookUrl);
-      fetch(startWebhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          prompt: prompt,
-        })
+
+    const resolved = await resolveWebhooks(req.body);
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        error: resolved.error
       });
     }
+    webhooks = resolved.webhooks;
+
+    webhookService.dispatch(webhookService.events.started, webhooks.start, { prompt }, req.user?.id);
+
+    // The quote fixes the model, aspect ratio and count that were priced
+    const quote = req.quote;
+    if (quote) {
+      paymentMetadata = {
+        quoteId: quote.id,
+        priceUsd: quote.priceUsd,
+        model: quote.model.id
+      };
+    }
 
-    // Use Gemini orchestrator for intelligent generation
-    const result = await generateWithGeminiOrchestrator({
-      userId: null,
+    const result = await generateWithGeminiOrchestratorGx({
+      userId: req.user?.id || null,
       prompt: prompt.trim(),
       referenceImages: referenceImages || [],
+      count: quote?.count || 1,
+      modelId: quote?.model.id,
+      aspectRatio: quote?.aspectRatio,
       state: {}
     });
 
@@ -426,26 +821,36 @@ router.post('/generate-x402-simple', async (req, res) => {
         return;
       }
 
-      const settleResponse = settleResponseFromHeader(String(paymentHeader));
-      if(successWebhookUrl){
-        console.log('trigger successwebhook on url:', successWebhookUrl);
-        fetch(successWebhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            result: result,
-            paymentMetadata: settleResponse
-          })
-        });
+      if (quote) {
+        pricingService.consumeQuote(quote.id);
       }
+
+      const settleResponse = settleResponseFromHeader(String(paymentHeader));
+      await paymentService.recordPayment({
+        status: 'completed',
+        priceUsd: quote?.priceUsd,
+        network: settleResponse.network,
+        payer: settleResponse.payer,
+        signature: settleResponse.transaction,
+        metadata: {
+          route: `${req.baseUrl}${req.path}`,
+          quoteId: quote?.id || null,
+          requestId: result.requestId
+        }
+      });
+
+      webhookService.dispatch(webhookService.events.succeeded, webhooks.success, {
+        result: result,
+        paymentMetadata: settleResponse
+      }, req.user?.id);
     });
 
     if (result.success) {
       res.json({
         success: true,
         imageUrl: result.imageUrl,
+        images: result.images,
+        requestId: result.requestId,
         metadata: {
           ...result.metadata,
           payment: paymentMetadata
@@ -459,20 +864,11 @@ router.post('/generate-x402-simple', async (req, res) => {
         }
       });
     } else {
-      if(failureWebhookUrl){
-        console.log('trigger failurewebhook on url:', failureWebhookUrl);
-        fetch(failureWebhookUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            error: result.error || 'Image generation failed',
-            reasoning: result.reasoning,
-            safetyCheck: result.safetyCheck
-          })
-        });
-      }
+      webhookService.dispatch(webhookService.events.failed, webhooks.failure, {
+        error: result.error || 'Image generation failed',
+        reasoning: result.reasoning,
+        safetyCheck: result.safetyCheck
+      }, req.user?.id);
       
       // Check if it's a content policy violation
       const statusCode = result.safetyCheck?.safe === false ? 400 : 500;
@@ -489,19 +885,9 @@ router.post('/generate-x402-simple', async (req, res) => {
       });
     }
   } catch (error) {
-    console.log('failurewebhook url:', failureWebhookUrl);
-    if(failureWebhookUrl){
-      console.log('trigger failurewebhook on url:', failureWebhookUrl);
-      fetch(failureWebhookUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          error: error.message || 'Image generation failed',
-        })
-      });
-    }
+    webhookService.dispatch(webhookService.events.failed, webhooks.failure, {
+      error: error.message || 'Image generation failed'
+    }, req.user?.id);
     console.error('[Agent API] Generate workflow error:', error);
     res.status(500).json({
       success: false,
@@ -515,15 +901,15 @@ router.post('/generate-x402-simple', async (req, res) => {
  * Check if orchestrator is available
  */
 router.get('/status', (req, res) => {
-  const { config } = require('../config/env.config');
-  const isConfigured = !!config.gemini.apiKey;
+  const isConfigured = config.features.orchestratorEnabled;
   
   res.json({
     success: true,
     orchestratorAvailable: isConfigured,
+    providers: config.llm.phases,
     message: isConfigured 
       ? 'Orchestrator is ready' 
-      : 'Gemini API key not configured'
+      : 'LLM providers not configured'
   });
 });
 
@@ -539,7 +925,7 @@ router.get('/user/:userId', async (req, res) => {
     if (!user) {
       return res.status(404).json({
         success: false,
-        error: 'User not found. Send a message to /api/agent/chat to create a profile.'
+        error: 'User not found'
       });
     }
 
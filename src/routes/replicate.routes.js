@@ -0,0 +1,62 @@
+/**
+ * Replicate Routes
+ * Webhook receiver for prediction updates
+ *
+ * Mounted before express.json(): the signature covers the exact raw body
+ */
+
+const express = require('express');
+const router = express.Router();
+const replicateWebhookService = require('../services/replicate-webhook.service');
+
+/**
+ * POST /api/replicate/webhook
+ * Verify a Replicate webhook and apply the prediction update
+ * Headers: webhook-id, webhook-timestamp, webhook-signature
+ */
+router.post('/webhook', express.raw({ type: '*/*', limit: '10mb' }), async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+
+    const valid = await replicateWebhookService.verify(req.headers, rawBody);
+    if (!valid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    let prediction;
+    try {
+      prediction = JSON.parse(rawBody);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook body must be JSON'
+      });
+    }
+
+    if (!prediction?.id || !prediction.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook body is not a prediction'
+      });
+    }
+
+    const generation = await replicateWebhookService.handlePrediction(prediction);
+
+    res.json({
+      success: true,
+      predictionId: prediction.id,
+      jobId: generation ? (generation.job_id || generation.jobId) : null
+    });
+  } catch (error) {
+    console.error('[Replicate Webhook] Handler error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Usage Routes
+ * The caller's current rate limit and quota consumption
+ */
+
+const express = require('express');
+const router = express.Router();
+const authService = require('../services/auth.service');
+const rateLimitService = require('../services/rate-limit.service');
+
+/**
+ * GET /api/usage
+ * With a session or API key: the user's quota and that credential's buckets; without: the client IP's
+ */
+router.get('/', authService.middleware(), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      usage: await rateLimitService.getUsage(req)
+    });
+  } catch (error) {
+    console.error('[Usage API] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
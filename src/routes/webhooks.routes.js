@@ -0,0 +1,91 @@
+/**
+ * Webhook Routes
+ * Delivery log of the outgoing generation webhooks and manual redelivery
+ * Requires a session or an API key with the generate scope; each user sees only the deliveries of
+ * their own generations
+ */
+
+const express = require('express');
+const router = express.Router();
+const webhookService = require('../services/webhook.service');
+const authService = require('../services/auth.service');
+
+const MAX_LIST_LIMIT = 200;
+
+router.use(authService.middleware({ required: true, scope: 'generate' }));
+
+/**
+ * GET /api/webhooks/deliveries?status=failed&limit=50
+ * Logged deliveries, newest first (status: pending, delivered, failed or blocked)
+ */
+router.get('/deliveries', async (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 50, MAX_LIST_LIMIT);
+
+  try {
+    res.json({
+      success: true,
+      deliveries: await webhookService.listDeliveries(req.user.id, { status: req.query.status, limit })
+    });
+  } catch (error) {
+    console.error('[Webhooks API] List deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await webhookService.getDelivery(req.params.id, req.user.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('[Webhooks API] Get delivery error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/redeliver
+ * Send a delivery again (same webhook-id, fresh timestamp and signature) with a new round of retries
+ */
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const delivery = await webhookService.redeliver(req.params.id, req.user.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    console.error('[Webhooks API] Redeliver error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+/**
+ * API Key Service
+ * Per-user keys for programmatic clients
+ *
+ * A key is "lana_sk_<random>"; it is shown once at creation and only its SHA-256 is stored.
+ * The first characters (the prefix) identify it in listings and request logs
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+
+const KEY_MARKER = 'lana_sk_';
+const PREFIX_LENGTH = KEY_MARKER.length + 8;
+const MAX_NAME_LENGTH = 100;
+
+const SCOPES = ['generate', 'chat', 'models:admin'];
+
+class ApiKeyService {
+  constructor() {
+    this.scopes = SCOPES;
+  }
+
+  /**
+   * Whether a credential looks like an API key rather than a session token
+   */
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_MARKER);
+  }
+
+  /**
+   * Create a key; throws with code INVALID_API_KEY_REQUEST for a bad name or scope
+   * @param {Object} options - { userId, name, scopes, allowedScopes } - a key cannot get
+   *   scopes its creator does not have (allowedScopes)
+   * @returns {Object} { key, apiKey } - key is the secret, returned only here
+   */
+  async create({ userId, name, scopes, allowedScopes = SCOPES }) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > MAX_NAME_LENGTH) {
+      throw keyError(`name is required (at most ${MAX_NAME_LENGTH} characters)`);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw keyError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw keyError(`Unknown scope(s): ${unknown.join(', ')} (expected ${SCOPES.join(', ')})`);
+    }
+
+    const denied = scopes.filter(scope => !allowedScopes.includes(scope));
+    if (denied.length > 0) {
+      throw keyError(`Your account cannot grant: ${denied.join(', ')}`);
+    }
+
+    const key = `${KEY_MARKER}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = await storage.createApiKey({
+      id: uuidv4(),
+      userId,
+      name: name.trim(),
+      prefix: key.slice(0, PREFIX_LENGTH),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)]
+    });
+
+    console.log(`[API Keys] Created ${apiKey.prefix} for user ${userId} (${apiKey.scopes.join(', ')})`);
+    return { key, apiKey: formatApiKey(apiKey) };
+  }
+
+  async list(userId) {
+    const apiKeys = await storage.getUserApiKeys(userId);
+    return apiKeys.map(formatApiKey);
+  }
+
+  async revoke(userId, id) {
+    const apiKey = await storage.revokeApiKey(id, userId);
+    if (apiKey) {
+      console.log(`[API Keys] Revoked ${apiKey.prefix} for user ${userId}`);
+    }
+    return apiKey ? formatApiKey(apiKey) : null;
+  }
+
+  /**
+   * Resolve a presented key to its (unrevoked) record and user
+   * @returns {Object|null} { apiKey, user }
+   */
+  async authenticate(key) {
+    const apiKey = await storage.getApiKeyByHash(hashKey(key));
+    if (!apiKey || apiKey.revoked_at) return null;
+
+    const user = await storage.getUser(apiKey.user_id);
+    if (!user) return null;
+
+    // Memory storage is synchronous, PostgreSQL returns a promise
+    Promise.resolve(storage.touchApiKey(apiKey.id)).catch(error => {
+      console.error(`[API Keys] Failed to record use of ${apiKey.prefix}:`, error.message);
+    });
+
+    return { apiKey: formatApiKey(apiKey), user };
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function keyError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_API_KEY_REQUEST';
+  return error;
+}
+
+/**
+ * Public fields of a key (never its hash)
+ */
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    createdAt: apiKey.created_at,
+    lastUsedAt: apiKey.last_used_at,
+    revokedAt: apiKey.revoked_at
+  };
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,254 @@
+/**
+ * Auth Service
+ * Username/password accounts and signed session tokens
+ *
+ * Passwords are hashed with scrypt (random salt per password). Session tokens are HS256 JWTs
+ * ({ sub: userId, iat, exp }) signed with AUTH_TOKEN_SECRET and sent as "Authorization: Bearer <token>"
+ *
+ * Programmatic clients use API keys instead (see api-key.service), as a bearer token or X-API-Key.
+ * A key carries its own scopes; a session has every scope its user may grant
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const apiKeyService = require('./api-key.service');
+const { config } = require('../config/env.config');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const HASH_BYTES = 64;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+
+const TOKEN_HEADER = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+
+class AuthService {
+  constructor() {
+    // Development only: validateConfig reports a missing secret as an error in production
+    this.tokenSecret = config.auth.tokenSecret || crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * Create an account; throws with code USERNAME_TAKEN or INVALID_CREDENTIALS_FORMAT
+   */
+  async register({ username, password }) {
+    validateCredentials({ username, password });
+
+    if (await storage.getUserByUsername(username)) {
+      throw authError('Username is already taken', 'USERNAME_TAKEN');
+    }
+
+    const id = uuidv4();
+    const user = await storage.createUser({
+      id,
+      username,
+      // Accounts have no Solana wallet until one is linked
+      wallet_address: `placeholder-${id}`,
+      wallet_private_key: `placeholder-key-${uuidv4()}`,
+      password_hash: await this.hashPassword(password),
+      balance: 0
+    });
+
+    console.log('[Auth] Registered user:', username);
+    return { user, token: this.issueToken(user) };
+  }
+
+  /**
+   * Check a username and password; throws with code INVALID_CREDENTIALS
+   */
+  async login({ username, password }) {
+    // No account has a longer password; refused before hashing so a huge one costs nothing
+    if (typeof password === 'string' && password.length > MAX_PASSWORD_LENGTH) {
+      throw authError('Invalid username or password', 'INVALID_CREDENTIALS');
+    }
+
+    const user = typeof username === 'string' ? await storage.getUserByUsername(username) : null;
+
+    // Hash even for unknown users so response times do not reveal which usernames exist
+    const valid = await this.verifyPassword(String(password || ''), user?.password_hash);
+    if (!user || !valid) {
+      throw authError('Invalid username or password', 'INVALID_CREDENTIALS');
+    }
+
+    return { user, token: this.issueToken(user) };
+  }
+
+  /**
+   * Scopes a user's session has, and the most its API keys can be granted
+   */
+  scopesFor(user) {
+    const isAdmin = !!user.password_hash && config.auth.adminUsernames.includes(user.username.toLowerCase());
+    return apiKeyService.scopes.filter(scope => scope !== 'models:admin' || isAdmin);
+  }
+
+  /**
+   * Express middleware: a valid session token or API key sets req.user (the stored user row)
+   * and req.auth ({ type: 'session' | 'api_key', scopes, keyId, keyPrefix })
+   * Without credentials the request continues anonymously unless required; bad credentials are a 401,
+   * and credentials without `scope` a 403
+   * @param {Object} options - { required, scope, allowApiKeys }
+   */
+  middleware({ required = false, scope = null, allowApiKeys = true } = {}) {
+    return async (req, res, next) => {
+      const [scheme, bearer] = (req.header('Authorization') || '').split(' ');
+      const credential = req.header('X-API-Key') || (scheme === 'Bearer' ? bearer : null);
+
+      if (!credential) {
+        if (!required) return next();
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      try {
+        let auth;
+        if (apiKeyService.isApiKey(credential)) {
+          if (!allowApiKeys) {
+            return res.status(403).json({
+              success: false,
+              error: 'API keys cannot be used here - sign in with a session token'
+            });
+          }
+
+          const resolved = await apiKeyService.authenticate(credential);
+          auth = resolved && {
+            user: resolved.user,
+            type: 'api_key',
+            scopes: resolved.apiKey.scopes,
+            keyId: resolved.apiKey.id,
+            keyPrefix: resolved.apiKey.prefix
+          };
+        } else {
+          const payload = this.verifyToken(credential);
+          const user = payload && await storage.getUser(payload.sub);
+          auth = user && {
+            user,
+            type: 'session',
+            scopes: this.scopesFor(user),
+            keyId: null,
+            keyPrefix: null
+          };
+        }
+
+        if (!auth) {
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired credentials'
+          });
+        }
+
+        const { user, ...details } = auth;
+        const via = details.keyPrefix ? `API key ${details.keyPrefix}` : 'session';
+        console.log(`[Auth] ${req.method} ${req.originalUrl.split('?')[0]} by ${user.id} via ${via}`);
+
+        if (scope && !details.scopes.includes(scope)) {
+          return res.status(403).json({
+            success: false,
+            error: `This ${details.type === 'api_key' ? 'API key' : 'account'} lacks the ${scope} scope`
+          });
+        }
+
+        req.user = user;
+        req.auth = details;
+        next();
+      } catch (error) {
+        console.error('[Auth] Authentication error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({
+      sub: user.id,
+      iat: now,
+      exp: now + config.auth.tokenTtlSeconds
+    }));
+
+    return `${TOKEN_HEADER}.${payload}.${this.signToken(`${TOKEN_HEADER}.${payload}`)}`;
+  }
+
+  /**
+   * Token payload, or null when the signature is wrong or the token expired
+   */
+  verifyToken(token) {
+    const [header, payload, signature] = token.split('.');
+    if (header !== TOKEN_HEADER || !payload || !signature) return null;
+
+    const expected = Buffer.from(this.signToken(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch {
+      return null;
+    }
+  }
+
+  signToken(data) {
+    return crypto.createHmac('sha256', this.tokenSecret).update(data).digest('base64url');
+  }
+
+  /**
+   * scrypt$N$r$p$<salt>$<hash>, base64url
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, HASH_BYTES, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    return ['scrypt', N, r, p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+  }
+
+  async verifyPassword(password, stored) {
+    const [algorithm, N, r, p, salt, hash] = (stored || '').split('$');
+    if (algorithm !== 'scrypt') {
+      await scrypt(password, 'no-such-user', HASH_BYTES, SCRYPT_PARAMS);
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+function validateCredentials({ username, password }) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw authError('username must be 3-32 letters, digits, dots, dashes or underscores', 'INVALID_CREDENTIALS_FORMAT');
+  }
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw authError(`password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`, 'INVALID_CREDENTIALS_FORMAT');
+  }
+}
+
+function authError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,176 @@
+/**
+ * Credits Service
+ * Prepaid USD credit balance: x402 top-ups add to users.balance, billed generations debit it
+ *
+ * Every movement is a row in the transactions table (type CREDIT_TOPUP, CREDIT_DEBIT or CREDIT_REFUND,
+ * signed amount). Ids are derived from what the movement is for, so a replayed top-up or a second
+ * refund for the same job is a no-op
+ *
+ * A top-up's x402 payment is recorded (type PAYMENT) before it is settled, keyed by its X-PAYMENT
+ * header, and moves pending -> settled -> completed. A payment left settled was taken but not yet
+ * credited: sending the same X-PAYMENT again credits it without settling a second time
+ */
+
+const { randomUUID, createHash } = require('crypto');
+const storage = require('../storage');
+
+// Internal movements never touch a chain
+const INTERNAL_CHAIN = 'internal';
+
+class CreditsService {
+  /**
+   * Fetch a user, creating a placeholder profile for first-time users
+   */
+  async ensureUser(userId) {
+    const user = await storage.getUser(userId);
+    if (user) return user;
+
+    console.log('[Credits] Created new user profile:', userId);
+    return await storage.createUser({
+      id: userId,
+      username: userId,
+      wallet_address: `placeholder-${userId}-${randomUUID()}`,
+      wallet_private_key: `placeholder-key-${randomUUID()}`,
+      balance: 0
+    });
+  }
+
+  async getBalance(userId) {
+    const user = await storage.getUser(userId);
+    return Number(user?.balance || 0);
+  }
+
+  async getHistory(userId) {
+    const transactions = await storage.getUserCreditTransactions(userId);
+    return transactions.map(formatTransaction);
+  }
+
+  /**
+   * Record a top-up payment before settling it
+   * Returns the existing record when this X-PAYMENT header was already submitted
+   */
+  async startTopUp({ userId, amountUsd, paymentHeader, network }) {
+    const id = `topup-payment-${createHash('sha256').update(paymentHeader).digest('hex')}`;
+
+    const existing = await storage.getTransaction(id);
+    if (existing) return existing;
+
+    return await storage.createTransaction({
+      id,
+      userId,
+      type: 'PAYMENT',
+      amount: amountUsd,
+      chain: network,
+      status: 'pending',
+      metadata: { purpose: 'topup' }
+    });
+  }
+
+  /**
+   * Mark a top-up payment as settled; from here on it must be credited
+   */
+  async settleTopUp(paymentId, settlement) {
+    return await storage.updateTransaction(paymentId, {
+      status: 'settled',
+      signature: settlement.transaction,
+      metadata: {
+        payer: settlement.payer || null,
+        settlement: { transaction: settlement.transaction, network: settlement.network, payer: settlement.payer || null }
+      }
+    });
+  }
+
+  async failTopUp(paymentId, reason) {
+    return await storage.updateTransaction(paymentId, { status: 'failed', metadata: { reason } });
+  }
+
+  /**
+   * Credit a settled x402 payment
+   * @param {Object} settlement - { transaction, network, payer } from paymentService.settleOnlyPayment
+   * @param {string} paymentId - the startTopUp record, marked completed once credited
+   */
+  async topUp({ userId, amountUsd, settlement, paymentId = null }) {
+    await this.ensureUser(userId);
+
+    const applied = await storage.recordCreditTransaction({
+      id: `topup-${settlement.transaction}`,
+      userId,
+      type: 'CREDIT_TOPUP',
+      amount: amountUsd,
+      chain: settlement.network,
+      signature: settlement.transaction,
+      metadata: { payer: settlement.payer || null }
+    });
+
+    if (paymentId) {
+      await storage.updateTransaction(paymentId, { status: 'completed' });
+    }
+
+    if (!applied) {
+      console.warn(`[Credits] Top-up ${settlement.transaction} was already credited`);
+      return { balance: await this.getBalance(userId), transaction: null };
+    }
+
+    console.log(`[Credits] ${userId} topped up $${amountUsd} (balance $${applied.balance})`);
+    return { balance: applied.balance, transaction: formatTransaction(applied.transaction) };
+  }
+
+  /**
+   * Debit a generation's price and create its row in the same storage transaction
+   * Throws an error with code INSUFFICIENT_CREDITS when the balance is too low
+   * @param {Object} generation - storage.createGeneration input (jobId required)
+   */
+  async debitForGeneration({ userId, amountUsd, generation, quoteId }) {
+    await this.ensureUser(userId);
+
+    const applied = await storage.recordCreditTransaction({
+      id: `debit-${generation.jobId}`,
+      userId,
+      type: 'CREDIT_DEBIT',
+      amount: -amountUsd,
+      chain: INTERNAL_CHAIN,
+      metadata: { jobId: generation.jobId, quoteId: quoteId || null }
+    }, generation);
+
+    console.log(`[Credits] ${userId} charged $${amountUsd} for job ${generation.jobId} (balance $${applied.balance})`);
+    return applied;
+  }
+
+  /**
+   * Return a job's debit to the user; does nothing when the job was not billed or is already refunded
+   */
+  async refundGeneration({ userId, jobId, reason }) {
+    const debit = await storage.getTransaction(`debit-${jobId}`);
+    if (!debit) return null;
+
+    const applied = await storage.recordCreditTransaction({
+      id: `refund-${jobId}`,
+      userId,
+      type: 'CREDIT_REFUND',
+      amount: -Number(debit.amount),
+      chain: INTERNAL_CHAIN,
+      metadata: { jobId, reason }
+    });
+
+    if (applied) {
+      console.log(`[Credits] Refunded $${-Number(debit.amount)} to ${userId} for job ${jobId} (${reason})`);
+    }
+    return applied;
+  }
+}
+
+/**
+ * Normalize a ledger row (memory rows are camelCase, PostgreSQL rows snake_case)
+ */
+function formatTransaction(tx) {
+  return {
+    id: tx.id,
+    type: tx.type,
+    amountUsd: Number(tx.amount),
+    signature: tx.signature || null,
+    metadata: tx.metadata || {},
+    createdAt: tx.created_at || tx.createdAt
+  };
+}
+
+module.exports = new CreditsService();
@@ -0,0 +1,179 @@
+/**
+ * Idempotency Service
+ * Idempotency-Key support for paid and generation endpoints
+ *
+ * The first request with a key claims it in storage together with a fingerprint of its payload,
+ * and its final JSON response is stored. A retry with the same key replays that response, or waits
+ * for it while the original is still running, so a timed-out client never starts a second generation
+ * or settlement. Reusing a key for a different payload is a 409
+ *
+ * Keys are scoped to the route and the caller (the signed-in user, else the client IP), so two
+ * callers choosing the same key never see each other's responses
+ */
+
+const crypto = require('crypto');
+const storage = require('../storage');
+const { config } = require('../config/env.config');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+
+// Responses not stored, so the same key can be retried (payment required, rate limited)
+const RETRYABLE_STATUSES = [402, 429];
+
+// Response headers replayed along with the stored body
+const REPLAYED_HEADERS = ['x-payment-response'];
+
+class IdempotencyService {
+  /**
+   * Express middleware; requests without an Idempotency-Key header pass straight through
+   * Must run after the auth middleware (req.user scopes the key) and before anything that charges
+   * (the x402 paywall) so a replay is never charged again
+   */
+  middleware() {
+    return async (req, res, next) => {
+      const key = req.header(HEADER);
+      if (!key) return next();
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `${HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      const scope = `${req.method} ${req.originalUrl.split('?')[0]} ${this.callerOf(req)}`;
+      const fingerprint = this.fingerprint(req.body);
+
+      try {
+        const record = await this.claim({ scope, key, fingerprint });
+
+        if (record) {
+          if (record.fingerprint !== fingerprint) {
+            return res.status(409).json({
+              success: false,
+              error: `${HEADER} was already used for a different request`
+            });
+          }
+
+          if (record.status !== 'completed') {
+            return res.status(409).json({
+              success: false,
+              error: `A request with this ${HEADER} is still in progress - retry later`
+            });
+          }
+
+          console.log(`[Idempotency] Replaying ${scope} for key ${key}`);
+          return this.replay(res, record);
+        }
+      } catch (error) {
+        console.error('[Idempotency] Key lookup failed:', error);
+        return res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      this.captureResponse(res, { scope, key });
+      next();
+    };
+  }
+
+  /**
+   * Claim the key for this request, waiting while another request holds it
+   * @returns {Object|null} null once claimed, otherwise the stored record (completed, conflicting,
+   *   or still in progress after waitTimeoutMs)
+   */
+  async claim({ scope, key, fingerprint }) {
+    const { ttlMs, waitTimeoutMs, pollIntervalMs } = config.idempotency;
+    const deadline = Date.now() + waitTimeoutMs;
+
+    while (true) {
+      const { record, claimed } = await storage.claimIdempotencyKey({
+        scope,
+        key,
+        fingerprint,
+        expiresAt: new Date(Date.now() + ttlMs)
+      });
+      if (claimed) return null;
+
+      // Released between the insert and the lookup: try to claim it again
+      if (!record) continue;
+
+      if (record.fingerprint !== fingerprint || record.status === 'completed' || Date.now() >= deadline) {
+        return record;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  /**
+   * Store the final JSON response when it is sent
+   * The last res.json() wins (the x402 paywall can replace a response with a 402), and the record
+   * is written from res.end() so it also lands when the client has already disconnected
+   * Responses a retry could still succeed on (402 payment required, 429 rate limited, 5xx, non-JSON)
+   * release the key
+   */
+  captureResponse(res, { scope, key }) {
+    let body;
+    const json = res.json.bind(res);
+    res.json = (value) => {
+      body = value;
+      return json(value);
+    };
+
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      this.finish(res, { scope, key, body }).catch(error => {
+        console.error(`[Idempotency] Failed to store response for key ${key}:`, error.message);
+      });
+      return end(...args);
+    };
+  }
+
+  async finish(res, { scope, key, body }) {
+    if (body === undefined || RETRYABLE_STATUSES.includes(res.statusCode) || res.statusCode >= 500) {
+      await storage.releaseIdempotencyKey(scope, key);
+      return;
+    }
+
+    const responseHeaders = {};
+    for (const name of REPLAYED_HEADERS) {
+      const value = res.getHeader(name);
+      if (value !== undefined) responseHeaders[name] = String(value);
+    }
+
+    await storage.completeIdempotencyKey(scope, key, {
+      responseStatus: res.statusCode,
+      responseHeaders,
+      responseBody: body
+    });
+  }
+
+  /**
+   * Send a stored response (memory rows are camelCase, PostgreSQL rows snake_case)
+   */
+  replay(res, record) {
+    const headers = record.response_headers || record.responseHeaders || {};
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+
+    res.setHeader('Idempotent-Replayed', 'true');
+    res.status(record.response_status || record.responseStatus).json(record.response_body ?? record.responseBody);
+  }
+
+  callerOf(req) {
+    return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  }
+
+  fingerprint(body) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(body || {}))
+      .digest('hex');
+  }
+}
+
+module.exports = new IdempotencyService();
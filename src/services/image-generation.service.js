@@ -6,6 +6,9 @@
 const Replicate = require('replicate');
 const storage = require('../storage'); // Auto-selects PostgreSQL or memory
 const replicateModelsService = require('./replicate-models.service');
+const replicateWebhookService = require('./replicate-webhook.service');
+const assets = require('../assets');
+const { mapInput } = require('./input-mapper.service');
 const { v4: uuidv4 } = require('uuid');
 const { config } = require('../config/env.config');
 
@@ -17,7 +20,8 @@ class ImageGenerationService {
     }
     
     this.replicate = new Replicate({
-      auth: apiToken
+      auth: apiToken,
+      ...(config.replicate.baseUrl && { baseUrl: config.replicate.baseUrl })
     });
   }
 
@@ -82,7 +86,147 @@ class ImageGenerationService {
     }
   }
 
-  async generateImage(modelId, prompt, metadata = {}) {
+  /**
+   * Create a Replicate prediction without waiting for it
+   * @param {Object} options
+   * @param {Function} options.onPrediction - Called with the prediction on create and on every status change
+   */
+  async createPrediction(model, input, { signal, onPrediction } = {}) {
+    // fullName is "owner/name" or a pinned "owner/name:version"
+    const [modelName, version] = model.fullName.split(':');
+
+    const prediction = await this.replicate.predictions.create({
+      ...(version ? { version } : { model: modelName }),
+      input,
+      ...replicateWebhookService.getPredictionOptions(),
+      signal
+    });
+
+    console.log(`   Prediction created: ${prediction.id} (${prediction.status})`);
+    onPrediction?.(prediction);
+
+    return prediction;
+  }
+
+  /**
+   * Wait for a prediction to succeed, fail or be canceled
+   * With webhooks enabled, updates arrive from the webhook receiver and polling is only a safety net
+   * Cancels the prediction when the signal aborts or the timeout is reached
+   */
+  async waitForPrediction(prediction, { signal, onPrediction } = {}) {
+    const terminal = ['succeeded', 'failed', 'canceled'];
+    const deadline = Date.now() + config.replicate.predictionTimeoutMs;
+    let current = prediction;
+    let lastStatus = prediction.status;
+
+    while (!terminal.includes(current.status)) {
+      if (signal?.aborted) {
+        await this.cancelPrediction(current.id);
+        throw new Error('Generation canceled');
+      }
+
+      if (Date.now() > deadline) {
+        await this.cancelPrediction(current.id);
+        throw new Error(`Prediction ${current.id} timed out after ${config.replicate.predictionTimeoutMs}ms`);
+      }
+
+      if (replicateWebhookService.isEnabled()) {
+        current = await replicateWebhookService.waitForUpdate(current.id, current.status, {
+          timeoutMs: config.replicate.webhookPollIntervalMs,
+          signal
+        }) || await this.replicate.predictions.get(current.id);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, config.replicate.pollIntervalMs));
+        current = await this.replicate.predictions.get(current.id);
+      }
+
+      if (current.status !== lastStatus) {
+        lastStatus = current.status;
+        onPrediction?.(current);
+      }
+    }
+
+    if (current.status === 'failed') {
+      throw new Error(`Prediction failed: ${current.error}`);
+    }
+
+    if (current.status === 'canceled') {
+      throw new Error('Prediction was canceled');
+    }
+
+    return current;
+  }
+
+  /**
+   * Cancel a running prediction (errors are logged, not thrown)
+   */
+  async cancelPrediction(predictionId) {
+    try {
+      const prediction = await this.replicate.predictions.cancel(predictionId);
+      console.log(`   Prediction canceled: ${predictionId}`);
+      return prediction;
+    } catch (error) {
+      console.error(`   Failed to cancel prediction ${predictionId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Copy a Replicate delivery URL (which expires) into the asset store
+   * Returns null when storing fails so the generation still succeeds with the original URL
+   */
+  async persistOutput(sourceUrl) {
+    try {
+      const asset = await assets.putFromUrl(sourceUrl);
+      console.log(`   Stored asset ${asset.hash} (${asset.contentType}, ${asset.size} bytes)`);
+      return asset;
+    } catch (error) {
+      console.error(`   Failed to store output in ${assets.backend} asset store:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Resolve one output item (URL string, FileOutput or { url }) to a URL
+   */
+  toOutputUrl(item) {
+    if (typeof item === 'string') return item;
+    if (item && typeof item.url === 'function') return item.url().href;
+    if (item && typeof item === 'object' && item.href) return item.href;
+    if (item && typeof item === 'object' && typeof item.url === 'string') return item.url;
+    return null;
+  }
+
+  /**
+   * Extract every image URL from a prediction output
+   */
+  extractImageUrls(output) {
+    const items = Array.isArray(output) ? output : [output];
+    return items.map(item => this.toOutputUrl(item)).filter(Boolean);
+  }
+
+  /**
+   * Extract the first image URL from a prediction output
+   */
+  extractImageUrl(output) {
+    return this.extractImageUrls(output)[0] || output;
+  }
+
+  /**
+   * Create a prediction and wait for it to finish
+   */
+  async runPrediction(model, input, options = {}) {
+    const prediction = await this.createPrediction(model, input, options);
+    return await this.waitForPrediction(prediction, options);
+  }
+
+  /**
+   * Generate one or more images through the predictions API
+   * metadata.count images come from a single prediction when the model takes a batch size,
+   * otherwise from parallel predictions
+   * @param {Object} options - { signal, onPrediction } for cancellation and progress
+   */
+  async generateImage(modelId, prompt, metadata = {}, options = {}) {
     try {
       this.validatePrompt(prompt);
 
@@ -91,6 +235,7 @@ class ImageGenerationService {
       const dimensions = await this.getDimensions(modelId, aspectRatio);
       const referenceImages = metadata.referenceImages || [];
       const negativePrompt = metadata.negativePrompt;
+      const mask = metadata.mask;
 
       console.log(`🎨 Generating image with ${model.name} (${model.fullName})...`);
       console.log(`   Prompt: ${prompt.substring(0, 100)}...`);
@@ -98,112 +243,90 @@ class ImageGenerationService {
       if (referenceImages.length > 0) {
         console.log(`   Reference Images: ${referenceImages.length}`);
       }
+      if (mask) {
+        console.log('   Mask: provided (inpainting)');
+      }
 
-      // Build input params
-      const inputParams = {
-        prompt: prompt,
-        width: dimensions.width,
-        height: dimensions.height,
-        num_outputs: 1,
-        ...metadata.extraParams
-      };
+      const count = metadata.count || 1;
+
+      // Map the request onto this model's input schema
+      const { input: inputParams, adjustments, outputsPerPrediction } = mapInput(model, {
+        prompt,
+        aspectRatio,
+        dimensions,
+        referenceImages,
+        mask,
+        negativePrompt,
+        count,
+        extraParams: metadata.extraParams
+      });
+
+      const predictionCount = Math.ceil(count / outputsPerPrediction);
+      const inputs = Array.from({ length: predictionCount }, (_, index) => (
+        // A fixed seed would make every parallel prediction return the same image
+        index > 0 && typeof inputParams.seed === 'number'
+          ? { ...inputParams, seed: inputParams.seed + index }
+          : inputParams
+      ));
 
-      // Add negative prompt if provided
-      if (negativePrompt) {
-        inputParams.negative_prompt = negativePrompt;
+      if (predictionCount > 1 && typeof inputParams.seed === 'number') {
+        adjustments.push({ param: 'seed', action: 'computed', from: inputParams.seed, reason: 'offset per parallel prediction' });
       }
 
-      // Add reference images if model supports them
-      if (referenceImages.length > 0) {
-        // Check for image input parameters by exact name (not isImageInput flag)
-        // Models use either "image" (string) or "image_input" (array)
-        const imageParam = model.inputSchema?.image;
-        const imageInputParam = model.inputSchema?.image_input;
-        const imagePrompt = model.inputSchema?.image_prompt;
-        const inputImage = model.inputSchema?.input_image;
-        
-        if (imageInputParam) {
-          // Model uses image_input (array) - supports single or multiple images
-          inputParams.image_input = referenceImages;
-          console.log(`   Using image_input parameter (array)`);
-        } else if (imageParam) {
-          // Model uses image (string) - single image only
-          if (referenceImages.length > 1) {
-            throw new Error(
-              `Model "${model.name}" only accepts single reference image via "image" parameter, ` +
-              `but ${referenceImages.length} images were provided.`
-            );
-          }
-          inputParams.image = referenceImages[0];
-          console.log(`   Using image parameter (string)`);
-        } else if (imagePrompt) {
-          // Model uses image_prompt (string) - single image only
-          if (referenceImages.length > 1) {
-            throw new Error(
-              `Model "${model.name}" only accepts single reference image via "image_prompt" parameter, ` +
-              `but ${referenceImages.length} images were provided.`
-            );
-          }
-          inputParams.image_prompt = referenceImages[0];
-          console.log(`   Using image_prompt parameter (string)`);
-        } else if (inputImage) {
-          // Model uses input_image (string) - single image only
-          if (referenceImages.length > 1) {
-            throw new Error(
-              `Model "${model.name}" only accepts single reference image via "input_image" parameter, ` +
-              `but ${referenceImages.length} images were provided.`
-            );
-          }
-          inputParams.input_image = referenceImages[0];
-          console.log(`   Using input_image parameter (string)`);
-        } else {
-          console.warn(`⚠️  Model "${model.name}" has reference images but no "image" or "image_input" parameter found in schema`);
-        }
+      if (adjustments.length > 0) {
+        console.log(`   Input adjustments: ${adjustments.map(a => `${a.param} ${a.action}`).join(', ')}`);
+      }
+      if (predictionCount > 1) {
+        console.log(`   Running ${predictionCount} predictions in parallel for ${count} images`);
       }
 
-      // Call Replicate API with the model's full name
-      const output = await this.replicate.run(
-        model.fullName,
-        {
-          input: inputParams
-        }
-      );
-
-      console.log('output:', output);
-
-      // Extract image URL from output
-      let imageUrl = output;
-      if (Array.isArray(output) && output.length > 0) {
-        const firstOutput = output[0];
-        if (typeof firstOutput === 'string') {
-          imageUrl = firstOutput;
-        } else if (firstOutput && typeof firstOutput.url === 'function') {
-          imageUrl = firstOutput.url().href;
-        } else if (firstOutput && typeof firstOutput === 'object' && firstOutput.href) {
-          imageUrl = firstOutput.href;
-        }
-      } else if (typeof output === 'string') {
-        imageUrl = output;
-      } else if (typeof output === 'object' && output.href) {
-        imageUrl = output.href;
-      } else if (typeof output === 'object' && output.url) {
-        imageUrl = output.url().href;
-      } else if (typeof output === 'object' && output.url && typeof output.url() === 'function') {
-        imageUrl = output.url().href;
-      } else if (typeof output === 'object' && output.url && typeof output.url() === 'string') {
-        imageUrl = output.url();
+      const runs = await Promise.allSettled(inputs.map(input => this.runPrediction(model, input, options)));
+      const completed = runs.filter(run => run.status === 'fulfilled').map(run => run.value);
+      const failures = runs.filter(run => run.status === 'rejected').map(run => run.reason.message);
+
+      if (options.signal?.aborted) {
+        throw new Error('Generation canceled');
       }
+      if (completed.length === 0) {
+        throw new Error(failures[0]);
+      }
+      if (failures.length > 0) {
+        console.warn(`⚠️  ${failures.length} of ${predictionCount} predictions failed: ${failures.join('; ')}`);
+      }
+
+      const outputs = completed
+        .flatMap(prediction => this.extractImageUrls(prediction.output)
+          .map(sourceUrl => ({ sourceUrl, predictionId: prediction.id })))
+        .slice(0, count);
 
-      console.log(`✅ Image generated: ${imageUrl}`);
+      const images = await Promise.all(outputs.map(async ({ sourceUrl, predictionId }, index) => {
+        const asset = await this.persistOutput(sourceUrl);
+        return {
+          index,
+          imageUrl: asset?.url || sourceUrl,
+          sourceUrl,
+          predictionId,
+          asset: asset && { hash: asset.hash, contentType: asset.contentType, size: asset.size }
+        };
+      }));
+
+      console.log(`✅ Generated ${images.length} image(s): ${images.map(image => image.imageUrl).join(', ')}`);
 
       return {
         success: true,
-        imageUrl,
+        imageUrl: images[0].imageUrl,
+        images,
         metadata: {
           model: modelId,
           dimensions,
           aspectRatio,
-          prompt: prompt.substring(0, 200)
+          prompt: prompt.substring(0, 200),
+          count: images.length,
+          requestedCount: count,
+          ...(failures.length > 0 && { failedPredictions: failures }),
+          inputAdjustments: adjustments,
+          sourceUrl: images[0].sourceUrl,
+          asset: images[0].asset
         }
       };
     } catch (error) {
@@ -212,6 +335,41 @@ class ImageGenerationService {
     }
   }
 
+  /**
+   * Store each generated image as its own generation row, linked by requestId
+   * Returns the images with their generationId (null when the row could not be written)
+   */
+  async recordImages({ requestId, userId, prompt, modelId, images, metadata = {} }) {
+    return await Promise.all(images.map(async (image) => {
+      const generationId = uuidv4();
+
+      try {
+        await storage.createGeneration({
+          jobId: generationId,
+          userId: userId || null,
+          prompt,
+          modelName: modelId,
+          status: 'completed',
+          imageUrl: image.imageUrl,
+          metadata: {
+            ...metadata,
+            type: 'image',
+            requestId,
+            userId: userId || null,
+            index: image.index,
+            sourceUrl: image.sourceUrl,
+            predictionId: image.predictionId,
+            asset: image.asset
+          }
+        });
+        return { ...image, generationId };
+      } catch (error) {
+        console.error(`   Failed to record image ${image.index} of request ${requestId}:`, error.message);
+        return { ...image, generationId: null };
+      }
+    }));
+  }
+
   async createGeneration(walletAddress, modelId, prompt, metadata = {}) {
     const jobId = uuidv4();
 
@@ -226,17 +384,24 @@ class ImageGenerationService {
     });
 
     try {
-      // Generate the image
-      const result = await this.generateImage(modelId, prompt, metadata);
+      // Generate the image, linking every prediction so webhooks can find this row
+      const linkedPredictions = new Set();
+      const result = await this.generateImage(modelId, prompt, metadata, {
+        onPrediction: async (prediction) => {
+          if (linkedPredictions.has(prediction.id)) return;
+          linkedPredictions.add(prediction.id);
+          try {
+            await storage.linkPrediction(jobId, prediction.id);
+          } catch (error) {
+            console.error(`   Failed to link prediction ${prediction.id}:`, error.message);
+          }
+        }
+      });
 
       // Update generation with result
-      await storage.updateGeneration(jobId, {
+      await storage.updateGenerationMetadata(jobId, result.metadata, {
         status: 'completed',
-        image_url: result.imageUrl,
-        metadata: {
-          ...metadata,
-          ...result.metadata
-        }
+        image_url: result.imageUrl
       });
 
       return {
@@ -247,13 +412,7 @@ class ImageGenerationService {
       };
     } catch (error) {
       // Update generation with error
-      await storage.updateGeneration(jobId, {
-        status: 'failed',
-        metadata: {
-          ...metadata,
-          error: error.message
-        }
-      });
+      await storage.updateGenerationMetadata(jobId, { error: error.message }, { status: 'failed' });
 
       throw error;
     }
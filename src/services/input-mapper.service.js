@@ -0,0 +1,378 @@
+/**
+ * Input Mapper Service
+ * Builds Replicate inputs from a generation request using the model's simplified inputSchema
+ * (see extractSimplifiedSchema), and records every change it makes along the way
+ *
+ * Adjustments: { param, action, from?, to?, reason }
+ *   action: 'mapped' | 'computed' | 'coerced' | 'clamped' | 'dropped'
+ */
+
+// Preferred parameters for a single reference image, most specific first
+const SINGLE_IMAGE_PARAMS = ['image', 'input_image', 'image_prompt', 'image_input'];
+
+// Parameters that take a batch size
+const OUTPUT_COUNT_PARAMS = ['num_outputs', 'number_of_images', 'num_images'];
+
+/**
+ * Resolve a local $ref (#/components/schemas/<name>) against an OpenAPI model version
+ */
+function resolveSchemaRef(modelSchema, item) {
+  const ref = item?.$ref;
+  if (!ref || !ref.startsWith('#/components/schemas/')) {
+    return item || {};
+  }
+
+  const name = ref.slice('#/components/schemas/'.length);
+  return modelSchema?.openapi_schema?.components?.schemas?.[name] || {};
+}
+
+/**
+ * Decide whether a schema property takes image URLs
+ * Works on raw OpenAPI properties and on simplified schema entries
+ */
+function isImageInputParam(key, param = {}) {
+  const name = key.toLowerCase();
+
+  if (!['string', 'array'].includes(param.type)) return false;
+  if (/(lora|weights|token)/.test(name)) return false;
+  if (param.format === 'uri' || param.items?.format === 'uri') return true;
+
+  const imageNamed = /(^|_)(image|images|img)(_|$)/.test(name) || /_reference(_url)?$/.test(name) || name.endsWith('_reference_images');
+  const settingNamed = /(size|format|count|number|num|mode|resolution|type|optimizer|generation)/.test(name);
+
+  return imageNamed && !settingNamed;
+}
+
+/**
+ * Image input parameters of a model (masks excluded), preferred parameters first
+ */
+function getImageInputParams(model) {
+  return Object.entries(model.inputSchema || {})
+    .filter(([name, param]) => param.isImageInput === true && !param.isMask && isImageInputParam(name, param))
+    .map(([name, param]) => ({ name, type: param.type }))
+    .sort((a, b) => rankImageParam(a.name) - rankImageParam(b.name));
+}
+
+/**
+ * The model's mask parameter (for inpainting), or null
+ */
+function getMaskParam(model) {
+  const entry = Object.entries(model.inputSchema || {})
+    .find(([, param]) => param.isMask === true && param.type === 'string');
+  return entry ? entry[0] : null;
+}
+
+function rankImageParam(name) {
+  const index = SINGLE_IMAGE_PARAMS.indexOf(name);
+  return index === -1 ? SINGLE_IMAGE_PARAMS.length : index;
+}
+
+function parseRatio(value) {
+  const match = /^(\d+(?:\.\d+)?)[:x](\d+(?:\.\d+)?)$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const ratio = Number(match[1]) / Number(match[2]);
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+/**
+ * Pick the option whose ratio is closest to the requested one (compared on a log scale)
+ */
+function closestRatioOption(options, aspectRatio) {
+  const target = parseRatio(aspectRatio);
+  if (!target) return null;
+
+  let best = null;
+  for (const option of options) {
+    const ratio = parseRatio(option);
+    if (!ratio) continue;
+
+    const distance = Math.abs(Math.log(ratio / target));
+    if (!best || distance < best.distance) {
+      best = { option, distance };
+    }
+  }
+
+  return best?.option ?? null;
+}
+
+/**
+ * Coerce a value to the parameter's type and constraints
+ * Returns { value } or { drop: reason }
+ */
+function coerceValue(name, param, value, adjustments) {
+  let result = value;
+
+  switch (param.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof result === 'number' ? result : Number(result);
+      if (typeof result === 'boolean' || result === '' || result === null || !Number.isFinite(number)) {
+        return { drop: `expected ${param.type}, got ${JSON.stringify(value)}` };
+      }
+      result = param.type === 'integer' ? Math.round(number) : number;
+      break;
+    }
+    case 'boolean':
+      if (typeof result !== 'boolean') {
+        const text = String(result).toLowerCase();
+        if (!['true', 'false', '1', '0'].includes(text)) {
+          return { drop: `expected boolean, got ${JSON.stringify(value)}` };
+        }
+        result = text === 'true' || text === '1';
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(result)) {
+        result = [result];
+      }
+      break;
+    case 'string':
+      if (typeof result !== 'string') {
+        if (result === null || typeof result === 'object') {
+          return { drop: `expected string, got ${JSON.stringify(value)}` };
+        }
+        result = String(result);
+      }
+      break;
+    default:
+      break;
+  }
+
+  if (result !== value && JSON.stringify(result) !== JSON.stringify(value)) {
+    adjustments.push({ param: name, action: 'coerced', from: value, to: result, reason: `converted to ${param.type}` });
+  }
+
+  if (typeof result === 'number') {
+    const clamped = Math.min(
+      param.maximum !== undefined ? param.maximum : Infinity,
+      Math.max(param.minimum !== undefined ? param.minimum : -Infinity, result)
+    );
+    if (clamped !== result) {
+      adjustments.push({
+        param: name,
+        action: 'clamped',
+        from: result,
+        to: clamped,
+        reason: `allowed range is ${param.minimum ?? '-∞'}..${param.maximum ?? '∞'}`
+      });
+      result = clamped;
+    }
+  }
+
+  if (Array.isArray(param.options) && param.options.length > 0 && !param.options.includes(result)) {
+    const match = param.options.find(option => String(option).toLowerCase() === String(result).toLowerCase());
+    if (match === undefined) {
+      return { drop: `${JSON.stringify(result)} is not one of ${param.options.join(', ')}` };
+    }
+    adjustments.push({ param: name, action: 'coerced', from: result, to: match, reason: 'matched option case-insensitively' });
+    result = match;
+  }
+
+  return { value: result };
+}
+
+/**
+ * Map the requested aspect ratio onto the model: its aspect_ratio enum, or computed width/height
+ */
+function mapAspectRatio(schema, { aspectRatio, dimensions }, input, adjustments) {
+  const ratioParam = schema.aspect_ratio;
+
+  if (ratioParam) {
+    const options = ratioParam.options || [];
+
+    if (options.length === 0 || options.includes(aspectRatio)) {
+      input.aspect_ratio = aspectRatio;
+      return;
+    }
+
+    // Models like flux-pro take exact dimensions when aspect_ratio is "custom"
+    if (options.includes('custom') && schema.width && schema.height && dimensions) {
+      input.aspect_ratio = 'custom';
+      input.width = dimensions.width;
+      input.height = dimensions.height;
+      adjustments.push({
+        param: 'aspect_ratio',
+        action: 'computed',
+        from: aspectRatio,
+        to: `custom (${dimensions.width}x${dimensions.height})`,
+        reason: 'ratio not in the model\'s options'
+      });
+      return;
+    }
+
+    const closest = closestRatioOption(options, aspectRatio);
+    if (closest !== null) {
+      input.aspect_ratio = closest;
+      adjustments.push({ param: 'aspect_ratio', action: 'mapped', from: aspectRatio, to: closest, reason: 'closest supported ratio' });
+    } else {
+      adjustments.push({ param: 'aspect_ratio', action: 'dropped', from: aspectRatio, reason: 'no matching option; model default used' });
+    }
+    return;
+  }
+
+  if (schema.width && schema.height && dimensions) {
+    input.width = dimensions.width;
+    input.height = dimensions.height;
+    adjustments.push({
+      param: 'aspect_ratio',
+      action: 'computed',
+      from: aspectRatio,
+      to: `${dimensions.width}x${dimensions.height}`,
+      reason: 'model takes width/height'
+    });
+    return;
+  }
+
+  // e.g. recraft "size": "1024x1024"
+  if (schema.size?.options?.length > 0) {
+    const closest = closestRatioOption(schema.size.options, aspectRatio);
+    if (closest !== null) {
+      input.size = closest;
+      adjustments.push({ param: 'aspect_ratio', action: 'mapped', from: aspectRatio, to: `size=${closest}`, reason: 'closest supported size' });
+      return;
+    }
+  }
+
+  adjustments.push({ param: 'aspect_ratio', action: 'dropped', from: aspectRatio, reason: 'model has no aspect ratio or dimension parameters' });
+}
+
+/**
+ * Put reference images on the model's image parameter
+ */
+function mapReferenceImages(model, referenceImages, input, adjustments) {
+  if (referenceImages.length === 0) return;
+
+  const imageParams = getImageInputParams(model);
+  if (imageParams.length === 0) {
+    throw new Error(`Model "${model.name}" does not accept reference images`);
+  }
+
+  if (referenceImages.length > 1) {
+    const arrayParam = imageParams.find(param => param.type === 'array');
+    if (!arrayParam) {
+      throw new Error(
+        `Model "${model.name}" only accepts single reference image via "${imageParams[0].name}" parameter, ` +
+        `but ${referenceImages.length} images were provided.`
+      );
+    }
+    input[arrayParam.name] = referenceImages;
+    adjustments.push({ param: 'referenceImages', action: 'mapped', to: arrayParam.name, reason: `${referenceImages.length} images` });
+    return;
+  }
+
+  const param = imageParams[0];
+  input[param.name] = param.type === 'array' ? referenceImages : referenceImages[0];
+  adjustments.push({ param: 'referenceImages', action: 'mapped', to: param.name, reason: `${param.type} image parameter` });
+}
+
+/**
+ * Build the Replicate input for a model
+ * @param {Object} model - Model with inputSchema
+ * @param {Object} request - { prompt, aspectRatio, dimensions, referenceImages, mask, negativePrompt, count, extraParams }
+ *   mask (inpainting) goes on the model's mask parameter; the source image is referenceImages[0]
+ * @returns {{ input: Object, adjustments: Array, outputsPerPrediction: number }}
+ */
+function mapInput(model, {
+  prompt,
+  aspectRatio = '1:1',
+  dimensions,
+  referenceImages = [],
+  mask,
+  negativePrompt,
+  count = 1,
+  extraParams = {}
+}) {
+  const schema = model.inputSchema || {};
+  const adjustments = [];
+
+  const maskParam = mask ? getMaskParam(model) : null;
+  if (mask && !maskParam) {
+    throw new Error(`Model "${model.name}" does not accept a mask`);
+  }
+
+  // Without a schema there is nothing to map against: send the generic parameters
+  if (Object.keys(schema).length === 0) {
+    adjustments.push({ param: 'inputSchema', action: 'dropped', reason: 'model has no input schema; sending generic parameters' });
+    return {
+      input: {
+        prompt,
+        ...(dimensions && { width: dimensions.width, height: dimensions.height }),
+        num_outputs: 1,
+        ...(negativePrompt && { negative_prompt: negativePrompt }),
+        ...(referenceImages.length > 0 && { image: referenceImages[0] }),
+        ...extraParams
+      },
+      adjustments,
+      outputsPerPrediction: 1
+    };
+  }
+
+  const input = { prompt };
+
+  mapAspectRatio(schema, { aspectRatio, dimensions }, input, adjustments);
+  mapReferenceImages(model, referenceImages, input, adjustments);
+
+  if (maskParam) {
+    input[maskParam] = mask;
+    adjustments.push({ param: 'mask', action: 'mapped', to: maskParam, reason: 'inpainting mask' });
+  }
+
+  if (negativePrompt) {
+    if (schema.negative_prompt) {
+      input.negative_prompt = negativePrompt;
+    } else {
+      adjustments.push({ param: 'negative_prompt', action: 'dropped', reason: 'not accepted by this model' });
+    }
+  }
+
+  const countParam = OUTPUT_COUNT_PARAMS.find(name => schema[name]);
+  if (countParam && (count > 1 || (schema[countParam].default !== undefined && schema[countParam].default !== 1))) {
+    input[countParam] = count;
+  } else if (count > 1) {
+    adjustments.push({ param: 'count', action: 'mapped', from: count, reason: 'model returns one image per prediction; predictions run in parallel' });
+  }
+
+  for (const [name, value] of Object.entries(extraParams)) {
+    if (value === undefined) continue;
+
+    if (!schema[name]) {
+      adjustments.push({ param: name, action: 'dropped', from: value, reason: 'not accepted by this model' });
+      continue;
+    }
+    input[name] = value;
+  }
+
+  // Coerce and validate everything against the schema
+  for (const [name, value] of Object.entries(input)) {
+    const param = schema[name];
+    if (!param) {
+      if (name !== 'prompt') {
+        delete input[name];
+        adjustments.push({ param: name, action: 'dropped', from: value, reason: 'not accepted by this model' });
+      }
+      continue;
+    }
+
+    const result = coerceValue(name, param, value, adjustments);
+    if (result.drop) {
+      delete input[name];
+      adjustments.push({ param: name, action: 'dropped', from: value, reason: result.drop });
+    } else {
+      input[name] = result.value;
+    }
+  }
+
+  // The schema maximum may cap the batch size; the rest is made up with extra predictions
+  const outputsPerPrediction = countParam && input[countParam] ? input[countParam] : 1;
+
+  return { input, adjustments, outputsPerPrediction };
+}
+
+module.exports = {
+  mapInput,
+  getImageInputParams,
+  getMaskParam,
+  isImageInputParam,
+  resolveSchemaRef
+};
@@ -0,0 +1,342 @@
+/**
+ * Job Service
+ * Runs orchestrated generations in the background and reports their progress
+ *
+ * Jobs are stored as generation rows (job_id, status, image_url, metadata)
+ * Progress events are kept in metadata.events so they can be replayed after the job ends
+ *
+ * A job belongs to its user; an anonymous job to whoever holds the access token returned when it
+ * was created (only its SHA-256 is stored)
+ *
+ * A job created with a quote is billed: its price is debited from the user's credits together
+ * with the row, it runs the quoted model, and it is refunded if it fails or is canceled
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const creditsService = require('./credits.service');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'canceled'];
+
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    // Jobs running in this process: { jobId: { controller, metadata } }
+    this.active = new Map();
+    // Every SSE client subscribes to the same emitter
+    this.setMaxListeners(0);
+  }
+
+  isTerminal(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Create a job and start it without waiting for the result
+   * With a quote the user's credits are charged first (throws INSUFFICIENT_CREDITS)
+   * userId is the signed-in caller: the user who is billed, refunded, and in whose generation
+   * history the job and its images are recorded
+   * quotaReservation (from the rate limiter) is released when the job fails or is canceled
+   * An anonymous job (no userId) is returned with its accessToken, which is not stored and cannot be shown again
+   */
+  async createJob({ userId = null, prompt, referenceImages = [], count = 1, inpaint = null, quote = null, quotaReservation = null }) {
+    const jobId = uuidv4();
+    const accessToken = userId ? null : crypto.randomBytes(24).toString('base64url');
+    const metadata = {
+      type: 'orchestrated',
+      // The inpainting source and mask may be data URIs; they stay in memory with the running job
+      mode: inpaint ? 'inpaint' : 'generate',
+      referenceImages: inpaint ? [] : referenceImages,
+      count,
+      billing: quote ? {
+        quoteId: quote.id,
+        priceUsd: quote.priceUsd,
+        model: quote.model.id
+      } : null,
+      accessTokenHash: accessToken && hashToken(accessToken),
+      phase: null,
+      prediction: null,
+      events: []
+    };
+
+    const generation = {
+      jobId,
+      userId,
+      prompt,
+      modelName: quote ? quote.model.id : 'auto',
+      status: 'queued',
+      metadata
+    };
+
+    if (quote) {
+      await creditsService.debitForGeneration({
+        userId,
+        amountUsd: quote.priceUsd,
+        generation,
+        quoteId: quote.id
+      });
+    } else {
+      await storage.createGeneration(generation);
+    }
+
+    const controller = new AbortController();
+    this.active.set(jobId, { controller, metadata, userId, quotaReservation });
+
+    await this.recordEvent(jobId, { type: 'status', status: 'queued' });
+
+    setImmediate(() => this.run(jobId, {
+      userId,
+      prompt,
+      referenceImages,
+      count,
+      inpaint,
+      // The source image sets an inpainting job's size
+      modelId: quote?.model.id,
+      aspectRatio: inpaint ? undefined : quote?.aspectRatio
+    }));
+
+    return { ...await this.getJob(jobId), accessToken };
+  }
+
+  /**
+   * Execute the three-phase pipeline for a job
+   */
+  async run(jobId, { userId, prompt, referenceImages, count, inpaint, modelId, aspectRatio }) {
+    // Required lazily: the orchestrator pulls in the LLM and tool layers
+    const { generateWithGeminiOrchestratorGx, describeRefinedData } = require('./orchestrator.service');
+    const job = this.active.get(jobId);
+    if (!job) return;
+
+    const { controller, metadata } = job;
+    const linkedPredictions = new Set();
+
+    try {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+
+      await storage.updateGeneration(jobId, { status: 'running' });
+      await this.recordEvent(jobId, { type: 'status', status: 'running' });
+
+      const result = await generateWithGeminiOrchestratorGx({
+        userId,
+        prompt,
+        referenceImages,
+        count,
+        inpaint,
+        modelId,
+        aspectRatio,
+        // Image rows are linked to the job that requested them
+        requestId: jobId,
+        signal: controller.signal,
+        onPhase: (phase, status, data = {}) => {
+          if (status === 'started') {
+            metadata.phase = phase;
+          }
+          this.recordEvent(jobId, { type: 'phase', phase, status, ...data });
+        },
+        onPrediction: async (prediction) => {
+          metadata.prediction = { id: prediction.id, status: prediction.status, model: prediction.model };
+          this.recordEvent(jobId, {
+            type: 'prediction',
+            predictionId: prediction.id,
+            status: prediction.status,
+            model: prediction.model
+          });
+
+          // Link every prediction (count > 1 runs several) so the webhook receiver can find this job
+          if (linkedPredictions.has(prediction.id)) return;
+          linkedPredictions.add(prediction.id);
+          try {
+            await storage.linkPrediction(jobId, prediction.id);
+          } catch (error) {
+            console.error(`[Jobs] Failed to link prediction ${prediction.id} to ${jobId}:`, error.message);
+          }
+        }
+      });
+
+      if (!result.success) {
+        await this.finish(jobId, 'failed', {
+          error: result.error,
+          refinedData: describeRefinedData(result.refinedData),
+          replay: result.replay,
+          safetyCheck: result.safetyCheck,
+          toolCalls: result.toolCalls,
+          phaseTimings: result.phaseTimings
+        });
+        return;
+      }
+
+      await this.finish(jobId, 'completed', {
+        refinedData: describeRefinedData(result.refinedData),
+        replay: result.replay,
+        result: {
+          imageUrl: result.imageUrl,
+          images: result.images,
+          metadata: result.metadata,
+          modelUsed: result.modelUsed,
+          toolCalls: result.toolCalls,
+          phaseTimings: result.phaseTimings
+        }
+      }, {
+        image_url: result.imageUrl,
+        model_name: result.modelUsed?.id || 'auto'
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.finish(jobId, 'canceled', { error: 'Job was canceled' });
+      } else {
+        console.error(`[Jobs] Job ${jobId} failed:`, error);
+        await this.finish(jobId, 'failed', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Move a job to a terminal status and stop tracking it
+   */
+  async finish(jobId, status, details = {}, columns = {}) {
+    const job = this.active.get(jobId);
+    if (!job) return;
+
+    Object.assign(job.metadata, details);
+
+    if (job.metadata.billing && status !== 'completed') {
+      await this.refund(jobId, status);
+    }
+
+    if (job.quotaReservation && status !== 'completed') {
+      await job.quotaReservation.release();
+    }
+
+    try {
+      await storage.updateGenerationMetadata(jobId, job.metadata, { ...columns, status });
+    } catch (error) {
+      console.error(`[Jobs] Failed to store final status for ${jobId}:`, error.message);
+    }
+
+    await this.recordEvent(jobId, {
+      type: 'status',
+      status,
+      ...(details.error && { error: details.error }),
+      ...(columns.image_url && { imageUrl: columns.image_url })
+    });
+
+    this.active.delete(jobId);
+    console.log(`[Jobs] Job ${jobId} ${status}`);
+  }
+
+  /**
+   * Give a billed job's credits back
+   */
+  async refund(jobId, reason) {
+    const { metadata, userId } = this.active.get(jobId);
+
+    try {
+      const applied = await creditsService.refundGeneration({ userId, jobId, reason });
+      if (applied) {
+        metadata.billing.refunded = true;
+        await this.recordEvent(jobId, { type: 'billing', action: 'refunded', amountUsd: metadata.billing.priceUsd });
+      }
+    } catch (error) {
+      console.error(`[Jobs] Failed to refund job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Append an event to the job log and notify subscribers
+   */
+  async recordEvent(jobId, event) {
+    const job = this.active.get(jobId);
+    if (!job) return;
+
+    const entry = { ...event, timestamp: new Date().toISOString() };
+    job.metadata.events.push(entry);
+    this.emit(`job:${jobId}`, entry);
+
+    try {
+      await storage.updateGenerationMetadata(jobId, job.metadata);
+    } catch (error) {
+      console.error(`[Jobs] Failed to store event for ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Request cancellation; a running prediction is canceled on Replicate
+   */
+  cancelJob(jobId) {
+    const job = this.active.get(jobId);
+    if (!job) return false;
+
+    job.controller.abort(new Error('Job was canceled'));
+    return true;
+  }
+
+  /**
+   * Subscribe to live events for a job; returns an unsubscribe function
+   */
+  subscribe(jobId, listener) {
+    this.on(`job:${jobId}`, listener);
+    return () => this.off(`job:${jobId}`, listener);
+  }
+
+  /**
+   * Fetch a job in API shape when the caller may see it: a user's job by that user, an anonymous job
+   * by an anonymous caller with its access token
+   * @param {Object} caller - { userId, accessToken }
+   */
+  async getJobFor(jobId, { userId = null, accessToken = null } = {}) {
+    const generation = await storage.getGeneration(jobId);
+    if (!generation) return null;
+
+    const ownerId = generation.user_id || generation.userId || null;
+    if (ownerId || userId) {
+      return ownerId === userId ? await this.getJob(jobId) : null;
+    }
+
+    const expected = generation.metadata?.accessTokenHash;
+    const actual = typeof accessToken === 'string' ? hashToken(accessToken) : '';
+    if (!expected || expected.length !== actual.length || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual))) {
+      return null;
+    }
+
+    return await this.getJob(jobId);
+  }
+
+  /**
+   * Fetch a job in API shape
+   */
+  async getJob(jobId) {
+    const generation = await storage.getGeneration(jobId);
+    if (!generation || generation.metadata?.type !== 'orchestrated') {
+      return null;
+    }
+
+    // Live metadata is newer than the stored copy while the job is running
+    const metadata = this.active.get(jobId)?.metadata || generation.metadata || {};
+
+    return {
+      jobId: generation.job_id || generation.jobId,
+      status: generation.status,
+      phase: metadata.phase,
+      prompt: generation.prompt,
+      imageUrl: generation.image_url || generation.imageUrl || null,
+      prediction: metadata.prediction,
+      result: metadata.result || null,
+      error: metadata.error || null,
+      userId: generation.user_id || generation.userId || null,
+      billing: metadata.billing || null,
+      events: metadata.events || [],
+      createdAt: generation.created_at || generation.createdAt,
+      updatedAt: generation.updated_at || generation.updatedAt
+    };
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = new JobService();
@@ -0,0 +1,62 @@
+/**
+ * Model Catalog Service
+ * Cached model summaries joined with their READMEs, and an 'updated' event
+ * emitted whenever the cache files are regenerated
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { loadModelSummaries } = require('./model-filter.service');
+
+const SOURCE_PATH = path.join(__dirname, '../../storage/model-source.json');
+
+class ModelCatalogService extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per MCP session
+    this.setMaxListeners(0);
+  }
+
+  listModels() {
+    return loadModelSummaries();
+  }
+
+  /**
+   * READMEs live in model-source.json (summaries only keep the LLM digest)
+   */
+  loadReadme(modelId) {
+    if (!fs.existsSync(SOURCE_PATH)) return null;
+
+    try {
+      const source = JSON.parse(fs.readFileSync(SOURCE_PATH, 'utf-8'));
+      return (source.models || []).find(model => model.id === modelId)?.readme || null;
+    } catch (error) {
+      console.error('❌ Failed to load model source:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Full catalog entry for one model: summary, inputSchema and README
+   */
+  getModel(modelId) {
+    const model = this.listModels().find(entry => entry.id === modelId);
+    if (!model) return null;
+
+    return {
+      ...model,
+      readme: this.loadReadme(modelId)
+    };
+  }
+
+  /**
+   * Called after model-source.json or model-summaries.json is rewritten
+   */
+  notifyUpdated(reason) {
+    console.log(`[Catalog] Model catalog updated (${reason})`);
+    this.emit('updated', { reason, updatedAt: new Date().toISOString() });
+  }
+}
+
+module.exports = new ModelCatalogService();
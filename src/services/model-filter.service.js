@@ -5,6 +5,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { getImageInputParams, getMaskParam } = require('./input-mapper.service');
 
 /**
  * Load model summaries from cache
@@ -210,6 +211,13 @@ function filterAndScoreModels(requirements = {}, limit = 5) {
   
   // First pass: Hard filters (must pass)
   let filtered = allModels.filter(model => {
+    // Inpainting needs a mask parameter and a source image parameter in the schema
+    if (requirements.needsMask) {
+      if (!getMaskParam(model) || getImageInputParams(model).length === 0) {
+        return false;
+      }
+    }
+
     // Must support reference images if needed
     if (requirements.needsReferenceImages) {
       if (!model.capabilities.supportsReferenceImages && 
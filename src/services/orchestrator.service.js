@@ -3,70 +3,18 @@
  * Lightweight conversational layer for the simplified image workflow
  */
 
-const fs = require('fs');
-const path = require('path');
-const esbuild = require('esbuild');
-const { GoogleGenAI } = require('@google/genai');
-const { executeTool } = require('./tool-executor.service');
+const { v4: uuidv4 } = require('uuid');
+const llm = require('../llm');
+const storage = require('../storage');
+const assets = require('../assets');
+const { executeTool, parseImageCount, parseReferenceImages, supportsReferenceImages, supportsInpainting, describeImageSource } = require('./tool-executor.service');
+const pricingService = require('./pricing.service');
+const creditsService = require('./credits.service');
+const rateLimitService = require('./rate-limit.service');
 const { config } = require('../config/env.config');
-const z = require('zod');
 
-const gxaiCacheDir = path.join(__dirname, '..', '..', '.cache');
-const gxaiBundlePath = path.join(gxaiCacheDir, 'gxai-agent.cjs');
-let gxaiModule = null;
-
-function getGxaiModule() {
-  if (gxaiModule) {
-    return gxaiModule;
-  }
-
-  const entryPath = require.resolve('gxai/main.ts');
-  const needsBuild =
-    !fs.existsSync(gxaiBundlePath) ||
-    fs.statSync(gxaiBundlePath).mtimeMs < fs.statSync(entryPath).mtimeMs;
-
-  if (needsBuild) {
-    fs.mkdirSync(gxaiCacheDir, { recursive: true });
-    try {
-      esbuild.buildSync({
-        entryPoints: [entryPath],
-        outfile: gxaiBundlePath,
-        bundle: true,
-        platform: 'node',
-        format: 'cjs',
-        target: 'node18',
-        logLevel: 'warning',
-        sourcemap: false,
-      });
-    } catch (error) {
-      console.error('[GXAI] Failed to bundle gxai/main.ts with esbuild', error);
-      throw new Error(
-        'Unable to compile gxai runtime dependency. Ensure esbuild is installed (npm install esbuild) and retry.'
-      );
-    }
-  }
-
-  gxaiModule = require(gxaiBundlePath);
-  return gxaiModule;
-}
-
-const { Agent } = getGxaiModule();
-
-let geminiClient = null;
-
-function getGeminiClient() {
-  if (!config.gemini.apiKey) {
-    throw new Error(
-      'GEMINI_API_KEY is not configured. Set it in your environment to enable the orchestrator agent.'
-    );
-  }
-
-  if (!geminiClient) {
-    geminiClient = new GoogleGenAI({ apiKey: config.gemini.apiKey });
-  }
-
-  return geminiClient;
-}
+// Tool names that generate images ("image-generation-workflow" is the legacy alias of generate-image)
+const GENERATION_TOOLS = ['generate-image', 'image-generation-workflow'];
 
 /**
  * Get tool definitions for Gemini function calling
@@ -91,6 +39,7 @@ function getToolDefinitions() {
                 description: 'Model requirements from refined prompt (preferred method)',
                 properties: {
                   needsReferenceImages: { type: 'boolean' },
+                  needsMask: { type: 'boolean' },
                   minQuality: { type: 'string' },
                   styleFocus: { type: 'array', items: { type: 'string' } },
                   speedPreference: { type: 'string' },
@@ -142,6 +91,10 @@ function getToolDefinitions() {
               extraParams: {
                 type: 'object',
                 description: 'Optional: Additional model-specific parameters'
+              },
+              count: {
+                type: 'integer',
+                description: 'Optional: Number of images to generate (default 1); only set when the user asks for several'
               }
             },
             required: ['modelId', 'prompt', 'title']
@@ -240,7 +193,8 @@ Your workflow for generating images:
    - Some models have a "mask" parameter in their inputSchema
    - Masks are for INPAINTING (editing specific areas), NOT standard reference-based generation
    - When using reference images for standard image-to-image: DO NOT include mask parameter
-   - Only use mask if the user explicitly wants to edit/inpaint specific regions
+   - Inpainting runs through mode "inpaint" on the generate endpoints, which take the source image and mask;
+     if the user wants to edit one region, tell them to use it
 
 5. **Generate the image** (call generate_image)
    - Use your selected modelId
@@ -263,7 +217,7 @@ Guidelines:
 - **With reference images: Keep prompts minimal and general** - don't describe the subject, only the style/transformation
 - **Without reference images: Be descriptive** - add details and quality tags to create the full scene
 - Explain your reasoning briefly (which model and why)
-- If generation fails, explain the issue and suggest a solution
+- If generate_image fails, pick the next best model from the list and retry; if it keeps failing, explain the issue and suggest a solution
 - For follow-up requests, adjust parameters accordingly
 
 Tools available:
@@ -275,28 +229,49 @@ IMPORTANT: You MUST call list_models first, then analyze the results and call ge
 
 /**
  * Map conversation history to Gemini contents format
+ * Tool calls and generated images stored with a message are replayed as text notes
+ * so follow-up requests ("make it brighter") can refer to earlier results
  */
 function mapHistoryToContents(history = []) {
-  return history.map((entry) => ({
-    role: entry.role === 'assistant' ? 'model' : 'user',
-    parts: [{ text: entry.content }]
-  }));
+  return history.map((entry) => {
+    const notes = [];
+    const metadata = entry.metadata || {};
+
+    if (metadata.toolCalls?.length > 0) {
+      notes.push(`[Tools used: ${metadata.toolCalls.map(call => `${call.tool} (${call.success ? 'ok' : 'failed'})`).join(', ')}]`);
+    }
+
+    for (const image of metadata.images || []) {
+      notes.push(`[Generated image "${image.title || 'Untitled'}" with ${image.model || 'unknown model'}: ${image.imageUrl}${image.prompt ? ` | prompt: ${image.prompt}` : ''}]`);
+    }
+
+    return {
+      role: entry.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: [entry.content, ...notes].filter(Boolean).join('\n') }]
+    };
+  });
 }
 
 /**
  * Stream Gemini orchestrator responses with tool calling
+ * Runs a multi-round agent loop: every round streams the model's text, executes the
+ * tools it called and feeds the results back, until the model stops calling tools
+ * or the round cap is reached. Emits round_start / round_complete events per round.
+ * caller ({ user, auth, ip }) is who the image generations it runs are rate limited and counted for
  */
 async function streamGeminiOrchestrator({
   userId,
+  caller = { user: { id: userId } },
   message,
   conversationHistory = [],
   state = {},
+  maxIterations = config.llm.maxToolRounds,
+  signal,
   onChunk,
   onComplete,
   onError
 }) {
   try {
-    const ai = getGeminiClient();
     const tools = getToolDefinitions();
     const systemPrompt = buildSystemInstruction(state);
 
@@ -308,175 +283,156 @@ async function streamGeminiOrchestrator({
       }
     ];
 
-    const configOptions = {
-      systemInstruction: {
-        parts: [{ text: systemPrompt }]
-      },
-      generationConfig: {
-        temperature: config.gemini.temperature,
-        maxOutputTokens: config.gemini.maxOutputTokens
-      },
+    const requestOptions = {
+      systemInstruction: systemPrompt,
+      temperature: config.gemini.temperature,
+      maxOutputTokens: config.gemini.maxOutputTokens,
       tools
     };
 
     console.log('[Orchestrator] Starting stream for user:', userId);
     console.log('[Orchestrator] Message:', message.substring(0, 80));
 
-    const response = await ai.models.generateContentStream({
-      model: config.gemini.model,
-      config: configOptions,
-      contents
-    });
-
     let fullText = '';
-    const functionCalls = [];
-
-    for await (const chunk of response) {
-      const chunkText = chunk.text;
+    const toolResults = [];
+    let round = 0;
+    let stopReason = 'completed';
 
-      if (chunkText) {
-        fullText += chunkText;
-        onChunk({
-          type: 'text',
-          content: chunkText,
-          delta: true
-        });
+    while (true) {
+      if (signal?.aborted) {
+        stopReason = 'aborted';
+        break;
       }
 
-      if (chunk.candidates?.length) {
-        for (const candidate of chunk.candidates) {
-          const parts = candidate.content?.parts || [];
-          for (const part of parts) {
-            if (part.functionCall) {
-              functionCalls.push(part.functionCall);
-            }
-          }
-        }
+      if (round >= maxIterations) {
+        stopReason = 'max_iterations';
+        console.warn('[Orchestrator] Reached max tool rounds:', maxIterations);
+        break;
       }
-    }
-
-    console.log('[Orchestrator] Stream complete. Function calls:', functionCalls.length);
 
-    const toolResults = [];
+      round++;
+      onChunk({
+        type: 'round_start',
+        round,
+        maxIterations
+      });
 
-    for (const toolCall of functionCalls) {
-      const toolName = toolCall.name.replace(/_/g, '-');
-      const toolArgs = { ...toolCall.args, userId };
+      const response = llm.stream('chat', {
+        ...requestOptions,
+        contents
+      });
 
-      console.log('[Orchestrator] Executing tool:', toolName);
+      let roundText = '';
+      const functionCalls = [];
+      // Keep the provider's raw parts so they can be replayed verbatim next round
+      const modelParts = [];
+
+      for await (const chunk of response) {
+        const chunkText = chunk.text;
+
+        if (chunkText) {
+          roundText += chunkText;
+          onChunk({
+            type: 'text',
+            content: chunkText,
+            delta: true,
+            round
+          });
+        }
 
-      onChunk({
-        type: 'tool_call_start',
-        toolName,
-        toolArgs
-      });
+        functionCalls.push(...chunk.functionCalls);
+        modelParts.push(...chunk.parts);
+      }
 
-      try {
-        const toolResult = await executeTool(toolName, toolArgs);
-        toolResults.push({ name: toolName, result: toolResult });
+      fullText += roundText;
+      console.log(`[Orchestrator] Round ${round} complete. Function calls:`, functionCalls.length);
 
+      if (functionCalls.length === 0) {
         onChunk({
-          type: 'tool_call_complete',
-          toolName,
-          result: toolResult
+          type: 'round_complete',
+          round,
+          toolCalls: []
         });
+        break;
+      }
 
-        let followUpMessage = '';
-
-        if (toolName === 'list-models') {
-          const topModels = toolResult.models
-            .slice(0, 5)
-            .map(
-              (model, index) => {
-                const imageInputParams = Object.entries(model.inputSchema || {})
-                  .filter(([_, param]) => param.isImageInput && !param.isMask)
-                  .map(([name]) => name);
-                const hasImageInput = imageInputParams.length > 0 ? ` [Image inputs: ${imageInputParams.join(', ')}]` : '';
-                return `${index + 1}. ${model.name} (${model.id}) - Strengths: ${model.strengths.join(', ')}${hasImageInput}${model.runCount ? ` (${(model.runCount / 1000000).toFixed(1)}M runs)` : ''}`;
-              }
-            )
-            .join('\n');
-          followUpMessage = `Available models (${toolResult.total} total):\n${topModels}\n\nNow analyze the user's request and the model list. Select the BEST model based on:\n- User's intent (style, quality needs)\n- Reference image count if any (examine inputSchema for image input parameters, excluding masks)\n- Model strengths and popularity\n\nEach model has an inputSchema showing its parameters. Use this to understand:\n- Which models accept reference images (look for isImageInput: true, but ignore isMask: true)\n- Mask parameters are for inpainting only, not standard reference-based generation\n- What aspect ratios are supported\n- What other parameters are available\n\nThen refine the prompt and call generate_image with your selected model.`;
-        } else if (toolName === 'generate-image') {
-          followUpMessage = `Image generated successfully at ${toolResult.imageUrl}.\n\nTitle: ${toolResult.metadata.title}\nModel: ${toolResult.metadata.model.name}\nPrompt: ${toolResult.metadata.prompt}\nSize: ${toolResult.metadata.size}\n${toolResult.metadata.referenceImages.length > 0 ? `References: ${toolResult.metadata.referenceImages.length} image(s)\n` : ''}\nShare this with the user in a friendly way, explaining your model choice briefly.`;
-        }
+      contents.push({
+        role: 'model',
+        parts: modelParts
+      });
 
-        if (followUpMessage) {
-          const followUpContents = [
-            ...contents,
-            {
-              role: 'model',
-              parts: [{ text: fullText }]
-            },
-            {
-              role: 'user',
-              parts: [{ text: followUpMessage }]
-            }
-          ];
+      const responseParts = [];
+      const roundToolCalls = [];
 
-          const followUpResponse = await ai.models.generateContentStream({
-            model: config.gemini.model,
-            config: configOptions,
-            contents: followUpContents
-          });
+      for (const toolCall of functionCalls) {
+        const toolName = toolCall.name.replace(/_/g, '-');
+        const toolArgs = { ...toolCall.args, userId };
 
-          for await (const chunk of followUpResponse) {
-            const chunkText = chunk.text;
-            if (chunkText) {
-              fullText += chunkText;
-              onChunk({
-                type: 'text',
-                content: chunkText,
-                delta: true
-              });
-            }
-          }
-        }
-      } catch (toolError) {
-        console.error('[Orchestrator] Tool execution failed:', toolName, toolError);
+        console.log('[Orchestrator] Executing tool:', toolName);
 
         onChunk({
-          type: 'tool_call_error',
+          type: 'tool_call_start',
+          round,
           toolName,
-          error: toolError.message
+          toolArgs
         });
 
-        const errorMessage = `The ${toolName} tool failed with: ${toolError.message}. Explain the issue gently and suggest a next step.`;
-        const errorContents = [
-          ...contents,
-          {
-            role: 'model',
-            parts: [{ text: fullText }]
-          },
-          {
-            role: 'user',
-            parts: [{ text: errorMessage }]
-          }
-        ];
-
-        const errorResponse = await ai.models.generateContentStream({
-          model: config.gemini.model,
-          config: configOptions,
-          contents: errorContents
-        });
+        let toolResult;
+        try {
+          // Image generations are limited and charged like every other entry point (see executeGenerateImageFor)
+          toolResult = GENERATION_TOOLS.includes(toolName)
+            ? await executeGenerateImageFor(caller, toolArgs, { signal })
+            : await executeTool(toolName, toolArgs, { signal });
+
+          onChunk({
+            type: 'tool_call_complete',
+            round,
+            toolName,
+            result: toolResult
+          });
+        } catch (toolError) {
+          console.error('[Orchestrator] Tool execution failed:', toolName, toolError);
+          toolResult = {
+            success: false,
+            error: toolError.message
+          };
+
+          onChunk({
+            type: 'tool_call_error',
+            round,
+            toolName,
+            error: toolError.message
+          });
+        }
 
-        for await (const chunk of errorResponse) {
-          const chunkText = chunk.text;
-          if (chunkText) {
-            fullText += chunkText;
-            onChunk({
-              type: 'text',
-              content: chunkText,
-              delta: true
-            });
+        toolResults.push({ name: toolName, args: toolCall.args, round, result: toolResult });
+        roundToolCalls.push({ tool: toolName, success: toolResult.success !== false });
+        responseParts.push({
+          functionResponse: {
+            id: toolCall.id,
+            name: toolCall.name,
+            response: toolResult
           }
-        }
+        });
       }
+
+      contents.push({
+        role: 'user',
+        parts: responseParts
+      });
+
+      onChunk({
+        type: 'round_complete',
+        round,
+        toolCalls: roundToolCalls
+      });
     }
 
     onComplete({
       fullText,
       toolResults,
+      rounds: round,
+      stopReason,
       nextAction: 'none'
     });
   } catch (error) {
@@ -489,6 +445,12 @@ async function streamGeminiOrchestrator({
  * Helper function to fetch image as base64 for multimodal analysis
  */
 async function fetchImageAsBase64(imageUrl) {
+  // Data URIs already carry the bytes
+  const dataUri = /^data:(image\/[a-z+.-]+);base64,(.+)$/i.exec(imageUrl);
+  if (dataUri) {
+    return { base64: dataUri[2], mimeType: dataUri[1] };
+  }
+
   try {
     const axios = require('axios');
     const response = await axios.get(imageUrl, {
@@ -532,9 +494,10 @@ async function buildMultimodalParts(text, imageUrls = []) {
         }
       });
     } catch (error) {
-      console.warn('[Multimodal] Skipping image due to fetch error:', imageUrl);
+      const source = imageUrl.startsWith('data:') ? 'inline data URI' : imageUrl;
+      console.warn('[Multimodal] Skipping image due to fetch error:', source);
       // Add a text note about the failed image
-      parts.push({ text: `\n[Note: Could not load reference image: ${imageUrl}]` });
+      parts.push({ text: `\n[Note: Could not load reference image: ${source}]` });
     }
   }
   
@@ -564,8 +527,6 @@ async function checkContentSafety({
   prompt,
   referenceImages = []
 }) {
-    const ai = getGeminiClient();
-  
   const safetySystemPrompt = `You are a content safety moderator for an AI image generation service.
 
 Your job is to analyze user prompts AND reference images to determine if they contain prohibited content.
@@ -645,27 +606,17 @@ Output ONLY valid JSON, no other text.`;
     // Build multimodal parts (text + images)
     const parts = await buildMultimodalParts(userMessage, referenceImages);
 
-    const response = await ai.models.generateContent({
-      model: "gemini-flash-latest",
+    const response = await llm.generate('safety', {
+      systemInstruction: safetySystemPrompt,
       contents: [{
         role: 'user',
         parts
       }],
-      config: {
-        systemInstruction: {
-          parts: [{ text: safetySystemPrompt }]
-        },
-        generationConfig: {
-          temperature: 0.2, // Very low temperature for consistent safety decisions
-          maxOutputTokens: 512
-        }
-      }
+      temperature: 0.2, // Very low temperature for consistent safety decisions
+      maxOutputTokens: 512
     });
 
-    const responseText = response.candidates?.[0]?.content?.parts
-      ?.filter(part => part.text)
-      ?.map(part => part.text)
-      ?.join('') || '';
+    const responseText = response.text || '';
 
     // Parse JSON from response
     const jsonMatch = responseText.match(/\{[\s\S]*\}/);
@@ -696,18 +647,64 @@ Output ONLY valid JSON, no other text.`;
   }
 }
 
+/**
+ * Refiner system prompt for inpainting: the prompt describes what goes inside the mask
+ */
+function buildInpaintRefinerPrompt() {
+  return `You are a prompt refinement specialist for AI image inpainting.
+
+The user wants to edit ONE REGION of an existing image. You receive:
+- The SOURCE IMAGE (first image)
+- The MASK (second image): white marks the region to repaint, black is kept unchanged
+
+**Your job:**
+- EXAMINE the source image and the masked region
+- Write refined_prompt describing ONLY what should appear inside the masked region
+- Match the surrounding lighting, perspective, colors and style so the edit blends in
+- Do NOT describe or change the unmasked parts of the image
+- Examples:
+  * User: "replace the dog with a cat" → "a fluffy orange cat sitting on the grass, soft afternoon light, matching photo style"
+  * User: "remove the person" → "empty park bench and path, seamless background, natural lighting"
+  * User: "add a hat" → "a brown felt fedora hat on the head, realistic fabric texture, consistent lighting"
+
+**Output Format (JSON only, no markdown):**
+{
+  "mode": "inpaint",
+  "title": "Creative 3-8 word title describing the edit",
+  "refined_prompt": "What should appear in the masked region (remove model name if mentioned)",
+  "style": "photorealistic" | "anime" | "artistic" | "digital-art" | "fantasy" | "cinematic" | etc. (match the source image),
+  "preferred_model": "model name/keyword if user specified, otherwise null",
+  "modelRequirements": {
+    "minQuality": "low" | "moderate" | "good" | "very-good" | "excellent",
+    "styleFocus": ["photorealistic", "anime", etc.],
+    "speedPreference": "fast" | "no" | null,
+    "useCase": "brief description of the edit if clear",
+    "specialNeeds": ["handles faces well", "good at hands", etc.]
+  }
+}
+
+**Title Creation:**
+- Describe the edit (e.g., "Cat Replaces Sleeping Dog", "Clean Empty Park Bench")
+
+**Important about preferred_model:**
+- Extract model keywords like: "ideogram", "flux-fill", "sdxl", etc.
+- Remove the model reference from refined_prompt
+
+Output ONLY valid JSON, no other text.`;
+}
+
 /**
  * Phase 1: Prompt Refiner
  * Analyzes prompt and reference images to output structured refinement data
+ * With inpaint ({ image, mask }) the source image and mask are analyzed with the inpainting template
  */
 async function refinePromptWithGemini({
   userId,
   prompt,
-  referenceImages = []
+  referenceImages = [],
+  inpaint = null
 }) {
-  const ai = getGeminiClient();
-  
-  const refinerSystemPrompt = `You are a prompt refinement specialist for AI image generation.
+  const refinerSystemPrompt = inpaint ? buildInpaintRefinerPrompt() : `You are a prompt refinement specialist for AI image generation.
 
 Your job is to analyze the user's request (text + any reference images) and output a structured JSON response.
 
@@ -792,37 +789,29 @@ Output ONLY valid JSON, no other text.`;
 
   let userMessage = `Refine this image generation request:\n\nUSER PROMPT: "${prompt}"`;
   
-  if (referenceImages.length > 0) {
+  if (inpaint) {
+    userMessage += '\n\nSOURCE IMAGE and MASK provided below (in that order). Describe what should fill the masked region.';
+  } else if (referenceImages.length > 0) {
     userMessage += `\n\nREFERENCE IMAGES: ${referenceImages.length} image(s) provided below. Examine them to understand what the user wants to transform or use as inspiration.`;
   }
 
-  console.log('[Phase 1 - Refiner] Analyzing prompt and', referenceImages.length, 'reference image(s)...');
+  console.log('[Phase 1 - Refiner] Analyzing prompt and', inpaint ? 'inpainting source and mask' : `${referenceImages.length} reference image(s)`, '...');
 
   try {
     // Build multimodal parts (text + images)
-    const parts = await buildMultimodalParts(userMessage, referenceImages);
+    const parts = await buildMultimodalParts(userMessage, inpaint ? [inpaint.image, inpaint.mask] : referenceImages);
 
-    const response = await ai.models.generateContent({
-      model: "gemini-2.5-pro",
+    const response = await llm.generate('refiner', {
+      systemInstruction: refinerSystemPrompt,
       contents: [{
         role: 'user',
         parts
       }],
-      config: {
-        systemInstruction: {
-          parts: [{ text: refinerSystemPrompt }]
-        },
-        generationConfig: {
-          temperature: 0.5,
-          maxOutputTokens: 1024
-        }
-      }
+      temperature: 0.5,
+      maxOutputTokens: 1024
     });
 
-    const responseText = response.candidates?.[0]?.content?.parts
-      ?.filter(part => part.text)
-      ?.map(part => part.text)
-      ?.join('') || '';
+    const responseText = response.text || '';
 
     // Parse JSON from response
     const jsonMatch = responseText.match(/\{[\s\S]*\}/);
@@ -833,7 +822,7 @@ Output ONLY valid JSON, no other text.`;
     const refinedData = JSON.parse(jsonMatch[0]);
     
     // Ensure referenceImages array is included
-    refinedData.referenceImages = referenceImages;
+    refinedData.referenceImages = inpaint ? [inpaint.image] : referenceImages;
     
     // Ensure modelRequirements has defaults
     if (!refinedData.modelRequirements) {
@@ -841,7 +830,14 @@ Output ONLY valid JSON, no other text.`;
     }
     
     // Set needsReferenceImages based on actual reference images
-    refinedData.modelRequirements.needsReferenceImages = referenceImages.length > 0;
+    refinedData.modelRequirements.needsReferenceImages = refinedData.referenceImages.length > 0;
+
+    // Inpainting only considers models with a mask parameter; the source image sets the size
+    if (inpaint) {
+      refinedData.mode = 'inpaint';
+      refinedData.modelRequirements.needsMask = true;
+      delete refinedData.aspect_ratio;
+    }
     
     // Ensure styleFocus includes the style
     if (!refinedData.modelRequirements.styleFocus) {
@@ -879,13 +875,19 @@ Output ONLY valid JSON, no other text.`;
 /**
  * Phase 2: Image Generation Agent
  * Uses refined data to select model and generate image
+ * count and inpaint ({ image, mask }), when set by the caller, override whatever the agent passes to generate_image
+ * A pinned modelId/aspectRatio (e.g. from a paid quote) is used as-is, without falling back to other models
  */
 async function generateImageWithAgent({
   userId,
   refinedData,
-  state = {}
+  state = {},
+  count,
+  inpaint = null,
+  modelId,
+  aspectRatio,
+  context = {}
 }) {
-  const ai = getGeminiClient();
   const tools = getToolDefinitions();
   
   const agentSystemPrompt = `You are an AI image generation agent.
@@ -905,6 +907,7 @@ You receive a refined prompt specification and must execute EXACTLY this workflo
    - If user specified a preferred_model, prioritize it if it appears in the list
    - Consider the summary.typicalUseCase to see if it matches the user's intent
    - Select the model that best matches the refined_prompt requirements
+   - State in one sentence why you chose it, alongside the generate_image call
 
 3. **Call generate_image ONCE** with your selected model:
    - Your selected modelId (only the best one)
@@ -917,9 +920,23 @@ IMPORTANT:
 - The models are pre-filtered - trust the filtering and pick from the provided list
 - Select ONE best model from the filtered results
 - Call generate_image ONCE
-- STOP after successful generation - do not try other models`;
+- STOP after successful generation - do not try other models
+- If generation fails, the system automatically retries with the next ranked model
+
+INPAINTING (mode "inpaint"):
+- list_models only returns models with a mask parameter - pick one of them
+- The source image and mask are attached to generate_image automatically; do not pass referenceImages
+- The refined_prompt describes only the masked region; pass it unchanged`;
 
-  const inputSpec = JSON.stringify(refinedData, null, 2);
+  // Steer the agent towards a pinned model so list_models ranks it first
+  if (modelId) {
+    refinedData.modelRequirements = { ...refinedData.modelRequirements, preferredModel: modelId };
+  }
+
+  // The source image and mask may be large data URIs: the agent only needs to know they exist
+  const inputSpec = JSON.stringify(inpaint
+    ? { ...refinedData, referenceImages: ['<source image>'], mask: '<mask>' }
+    : refinedData, null, 2);
   
   console.log('[Phase 2 - Agent] Starting generation with refined data');
   console.log('[Phase 2 - Agent] Mode:', refinedData.mode);
@@ -931,46 +948,43 @@ IMPORTANT:
     parts: [{ text: `Generate image with this specification:\n${inputSpec}` }]
   }];
 
-    const configOptions = {
-      systemInstruction: {
-      parts: [{ text: agentSystemPrompt }]
-      },
-      generationConfig: {
+    const requestOptions = {
+      systemInstruction: agentSystemPrompt,
       temperature: 0.3,
-        maxOutputTokens: 2048
-      },
+      maxOutputTokens: 2048,
       tools
     };
 
-    let response = await ai.models.generateContent({
-      model: config.gemini.model,
-      contents,
-      config: configOptions
+    let response = await llm.generate('agent', {
+      ...requestOptions,
+      contents
     });
 
     const toolResults = [];
     const conversationHistory = [...contents];
     let iterationCount = 0;
     const maxIterations = 10;
+    // Ranked candidates from list_models, kept for automatic fallback
+    let rankedModels = null;
+    // Text the agent writes alongside its tool calls explains the model choice
+    const reasoning = [];
 
   // Tool execution loop
     while (iterationCount < maxIterations) {
-      const candidates = response.candidates || [];
-    if (candidates.length === 0) break;
-
-      const candidate = candidates[0];
-      const parts = candidate.content?.parts || [];
-      const functionCalls = parts.filter(part => part.functionCall);
+      const functionCalls = response.functionCalls;
       
     if (functionCalls.length === 0) break;
 
+      if (response.text?.trim()) {
+        reasoning.push(response.text.trim());
+      }
+
       conversationHistory.push({
         role: 'model',
-        parts: candidate.content?.parts || []
+        parts: response.parts
       });
 
-      for (const part of functionCalls) {
-        const functionCall = part.functionCall;
+      for (const functionCall of functionCalls) {
         const toolName = functionCall.name.replace(/_/g, '-');
         let toolArgs = { ...functionCall.args, userId };
         
@@ -982,31 +996,60 @@ IMPORTANT:
 
         console.log('[Phase 2 - Agent] Executing tool:', toolName);
 
+        // Image generation retries down the ranked list on failure, without another LLM round
+        if (toolName === 'generate-image') {
+          if (count) {
+            toolArgs.count = count;
+          }
+          if (inpaint) {
+            delete toolArgs.referenceImages;
+            Object.assign(toolArgs, { mode: 'inpaint', image: inpaint.image, mask: inpaint.mask });
+          }
+          if (modelId) {
+            toolArgs.modelId = modelId;
+            rankedModels = [];
+          }
+          if (aspectRatio) {
+            toolArgs.aspectRatio = aspectRatio;
+          }
+          if (!rankedModels) {
+            rankedModels = await loadRankedModels(refinedData, userId);
+          }
+
+          const generation = await generateWithFallback(toolArgs, {
+            rankedModels,
+            referenceCount: refinedData.referenceImages?.length || 0,
+            toolResults,
+            context
+          });
+
+          if (generation.success) {
+            console.log('[Phase 2 - Agent] ✓ Image generated successfully with', generation.metadata.model.id);
+          }
+
+          return formatGenerationResult(generation, {
+            toolArgs,
+            refinedData,
+            reasoning: reasoning.join('\n') || null,
+            toolResults
+          });
+        }
+
         try {
           const toolResult = await executeTool(toolName, toolArgs);
           toolResults.push({ name: toolName, result: toolResult });
 
           console.log('[Phase 2 - Agent] Tool result:', toolName, 'success:', toolResult.success);
 
-          // If this is a successful image generation, return immediately
-          if (toolName === 'generate-image' && toolResult.success) {
-            console.log('[Phase 2 - Agent] ✓ Image generated successfully, returning result');
-            return {
-              success: true,
-              imageUrl: toolResult.imageUrl,
-              metadata: toolResult.metadata,
-              refinedData,
-              toolCalls: toolResults.map(tr => ({
-                tool: tr.name,
-                success: tr.result.success
-              }))
-            };
+          if (toolName === 'list-models' && toolResult.success) {
+            rankedModels = toolResult.models;
           }
 
           conversationHistory.push({
             role: 'user',
             parts: [{
               functionResponse: {
+                id: functionCall.id,
                 name: functionCall.name,
                 response: toolResult
               }
@@ -1014,10 +1057,12 @@ IMPORTANT:
           });
         } catch (toolError) {
           console.error('[Phase 2 - Agent] Tool execution failed:', toolName, toolError);
+          toolResults.push({ name: toolName, result: { success: false, error: toolError.message } });
           conversationHistory.push({
             role: 'user',
             parts: [{
               functionResponse: {
+                id: functionCall.id,
                 name: functionCall.name,
                 response: {
                   success: false,
@@ -1029,285 +1074,459 @@ IMPORTANT:
         }
       }
 
-      response = await ai.models.generateContent({
-        model: config.gemini.model,
-        contents: conversationHistory,
-        config: configOptions
+      response = await llm.generate('agent', {
+        ...requestOptions,
+        contents: conversationHistory
       });
 
       iterationCount++;
     }
-    
-  // Extract result
-    const imageResult = toolResults.find(tr => tr.name === 'generate-image');
-    
-    if (imageResult && imageResult.result.success) {
-      return {
-        success: true,
-        imageUrl: imageResult.result.imageUrl,
-        metadata: imageResult.result.metadata,
+
+    return {
+      success: false,
+      error: 'Image generation was not completed',
+      toolCalls: summarizeToolCalls(toolResults)
+    };
+}
+
+/**
+ * Phase 2 result of a generate-image call (after fallbacks)
+ * generationInput is the call that produced the images, so it can be replayed
+ */
+function formatGenerationResult(generation, { toolArgs, refinedData, reasoning = null, toolResults }) {
+  if (!generation.success) {
+    return {
+      success: false,
+      error: `Image generation failed with every candidate model: ${generation.error}`,
       refinedData,
-        toolCalls: toolResults.map(tr => ({
-          tool: tr.name,
-          success: tr.result.success
-        }))
-      };
-    } else {
-      return {
-        success: false,
-        error: 'Image generation was not completed',
-        toolCalls: toolResults.map(tr => ({
-          tool: tr.name,
-          success: tr.result.success
-        }))
-      };
-    }
+      toolCalls: summarizeToolCalls(toolResults)
+    };
+  }
+
+  const { userId, ...args } = toolArgs;
+  return {
+    success: true,
+    imageUrl: generation.imageUrl,
+    images: generation.images,
+    requestId: generation.requestId,
+    metadata: generation.metadata,
+    modelUsed: {
+      id: generation.metadata.model.id,
+      name: generation.metadata.model.name,
+      fullName: generation.metadata.model.fullName
+    },
+    refinedData,
+    generationInput: { ...args, modelId: generation.metadata.model.id },
+    reasoning,
+    toolCalls: summarizeToolCalls(toolResults)
+  };
 }
 
 /**
- * Three-phase Gemini orchestrator for image generation
- * Phase 0: Content safety check (with image analysis)
- * Phase 1: Prompt refinement (with image analysis)
- * Phase 2: Model selection & generation (with tools)
+ * Phase 2 without the agent: repeat a recorded generate-image call on the same model
+ * (no fallback to other models)
  */
-async function generateWithGeminiOrchestrator({
-  userId,
-  prompt,
-  referenceImages = [],
-  state = {}
-}) {
+async function replayGeneration({ generationInput, refinedData, context }) {
+  console.log('[Phase 2 - Replay] Replaying generation with', generationInput.modelId);
+  const toolResults = [];
+  const generation = await generateWithFallback(generationInput, { toolResults, context });
+
+  return formatGenerationResult(generation, {
+    toolArgs: generationInput,
+    refinedData,
+    reasoning: `Replayed a previous generation with ${generationInput.modelId}`,
+    toolResults
+  });
+}
+
+/**
+ * Load the ranked candidate list when the agent skipped list_models
+ */
+async function loadRankedModels(refinedData, userId) {
   try {
-    const startTime = Date.now();
-    console.log('[Orchestrator] ========== Starting Three-Phase Generation ==========');
-    console.log('[Orchestrator] User:', userId);
-    console.log('[Orchestrator] Prompt:', prompt.substring(0, 100));
-    
-    // Normalize reference images
-    let normalizedReferences = [];
-    if (referenceImages) {
-      if (Array.isArray(referenceImages)) {
-        normalizedReferences = referenceImages.filter(ref => 
-          typeof ref === 'string' && ref.trim().length > 0
-        );
-      } else if (typeof referenceImages === 'string' && referenceImages.trim().length > 0) {
-        normalizedReferences = [referenceImages.trim()];
+    const result = await executeTool('list-models', {
+      modelRequirements: refinedData.modelRequirements,
+      userId
+    });
+    return result.models || [];
+  } catch (error) {
+    console.warn('[Phase 2 - Fallback] Could not load ranked models:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Try the agent's chosen model first, then the next compatible ranked candidates
+ * Every attempt is recorded in toolResults
+ */
+async function generateWithFallback(toolArgs, { rankedModels = [], referenceCount = 0, toolResults, context = {} }) {
+  const fallbackIds = rankedModels
+    .filter(model => model.id !== toolArgs.modelId && supportsReferenceImages(model, referenceCount))
+    .filter(model => toolArgs.mode !== 'inpaint' || supportsInpainting(model))
+    .map(model => model.id)
+    .slice(0, config.generation.maxFallbackAttempts);
+  const candidates = [toolArgs.modelId, ...fallbackIds];
+
+  let lastError = 'No candidate models available';
+
+  for (const [index, modelId] of candidates.entries()) {
+    const fallback = index > 0;
+    if (fallback) {
+      console.warn(`[Phase 2 - Fallback] Retrying with next ranked model: ${modelId}`);
+    }
+
+    try {
+      const result = await executeTool('generate-image', { ...toolArgs, modelId }, context);
+      toolResults.push({ name: 'generate-image', modelId, fallback, result });
+
+      if (result.success) {
+        return result;
       }
+      lastError = result.error || 'Unknown error';
+    } catch (error) {
+      // A canceled generation must not fall through to the next model
+      if (context.signal?.aborted) {
+        throw error;
+      }
+
+      console.error(`[Phase 2 - Fallback] Generation with ${modelId} failed:`, error.message);
+      toolResults.push({ name: 'generate-image', modelId, fallback, result: { success: false, error: error.message } });
+      lastError = error.message;
     }
-    
-    console.log('[Orchestrator] Reference Images:', normalizedReferences.length);
+  }
 
-    // ===== PHASE 0: Content Safety Check =====
-    console.log('[Phase 0] Starting content safety check...');
-    const phaseZeroStart = Date.now();
+  return { success: false, error: lastError };
+}
 
-    const safetyAgent = new Agent({
-      llm: 'o4-mini-2025-04-16', // Your LLM model (e.g., OpenAI GPT variant)
-      inputFormat: z.object({
-        prompt: z.string(),
-        referenceImages: z.array(z.string()),
-      }),
-      outputFormat: z.object({
-        safe: z.boolean(),
-        reason: z.string(),
-        category: z.enum(['nsfw', 'child_safety', 'violence', 'illegal', 'safe']),
-        confidence: z.number().min(0).max(1),
-      }),
-      temperature: 0.1, // Optional: Controls creativity (0-1)
-    });
+/**
+ * Summarize tool results for the workflow section of API responses
+ */
+function summarizeToolCalls(toolResults) {
+  return toolResults.map(tr => ({
+    tool: tr.name,
+    success: tr.result.success,
+    ...(tr.modelId && { modelId: tr.modelId }),
+    ...(tr.fallback && { fallback: true }),
+    ...(tr.result.success === false && tr.result.error && { error: tr.result.error })
+  }));
+}
 
-    const safetyResult = await safetyAgent.run({
-      prompt,
-      referenceImages: normalizedReferences
-    });
-    
-    // const safetyResult = await checkContentSafety({
-    //   prompt,
-    //   referenceImages: normalizedReferences
-    // });
-    
-    const phaseZeroDuration = Date.now() - phaseZeroStart;
-    console.log('[Phase 0] Completed in', phaseZeroDuration, 'ms');
-    console.log('[Phase 0] Result:', safetyResult.safe ? 'SAFE' : 'UNSAFE -', safetyResult.category);
+/**
+ * refinedData as stored in generation history: inline (data URI) images are summarized
+ */
+function describeRefinedData(refinedData) {
+  if (!refinedData) return null;
+  return {
+    ...refinedData,
+    referenceImages: (refinedData.referenceImages || []).map(describeImageSource)
+  };
+}
 
-    // If content is not safe, return error immediately
-    if (!safetyResult.safe) {
-      console.warn('[Phase 0] Content flagged as', safetyResult.category);
-      return {
-        success: false,
-        error: 'Content policy violation',
-        safetyCheck: {
-          safe: false,
-          reason: safetyResult.reason,
-          category: safetyResult.category,
-          message: getSafetyErrorMessage(safetyResult.category),
-          confidence: safetyResult.confidence
-        },
-        phaseTimings: {
-          safety: phaseZeroDuration,
-          total: Date.now() - startTime
-        }
-      };
+/**
+ * Keep inline (data URI) input images in the asset store so a run can be replayed from its record
+ * Inputs are base64 image data URIs (see isImageSource); the store keeps only bytes that are an image
+ * Returns a function mapping an input image to its recordable form: the stored asset URL, the URL
+ * it already was, or a summary when it could not be stored
+ */
+async function storeInputImages(images) {
+  const stored = new Map();
+
+  for (const image of new Set(images.filter(image => image.startsWith('data:')))) {
+    try {
+      const buffer = Buffer.from(image.slice(image.indexOf(',') + 1), 'base64');
+
+      const asset = await assets.putBuffer(buffer);
+      stored.set(image, asset.url);
+    } catch (error) {
+      console.warn('[Orchestrator] Could not store an input image:', error.message);
     }
+  }
 
-    console.log('[Phase 0] ✓ Content approved, proceeding to refinement');
+  return image => stored.get(image) || describeImageSource(image);
+}
 
-    // ===== PHASE 1: Prompt Refinement =====
-    console.log('[Phase 1] Starting prompt refinement...');
-    const phaseOneStart = Date.now();
-
-    const refinedAgent = new Agent({
-      llm: 'o4-mini-2025-04-16', // Your LLM model (e.g., OpenAI GPT variant)
-      inputFormat: z.object({
-        prompt: z.string(),
-        referenceImages: z.array(z.string()),
-      }),
-      outputFormat: z.object({
-        mode: z.enum(['text_to_image', 'image_to_image']),
-        title: z.string().describe("Creative 3-8 word title for the image"),
-        refined_prompt: z.string().describe("The refined prompt string (remove model name if mentioned)"),
-        aspect_ratio: z.string().describe("1:1" | "16:9" | "9:16" | "4:5"),
-        style: z.string().describe(`"photorealistic" | "anime" | "artistic" | "digital-art" | "fantasy" | "cinematic" | etc..`),
-        // referenceImages: z.array(z.string()),
-      }),
-      temperature: 0.5, // Optional: Controls creativity (0-1)
-    });
+/**
+ * Inputs needed to run a generation again (see generations.routes rerun), in recordable form
+ */
+function buildReplay({ recordImage, referenceImages, inpaint, generationInput }) {
+  return {
+    referenceImages: inpaint ? [] : referenceImages.map(recordImage),
+    inpaint: inpaint ? { image: recordImage(inpaint.image), mask: recordImage(inpaint.mask) } : null,
+    generationInput: generationInput ? {
+      ...generationInput,
+      ...(generationInput.referenceImages && { referenceImages: generationInput.referenceImages.map(recordImage) }),
+      ...(generationInput.image && { image: recordImage(generationInput.image) }),
+      ...(generationInput.mask && { mask: recordImage(generationInput.mask) })
+    } : null
+  };
+}
 
-    const onlyRefinedData = await refinedAgent.run({
-      prompt,
-      referenceImages: normalizedReferences
-    });
+/**
+ * The generation row of a pipeline run (metadata.type "orchestrated", like background jobs)
+ */
+function buildRunRecord(runId, { userId, prompt, count, inpaint, modelId, parent, quote }) {
+  return {
+    jobId: runId,
+    userId: userId || null,
+    prompt,
+    modelName: modelId || 'auto',
+    status: 'running',
+    metadata: {
+      type: 'orchestrated',
+      userId: userId || null,
+      mode: inpaint ? 'inpaint' : 'generate',
+      count,
+      ...(parent && { parent }),
+      ...(quote && { billing: describeBilling(quote) })
+    }
+  };
+}
 
-    const modelSelectorAgent = new Agent({
-      llm: 'o4-mini-2025-04-16', // Your LLM model (e.g., OpenAI GPT variant)
-      inputFormat: z.object({
-        prompt: z.string(),
-        referenceImages: z.array(z.string()),
-      }),
-      outputFormat: z.object({
-        preferred_model: z.string().describe("model name/keyword if user specified, otherwise null"),
-        modelRequirements: z.object({
-          needsReferenceImages: z.boolean().describe("true or false"),
-          minQuality: z.enum(["low", "moderate", "good", "very-good", "excellent"]),
-          styleFocus: z.string().describe([`"photorealistic", "anime", etc.`]),
-          speedPreference: z.enum(["fast", "no", "null"]),
-          useCase: z.string().describe("brief description of use case if clear"),
-          specialNeeds: z.string().describe([`"handles faces well", "good at hands", etc.`])
-        })
-      }),
-      temperature: 0.5, // Optional: Controls creativity (0-1)
-    });
+function describeBilling(quote) {
+  return {
+    quoteId: quote.id,
+    priceUsd: quote.priceUsd,
+    model: quote.model.id
+  };
+}
 
-    const modelData = await modelSelectorAgent.run({
-      prompt,
-      referenceImages: normalizedReferences
-    });
+/**
+ * Record a pipeline run as a generation row
+ * History is best effort: a storage error is logged and never fails the generation
+ */
+async function recordRunStart(runId, run) {
+  try {
+    await storage.createGeneration(buildRunRecord(runId, run));
+  } catch (error) {
+    console.error(`[Orchestrator] Failed to record run ${runId}:`, error.message);
+  }
+}
 
-    const refinedData = {
-      referenceImages: normalizedReferences,
-      ...onlyRefinedData,
-      ...modelData
-    }
-    
-    // const refinedData = await refinePromptWithGemini({
-    //   userId,
-    //   prompt,
-    //   referenceImages: normalizedReferences
-    // });
-    
-    const phaseOneDuration = Date.now() - phaseOneStart;
-    console.log('[Phase 1] Completed in', phaseOneDuration, 'ms');
-    console.log('[Phase 1] Mode:', refinedData.mode);
-    console.log('[Phase 1] Title:', refinedData.title);
-    console.log('[Phase 1] Style:', refinedData.style);
+/**
+ * Store a run's outcome: status, chosen model, refinedData, the generated images and what replays them
+ */
+async function recordRunResult(runId, { userId, count, inpaint, parent }, result) {
+  const columns = result.success ? {
+    status: 'completed',
+    image_url: result.imageUrl,
+    model_name: result.modelUsed?.id || 'auto'
+  } : { status: result.canceled ? 'canceled' : 'failed' };
 
-    // ===== PHASE 2: Image Generation =====
-    console.log('[Phase 2] Starting image generation...');
-    const phaseTwoStart = Date.now();
-    
-    const result = await generateImageWithAgent({
+  try {
+    // Merged, so the prediction state written by the webhook receiver is kept
+    await storage.updateGenerationMetadata(runId, {
+      type: 'orchestrated',
+      userId: userId || null,
+      mode: inpaint ? 'inpaint' : 'generate',
+      count,
+      ...(parent && { parent }),
+      refinedData: describeRefinedData(result.refinedData),
+      modelUsed: result.modelUsed || null,
+      images: (result.images || []).map(({ index, imageUrl, generationId }) => ({ index, imageUrl, generationId })),
+      ...(result.error && { error: result.error }),
+      ...(result.safetyCheck && { safetyCheck: result.safetyCheck }),
+      ...(result.phaseTimings && { phaseTimings: result.phaseTimings }),
+      replay: result.replay || null
+    }, columns);
+  } catch (error) {
+    console.error(`[Orchestrator] Failed to record the result of run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Give a billed generation's credits back; a failed refund is logged and never thrown
+ */
+async function refundGeneration(requestId, userId, reason) {
+  try {
+    await creditsService.refundGeneration({ userId, jobId: requestId, reason });
+  } catch (error) {
+    console.error(`[Orchestrator] Failed to refund ${requestId}:`, error.message);
+  }
+}
+
+/**
+ * The quote a generation is charged against when CREDITS_ENABLED, null when credits are off
+ * Credits belong to an account: without a user this throws an error with code AUTH_REQUIRED
+ * @param {Object} request - pricingService.createQuote request
+ */
+async function quoteForCredits(userId, request) {
+  if (!config.credits.enabled) return null;
+
+  if (!userId) {
+    const error = new Error('Authentication required: generations are charged to your credits');
+    error.code = 'AUTH_REQUIRED';
+    throw error;
+  }
+
+  return await pricingService.createQuote(request);
+}
+
+/**
+ * Run the generate-image tool for a caller (chat and MCP: { user, auth, ip }, see rateLimitService.subjectsFor)
+ * It takes the generate rate limit and its image count from the daily quota like the generation
+ * routes (throws RATE_LIMITED). With CREDITS_ENABLED the call is priced for its model, count and
+ * aspect ratio and debited before it runs (throws INSUFFICIENT_CREDITS, error.quote), together with
+ * a row recording the charge (metadata.type "tool"); a call that fails is refunded
+ */
+async function executeGenerateImageFor(caller, args, context = {}) {
+  const count = parseImageCount(args.count);
+  return await rateLimitService.runGeneration(caller, count, () => executeChargedGenerateImage(caller.user?.id || null, args, context));
+}
+
+async function executeChargedGenerateImage(userId, args, context) {
+  const quote = await quoteForCredits(userId, {
+    prompt: args.prompt,
+    referenceImages: args.referenceImages || [],
+    count: parseImageCount(args.count),
+    modelId: args.modelId,
+    aspectRatio: args.aspectRatio
+  });
+  if (!quote) {
+    return await executeTool('generate-image', args, { ...context, userId });
+  }
+
+  const requestId = uuidv4();
+  try {
+    await creditsService.debitForGeneration({
       userId,
-      refinedData,
-      state
+      amountUsd: quote.priceUsd,
+      quoteId: quote.id,
+      generation: {
+        jobId: requestId,
+        userId,
+        prompt: args.prompt,
+        modelName: quote.model.id,
+        status: 'running',
+        metadata: {
+          type: 'tool',
+          tool: 'generate-image',
+          userId,
+          count: quote.count,
+          billing: describeBilling(quote)
+        }
+      }
     });
-    
-    const phaseTwoDuration = Date.now() - phaseTwoStart;
-    console.log('[Phase 2] Completed in', phaseTwoDuration, 'ms');
+  } catch (error) {
+    error.quote = quote;
+    throw error;
+  }
+  pricingService.consumeQuote(quote.id);
 
-    const totalDuration = Date.now() - startTime;
-    console.log('[Orchestrator] ========== Total Time:', totalDuration, 'ms ==========');
-    
-    // Add safety check and timing info to successful response
-    return {
-      ...result,
-      safetyCheck: {
-        safe: true,
-        category: 'safe',
-        confidence: safetyResult.confidence
-      },
-      phaseTimings: {
-        safety: phaseZeroDuration,
-        refinement: phaseOneDuration,
-        generation: phaseTwoDuration,
-        total: totalDuration
-      }
-    };
+  let result;
+  try {
+    result = await executeTool('generate-image', args, { ...context, userId, requestId });
   } catch (error) {
-    console.error('[Orchestrator] Generation error:', error);
+    await refundGeneration(requestId, userId, error.message);
+    await recordToolCharge(requestId, { status: 'failed' }, { error: error.message });
     throw error;
   }
+
+  await recordToolCharge(requestId, { status: 'completed', image_url: result.imageUrl });
+  return result;
+}
+
+async function recordToolCharge(requestId, columns, metadata = {}) {
+  try {
+    await storage.updateGenerationMetadata(requestId, metadata, columns);
+  } catch (error) {
+    console.error(`[Orchestrator] Failed to record the result of ${requestId}:`, error.message);
+  }
 }
 
+/**
+ * Three-phase generation used by /generate and background jobs
+ * onPhase(phase, status, data) reports phase transitions; signal cancels between
+ * phases and stops a running prediction; onPrediction receives prediction updates.
+ * count images are generated and stored as generation rows linked by requestId.
+ * inpaint ({ image, mask }, see parseInpaintInput) edits the masked region of image instead
+ * Without a requestId the run itself is recorded in the user's generation history under a new one;
+ * callers passing requestId (background jobs) record the run themselves from the result's replay
+ * generationInput (a previous result's, see replay) skips refinement and repeats that exact
+ * generate-image call, refinedData being the refinement it came from; parent ({ id, relation })
+ * records the generation a rerun or remix came from
+ * quote (see quoteForCredits) bills a run recorded here to the user's credits: it is debited with
+ * the run's row before anything runs (throws INSUFFICIENT_CREDITS, error.quote), runs the quoted model and
+ * aspect ratio, and is refunded when the run fails or is canceled
+ */
 async function generateWithGeminiOrchestratorGx({
   userId,
   prompt,
   referenceImages = [],
-  state = {}
+  state = {},
+  count = 1,
+  inpaint = null,
+  modelId,
+  aspectRatio,
+  requestId,
+  generationInput = null,
+  refinedData: recordedRefinedData = null,
+  parent = null,
+  quote = null,
+  onPhase = () => {},
+  onPrediction,
+  signal
 }) {
+  const ownsRun = !requestId;
+  const runId = requestId || uuidv4();
+  const run = { userId, count, inpaint, parent };
+  const billed = ownsRun && !!quote;
+
+  // A billed run's row is written with its debit, before anything runs
+  if (billed) {
+    modelId = quote.model.id;
+    aspectRatio = aspectRatio || quote.aspectRatio;
+    try {
+      await creditsService.debitForGeneration({
+        userId,
+        amountUsd: quote.priceUsd,
+        quoteId: quote.id,
+        generation: buildRunRecord(runId, { ...run, prompt, modelId, quote })
+      });
+    } catch (error) {
+      error.quote = quote;
+      throw error;
+    }
+    pricingService.consumeQuote(quote.id);
+  }
+
+  const finishRun = async (result) => {
+    if (ownsRun) {
+      await recordRunResult(runId, run, result);
+    }
+    if (billed && !result.success) {
+      await refundGeneration(runId, userId, result.canceled ? 'canceled' : result.error || 'Image generation failed');
+    }
+  };
+
   try {
     const startTime = Date.now();
+    if (ownsRun && !billed) {
+      await recordRunStart(runId, { ...run, prompt, modelId });
+    }
+
     console.log('[Orchestrator] ========== Starting Three-Phase Generation ==========');
     console.log('[Orchestrator] User:', userId);
     console.log('[Orchestrator] Prompt:', prompt.substring(0, 100));
     
-    // Normalize reference images
-    let normalizedReferences = [];
-    if (referenceImages) {
-      if (Array.isArray(referenceImages)) {
-        normalizedReferences = referenceImages.filter(ref => 
-          typeof ref === 'string' && ref.trim().length > 0
-        );
-      } else if (typeof referenceImages === 'string' && referenceImages.trim().length > 0) {
-        normalizedReferences = [referenceImages.trim()];
-      }
-    }
+    // Normalize reference images; when inpainting the source image is the only reference
+    const normalizedReferences = inpaint ? [inpaint.image] : parseReferenceImages(referenceImages);
     
+    console.log('[Orchestrator] Mode:', inpaint ? 'inpaint' : 'generate');
     console.log('[Orchestrator] Reference Images:', normalizedReferences.length);
 
+    const recordImage = await storeInputImages(inpaint ? [inpaint.image, inpaint.mask] : normalizedReferences);
+    const replayOf = (input = null) => buildReplay({
+      recordImage,
+      referenceImages: normalizedReferences,
+      inpaint,
+      generationInput: input
+    });
+
     // ===== PHASE 0: Content Safety Check =====
     console.log('[Phase 0] Starting content safety check...');
     const phaseZeroStart = Date.now();
-
-    const safetyAgent = new Agent({
-      llm: 'o4-mini-2025-04-16', // Your LLM model (e.g., OpenAI GPT variant)
-      inputFormat: z.object({
-        prompt: z.string(),
-        referenceImages: z.array(z.string()),
-      }),
-      outputFormat: z.object({
-        safe: z.boolean(),
-        reason: z.string(),
-        category: z.enum(['nsfw', 'child_safety', 'violence', 'illegal', 'safe']),
-        confidence: z.number().min(0).max(1),
-      }),
-      temperature: 0.7, // Optional: Controls creativity (0-1)
-    });
-
-    const safetyResultGx = await safetyAgent.run({
-      prompt,
-      referenceImages: normalizedReferences
-    });
-
-    console.log('[Phase 0] Result:', safetyResultGx);
+    signal?.throwIfAborted();
+    onPhase('safety', 'started');
     
     const safetyResult = await checkContentSafety({
       prompt,
@@ -1317,11 +1536,12 @@ async function generateWithGeminiOrchestratorGx({
     const phaseZeroDuration = Date.now() - phaseZeroStart;
     console.log('[Phase 0] Completed in', phaseZeroDuration, 'ms');
     console.log('[Phase 0] Result:', safetyResult.safe ? 'SAFE' : 'UNSAFE -', safetyResult.category);
+    onPhase('safety', 'completed', { safe: safetyResult.safe, category: safetyResult.category, duration: phaseZeroDuration });
 
     // If content is not safe, return error immediately
     if (!safetyResult.safe) {
       console.warn('[Phase 0] Content flagged as', safetyResult.category);
-      return {
+      const rejected = {
         success: false,
         error: 'Content policy violation',
         safetyCheck: {
@@ -1334,47 +1554,90 @@ async function generateWithGeminiOrchestratorGx({
         phaseTimings: {
           safety: phaseZeroDuration,
           total: Date.now() - startTime
-        }
+        },
+        replay: replayOf()
       };
+      await finishRun(rejected);
+      return rejected;
     }
 
     console.log('[Phase 0] ✓ Content approved, proceeding to refinement');
 
     // ===== PHASE 1: Prompt Refinement =====
-    console.log('[Phase 1] Starting prompt refinement...');
-    const phaseOneStart = Date.now();
-    
-    const refinedData = await refinePromptWithGemini({
-      userId,
-      prompt,
-      referenceImages: normalizedReferences
-    });
-    
-    const phaseOneDuration = Date.now() - phaseOneStart;
-    console.log('[Phase 1] Completed in', phaseOneDuration, 'ms');
-    console.log('[Phase 1] Mode:', refinedData.mode);
-    console.log('[Phase 1] Title:', refinedData.title);
-    console.log('[Phase 1] Style:', refinedData.style);
+    let refinedData = recordedRefinedData;
+    let phaseOneDuration = 0;
+    if (generationInput) {
+      console.log('[Phase 1] Skipped: replaying a previous generation');
+      onPhase('refinement', 'skipped');
+    } else {
+      console.log('[Phase 1] Starting prompt refinement...');
+      const phaseOneStart = Date.now();
+      signal?.throwIfAborted();
+      onPhase('refinement', 'started');
+
+      refinedData = await refinePromptWithGemini({
+        userId,
+        prompt,
+        referenceImages: normalizedReferences,
+        inpaint
+      });
+
+      phaseOneDuration = Date.now() - phaseOneStart;
+      console.log('[Phase 1] Completed in', phaseOneDuration, 'ms');
+      console.log('[Phase 1] Mode:', refinedData.mode);
+      console.log('[Phase 1] Title:', refinedData.title);
+      console.log('[Phase 1] Style:', refinedData.style);
+      onPhase('refinement', 'completed', { title: refinedData.title, mode: refinedData.mode, duration: phaseOneDuration });
+    }
 
     // ===== PHASE 2: Image Generation =====
     console.log('[Phase 2] Starting image generation...');
     const phaseTwoStart = Date.now();
+    signal?.throwIfAborted();
+    onPhase('generation', 'started');
     
-    const result = await generateImageWithAgent({
-      userId,
-      refinedData,
-      state
-    });
+    // Every prediction of a run recorded here is linked to it, so webhook updates find the run
+    const linkedPredictions = new Set();
+    const context = {
+      signal,
+      onPrediction: async (prediction) => {
+        onPrediction?.(prediction);
+        if (!ownsRun || linkedPredictions.has(prediction.id)) return;
+
+        linkedPredictions.add(prediction.id);
+        try {
+          await storage.linkPrediction(runId, prediction.id);
+        } catch (error) {
+          console.error(`[Orchestrator] Failed to link prediction ${prediction.id}:`, error.message);
+        }
+      },
+      requestId: runId,
+      userId
+    };
+    const result = generationInput
+      ? await replayGeneration({ generationInput, refinedData, context })
+      : await generateImageWithAgent({
+        userId,
+        refinedData,
+        state,
+        count,
+        inpaint,
+        modelId,
+        aspectRatio,
+        context
+      });
     
     const phaseTwoDuration = Date.now() - phaseTwoStart;
     console.log('[Phase 2] Completed in', phaseTwoDuration, 'ms');
+    onPhase('generation', 'completed', { success: result.success, duration: phaseTwoDuration });
 
     const totalDuration = Date.now() - startTime;
     console.log('[Orchestrator] ========== Total Time:', totalDuration, 'ms ==========');
     
-    // Add safety check and timing info to successful response
-    return {
+    // Add safety check and timing info to the response
+    const finished = {
       ...result,
+      requestId: runId,
       safetyCheck: {
         safe: true,
         category: 'safe',
@@ -1385,10 +1648,14 @@ async function generateWithGeminiOrchestratorGx({
         refinement: phaseOneDuration,
         generation: phaseTwoDuration,
         total: totalDuration
-      }
+      },
+      replay: replayOf(result.generationInput)
     };
+    await finishRun(finished);
+    return finished;
   } catch (error) {
     console.error('[Orchestrator] Generation error:', error);
+    await finishRun({ success: false, canceled: !!signal?.aborted, error: error.message });
     throw error;
   }
 }
@@ -1396,8 +1663,11 @@ async function generateWithGeminiOrchestratorGx({
 module.exports = {
   streamGeminiOrchestrator,
   generateWithGeminiOrchestratorGx,
-  generateWithGeminiOrchestrator,
+  quoteForCredits,
+  executeGenerateImageFor,
   getToolDefinitions,
   checkContentSafety,
-  getSafetyErrorMessage
+  refinePromptWithGemini,
+  getSafetyErrorMessage,
+  describeRefinedData
 };
@@ -11,8 +11,9 @@ const { createPaymentHeader: createX402PaymentHeader } = require('x402/schemes')
 const { createKeyPairSignerFromBytes } = require('@solana/kit');
 const { Keypair, Connection } = require('@solana/web3.js');
 const bs58 = require('bs58');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
 const { config } = require('../config/env.config');
-const { settleResponseHeader } = require('x402/types');
 
 class PaymentService {
   constructor() {
@@ -81,13 +82,21 @@ class PaymentService {
     }
   }
 
-  async preparePayment() {
+  /**
+   * Build the x402 payment requirements for a price
+   * @param {Object} options - { priceUsd, resource, description }
+   */
+  async preparePayment({
+    priceUsd = 0.01,
+    resource = 'https://agent.bylana-ai.com/api/agent/generate-x402',
+    description = 'Create an AI image generation job'
+  } = {}) {
     if (!this.isEnabled()) {
       throw new Error('x402 payments are currently disabled.');
     }
 
     const targetNetwork = 'solana';
-    const priceConversion = processPriceToAtomicAmount(0.01, targetNetwork);
+    const priceConversion = processPriceToAtomicAmount(priceUsd, targetNetwork);
     
     if (priceConversion.error) {
       throw new Error(priceConversion.error);
@@ -97,8 +106,8 @@ class PaymentService {
       scheme: 'exact',
       network: targetNetwork,
       maxAmountRequired: priceConversion.maxAmountRequired,
-      resource: 'https://agent.bylana-ai.com/api/agent/generate-x402',
-      description: 'Create an AI image generation job',
+      resource,
+      description,
       mimeType: 'application/json',
       payTo: this.x402PayToAddress,
       maxTimeoutSeconds: 120,
@@ -166,7 +175,6 @@ class PaymentService {
     );
     
     if (!settlement?.success) {
-      console.log('failed settlement:', settlement);
       throw new Error(
         settlement?.errorReason || 'Unable to settle payment. Please try again.'
       );
@@ -240,7 +248,6 @@ class PaymentService {
     );
 
     if (!selectedRequirement) {
-      console.log('provided payment does not match the required configuration:', decodedPayment);
       throw new Error('Provided payment does not match the required configuration.');
     }
 
@@ -251,17 +258,7 @@ class PaymentService {
         selectedRequirement
       );
 
-      const responseHeader = settleResponseHeader(settlement);
-      // In a real application, you would store this response header
-      // and associate it with the payment for later verification
-      console.log("Payment settled:", responseHeader);
-  
       if (!settlement?.success) {
-        console.log('[Payment Service] failed settlement:', {
-          settlement,
-          decodedPayment,
-          selectedRequirement
-        });
         throw new Error(
           settlement?.errorReason || 'Unable to settle payment. Please try again.'
         );
@@ -278,12 +275,7 @@ class PaymentService {
         }
       };
     } catch (error) {
-      console.log('[Payment Service] Error during facilitatorClient.settle:', {
-        message: error.message,
-        stack: error.stack,
-        decodedPayment,
-        selectedRequirement
-      });
+      console.error('[Payment Service] Settlement failed:', error.message);
       return {
         success: false,
         step: 'settle',
@@ -292,6 +284,27 @@ class PaymentService {
     }
   }
 
+  /**
+   * Persist an x402 payment and its outcome in transactions
+   * status: completed (settled, with signature), released (verified but never settled) or failed (settlement failed)
+   */
+  async recordPayment({ status, priceUsd, network, payer, signature, metadata = {} }) {
+    try {
+      return await storage.createTransaction({
+        id: uuidv4(),
+        type: 'PAYMENT',
+        amount: priceUsd,
+        chain: network || this.x402Network,
+        status,
+        signature: signature || null,
+        metadata: { payer: payer || null, ...metadata }
+      });
+    } catch (error) {
+      console.error('[Payment Service] Failed to record payment:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Auto-sign payment using wallet private key
    * Uses x402's createPaymentHeader to create and sign payment transaction
@@ -0,0 +1,183 @@
+/**
+ * Pricing Service
+ * Prices a generation from the model's cost tier, the image count and the output resolution,
+ * and keeps short-lived quotes that paid (x402) requests are charged against
+ *
+ * A quote pins the model and aspect ratio it was priced for, so the paid generation
+ * runs exactly what was quoted. Quotes live in memory until they expire (PRICE_QUOTE_TTL_MS)
+ * or are paid; beyond PRICE_MAX_OPEN_QUOTES the oldest are dropped
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const replicateModelsService = require('./replicate-models.service');
+const imageGenerationService = require('./image-generation.service');
+const { executeSuggestPrompt } = require('./tool-executor.service');
+const { config } = require('../config/env.config');
+
+// Unknown tiers are priced as the most expensive one
+const FALLBACK_TIER = 'high';
+
+// USDC has 6 decimals; quotes are rounded up to a hundredth of a cent
+const PRICE_PRECISION = 10000;
+
+class PricingService {
+  constructor() {
+    // Open quotes: { quoteId: quote }
+    this.quotes = new Map();
+  }
+
+  /**
+   * USD price for `count` images from a model at the given dimensions
+   * @param {Object} options - { model, count, dimensions: { width, height } }
+   */
+  priceFor({ model, count = 1, dimensions }) {
+    const costTier = config.pricing.tiers[model.costTier] !== undefined ? model.costTier : FALLBACK_TIER;
+    const tierPriceUsd = config.pricing.tiers[costTier];
+    // 1024x1024 counts as 1 MP
+    const megapixels = dimensions ? (dimensions.width * dimensions.height) / (1024 * 1024) : config.pricing.baseMegapixels;
+    const resolutionMultiplier = Math.max(1, megapixels / config.pricing.baseMegapixels);
+
+    const priceUsd = Math.ceil(tierPriceUsd * count * resolutionMultiplier * PRICE_PRECISION) / PRICE_PRECISION;
+
+    return {
+      priceUsd,
+      breakdown: {
+        costTier,
+        tierPriceUsd,
+        count,
+        megapixels: Number(megapixels.toFixed(2)),
+        resolutionMultiplier: Number(resolutionMultiplier.toFixed(2))
+      }
+    };
+  }
+
+  /**
+   * Quote a generation request
+   * Without a modelId the prompt is refined and the best-matching model is priced
+   * @param {Object} request - { prompt, referenceImages, count, modelId?, aspectRatio?, inpaint? }
+   */
+  async createQuote({ prompt, referenceImages = [], count = 1, modelId, aspectRatio, inpaint = null }) {
+    this.sweepExpired();
+
+    if (!modelId) {
+      const { suggestion } = await executeSuggestPrompt({ userInput: prompt, referenceImages, inpaint });
+      modelId = suggestion.model.id;
+      aspectRatio = aspectRatio || suggestion.aspectRatio;
+    }
+
+    const model = await replicateModelsService.getModelById(modelId);
+    if (!model) {
+      throw new Error(`Model "${modelId}" not found`);
+    }
+
+    aspectRatio = aspectRatio || '1:1';
+    const dimensions = await imageGenerationService.getDimensions(model.id, aspectRatio);
+    const { priceUsd, breakdown } = this.priceFor({ model, count, dimensions });
+
+    const now = Date.now();
+    const quote = {
+      id: uuidv4(),
+      priceUsd,
+      currency: 'USD',
+      model: {
+        id: model.id,
+        name: model.name,
+        costTier: breakdown.costTier
+      },
+      aspectRatio,
+      count,
+      breakdown,
+      requestHash: this.hashRequest({ prompt, referenceImages, count }),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + config.pricing.quoteTtlMs).toISOString()
+    };
+
+    this.quotes.set(quote.id, quote);
+    // Maps iterate in insertion order: the first quotes are the oldest
+    for (const quoteId of this.quotes.keys()) {
+      if (this.quotes.size <= config.pricing.maxOpenQuotes) break;
+      this.quotes.delete(quoteId);
+    }
+    console.log(`[Pricing] Quote ${quote.id}: $${priceUsd} for ${count} x ${model.id} (${breakdown.costTier}, ${breakdown.megapixels} MP)`);
+
+    return quote;
+  }
+
+  /**
+   * An open quote, or null when unknown or expired
+   */
+  getQuote(quoteId) {
+    const quote = quoteId ? this.quotes.get(quoteId) : null;
+    if (!quote) return null;
+
+    if (Date.parse(quote.expiresAt) <= Date.now()) {
+      this.quotes.delete(quoteId);
+      return null;
+    }
+
+    return quote;
+  }
+
+  /**
+   * A quote only pays for the request it was made for
+   */
+  matchesQuote(quote, { prompt, referenceImages, count }) {
+    return quote.requestHash === this.hashRequest({ prompt, referenceImages, count });
+  }
+
+  /**
+   * Look up the quote a paid request body ({ quoteId, prompt, referenceImages, count }) is charged against
+   * @returns {Object} { quote } or { error } to send back as a 400
+   */
+  resolveQuote(body = {}) {
+    const quoteId = body.quoteId || body.quote_id;
+    const quote = this.getQuote(quoteId);
+
+    if (!quote) {
+      return {
+        error: quoteId
+          ? 'Quote not found or expired - request a new one from POST /api/agent/quote'
+          : 'quoteId is required - request a price from POST /api/agent/quote'
+      };
+    }
+
+    const request = {
+      prompt: body.prompt,
+      referenceImages: body.referenceImages || body.reference_images,
+      count: body.count
+    };
+    if (!this.matchesQuote(quote, request)) {
+      return { error: 'Request does not match its quote: prompt, referenceImages and count must be unchanged' };
+    }
+
+    return { quote };
+  }
+
+  /**
+   * Close a quote once its generation has been paid for
+   */
+  consumeQuote(quoteId) {
+    this.quotes.delete(quoteId);
+  }
+
+  hashRequest({ prompt, referenceImages, count }) {
+    const references = Array.isArray(referenceImages) ? referenceImages : [referenceImages].filter(Boolean);
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([String(prompt || '').trim(), references, Number(count ?? 1)]))
+      .digest('hex');
+  }
+
+  sweepExpired() {
+    const now = Date.now();
+    for (const [quoteId, quote] of this.quotes.entries()) {
+      if (Date.parse(quote.expiresAt) <= now) {
+        this.quotes.delete(quoteId);
+      }
+    }
+  }
+}
+
+module.exports = new PricingService();
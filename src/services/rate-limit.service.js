@@ -0,0 +1,266 @@
+/**
+ * Rate Limit Service
+ * Per-route token buckets and daily generation quotas
+ *
+ * Buckets are kept per API key, else per user, else per client IP, so each key of an account
+ * gets its own burst. Quotas count generated images per user (all of its keys together) or per IP,
+ * against the daily limit of the user's plan (config.rateLimits.plans), and reset at 00:00 UTC.
+ * State lives in storage, so limits hold across processes sharing a PostgreSQL database
+ *
+ * A request reserves its image count up front; the reservation is released when the request is
+ * rejected or fails (a 4xx or 5xx response), so only generations that went through are counted
+ *
+ * Generations started outside of a generation route (chat tools, MCP) go through runGeneration,
+ * under the same generate bucket and quota, with the caller ({ user, auth, ip }) in place of the request
+ */
+
+const storage = require('../storage');
+const { config } = require('../config/env.config');
+const { parseImageCount } = require('./tool-executor.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RateLimitService {
+  /**
+   * Express middleware; over-limit requests get a 429 with Retry-After
+   * Mount after the auth middleware (req.user, req.auth) and the idempotency middleware,
+   * so replays are not counted and rejected keys can be retried
+   * @param {Object} options - { route: key of config.rateLimits.routes, quota: reserve the body's image count }
+   */
+  middleware({ route, quota = false }) {
+    return async (req, res, next) => {
+      if (!config.rateLimits.enabled) return next();
+
+      try {
+        const subjects = this.subjectsFor(req);
+
+        const bucket = await this.take(route, subjects.bucket);
+        if (!bucket.allowed) {
+          console.warn(`[RateLimit] ${route} limit hit by ${subjects.bucket}`);
+          return sendLimited(res, bucket.retryAfterSeconds, `Rate limit exceeded for ${route} requests - retry in ${bucket.retryAfterSeconds}s`);
+        }
+
+        // An invalid count is rejected by the route; one unit is held until then
+        if (quota && !await this.reserveQuota(req, res, quotaUnits(req.body?.count))) return;
+
+        next();
+      } catch (error) {
+        console.error('[RateLimit] Error:', error);
+        res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+    };
+  }
+
+  /**
+   * Reserve units of the caller's daily quota for this request
+   * Sends the 429 and returns false when the quota cannot cover them. Otherwise sets
+   * req.quotaReservation ({ units, release() }), released automatically when the response is
+   * a 4xx or 5xx; work that fails after a 2xx (a queued job) calls release() itself
+   */
+  async reserveQuota(req, res, units) {
+    if (!config.rateLimits.enabled) return true;
+
+    let reservation;
+    try {
+      reservation = await this.reserveQuotaFor(req, units);
+    } catch (error) {
+      if (error.code !== 'RATE_LIMITED') throw error;
+      sendLimited(res, error.retryAfterSeconds, error.message);
+      return false;
+    }
+    req.quotaReservation = reservation;
+
+    // Hooked on end() rather than 'finish' so it also runs when the client has disconnected
+    const end = res.end.bind(res);
+    res.end = (...args) => {
+      if (res.statusCode >= 400) reservation.release();
+      return end(...args);
+    };
+
+    return true;
+  }
+
+  /**
+   * Reserve units of a caller's daily quota ({ units, release() })
+   * Throws an error with code RATE_LIMITED (error.retryAfterSeconds) when the quota cannot cover them
+   * @param {Object} caller - a request, or { user, auth, ip } outside of one
+   */
+  async reserveQuotaFor(caller, units) {
+    const subjects = this.subjectsFor(caller);
+    const limit = this.dailyLimit(subjects.plan);
+    const day = utcDay();
+
+    const usage = await storage.reserveUsage(subjects.quota, day, units, limit);
+    if (!usage.allowed) {
+      console.warn(`[RateLimit] Daily quota (${limit}, ${subjects.plan} plan) reached by ${subjects.quota}`);
+      throw limitedError(secondsUntilReset(), `Daily generation quota of ${limit} reached (${subjects.plan} plan, ${usage.used} used, ${units} requested) - resets at 00:00 UTC`);
+    }
+
+    let released = false;
+    return {
+      units,
+      release: async () => {
+        if (released) return;
+        released = true;
+        try {
+          await storage.releaseUsage(subjects.quota, day, units);
+        } catch (error) {
+          console.error(`[RateLimit] Failed to release ${units} quota units of ${subjects.quota}:`, error.message);
+        }
+      }
+    };
+  }
+
+  /**
+   * Run a generation outside of a generation route (chat tools, MCP) under the generate bucket
+   * and units of the daily quota; the units are released when run throws or returns { success: false }
+   * Throws an error with code RATE_LIMITED (error.retryAfterSeconds) when over either limit
+   * @param {Object} caller - { user, auth, ip }, see subjectsFor
+   */
+  async runGeneration(caller, units, run) {
+    if (!config.rateLimits.enabled) return await run();
+
+    const subjects = this.subjectsFor(caller);
+    const bucket = await this.take('generate', subjects.bucket);
+    if (!bucket.allowed) {
+      console.warn(`[RateLimit] generate limit hit by ${subjects.bucket}`);
+      throw limitedError(bucket.retryAfterSeconds, `Rate limit exceeded for generate requests - retry in ${bucket.retryAfterSeconds}s`);
+    }
+
+    const reservation = await this.reserveQuotaFor(caller, units);
+    let result;
+    try {
+      result = await run();
+    } catch (error) {
+      await reservation.release();
+      throw error;
+    }
+
+    if (result?.success === false) {
+      await reservation.release();
+    }
+    return result;
+  }
+
+  /**
+   * Current consumption of the caller: today's quota and the state of each route bucket
+   */
+  async getUsage(req) {
+    const subjects = this.subjectsFor(req);
+    const limit = this.dailyLimit(subjects.plan);
+    const used = await storage.getUsage(subjects.quota, utcDay());
+
+    const buckets = {};
+    for (const [route, { capacity, refillPerMinute }] of Object.entries(config.rateLimits.routes)) {
+      const tokens = await storage.getRateLimitTokens(bucketKey(route, subjects.bucket), {
+        capacity,
+        refillPerSecond: refillPerMinute / 60
+      });
+      buckets[route] = {
+        capacity,
+        refillPerMinute,
+        remaining: Math.floor(tokens)
+      };
+    }
+
+    return {
+      enabled: config.rateLimits.enabled,
+      subject: subjects.quota,
+      plan: subjects.plan,
+      quota: {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resetsAt: new Date(nextReset()).toISOString()
+      },
+      buckets
+    };
+  }
+
+  /**
+   * Who a request (or a { user, auth, ip } caller) counts against: bucket (key, user or IP), quota (user or IP) and plan
+   */
+  subjectsFor(req) {
+    if (!req.user) {
+      const ip = `ip:${req.ip}`;
+      return { bucket: ip, quota: ip, plan: 'anonymous' };
+    }
+
+    const user = `user:${req.user.id}`;
+    return {
+      bucket: req.auth?.keyId ? `key:${req.auth.keyId}` : user,
+      quota: user,
+      plan: req.user.plan || config.rateLimits.defaultPlan
+    };
+  }
+
+  dailyLimit(plan) {
+    const { plans, defaultPlan } = config.rateLimits;
+    return plans[plan] ?? plans[defaultPlan];
+  }
+
+  async take(route, subject) {
+    const { capacity, refillPerMinute } = config.rateLimits.routes[route];
+    const refillPerSecond = refillPerMinute / 60;
+    const { allowed, tokens } = await storage.takeRateLimitToken(bucketKey(route, subject), {
+      capacity,
+      refillPerSecond
+    });
+
+    return {
+      allowed,
+      retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil((1 - tokens) / refillPerSecond))
+    };
+  }
+}
+
+/**
+ * Quota units of a request: its image count (1 while the count is invalid)
+ */
+function quotaUnits(count) {
+  try {
+    return parseImageCount(count);
+  } catch {
+    return 1;
+  }
+}
+
+function bucketKey(route, subject) {
+  return `${route}:${subject}`;
+}
+
+function limitedError(retryAfterSeconds, message) {
+  const error = new Error(message);
+  error.code = 'RATE_LIMITED';
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+}
+
+function sendLimited(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: message,
+    retryAfter: retryAfterSeconds
+  });
+}
+
+/**
+ * Today's date in UTC (YYYY-MM-DD), the quota period
+ */
+function utcDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextReset() {
+  return Math.floor(Date.now() / DAY_MS) * DAY_MS + DAY_MS;
+}
+
+function secondsUntilReset() {
+  return Math.max(1, Math.ceil((nextReset() - Date.now()) / 1000));
+}
+
+module.exports = new RateLimitService();
@@ -7,6 +7,7 @@ const Replicate = require('replicate');
 const { config } = require('../config/env.config');
 const fs = require('fs');
 const path = require('path');
+const { isImageInputParam, resolveSchemaRef } = require('./input-mapper.service');
 
 class ReplicateModelsService {
   constructor() {
@@ -276,17 +277,29 @@ class ReplicateModelsService {
 
         // Add allOf constraints if present (common in Replicate schemas)
         if (value.allOf) {
-          const allOfTypes = value.allOf.map(item => item.type).filter(Boolean);
+          // Replicate puts enums behind $ref, e.g. { allOf: [{ $ref: '#/components/schemas/aspect_ratio' }] }
+          const resolved = value.allOf.map(item => resolveSchemaRef(modelSchema, item));
+          const allOfTypes = resolved.map(item => item.type).filter(Boolean);
           if (allOfTypes.length > 0) {
             paramInfo.type = allOfTypes[0];
           }
+          const allOfEnum = resolved.find(item => Array.isArray(item.enum))?.enum;
+          if (allOfEnum && !paramInfo.options) {
+            paramInfo.options = allOfEnum;
+          }
+        }
+
+        // Numeric bounds
+        if (value.minimum !== undefined) {
+          paramInfo.minimum = value.minimum;
+        }
+        if (value.maximum !== undefined) {
+          paramInfo.maximum = value.maximum;
         }
 
-        // Detect if parameter is for image input
-        const isImageParam = 
-          key.toLowerCase().includes('image') || 
-          value.format === 'uri' ||
-          (value.description && value.description.toLowerCase().includes('image'));
+        // Detect if parameter is for image input (by type, format and name; descriptions
+        // mention "image" for almost every parameter of an image model)
+        const isImageParam = isImageInputParam(key, { ...value, type: paramInfo.type });
         
         if (isImageParam) {
           paramInfo.isImageInput = true;
@@ -0,0 +1,171 @@
+/**
+ * Replicate Webhook Service
+ * Verifies prediction webhooks, updates the matching generation and notifies listeners
+ *
+ * Events:
+ *   'prediction'        - every verified prediction update
+ *   'prediction:<id>'   - updates for one prediction
+ */
+
+const { EventEmitter } = require('events');
+const { validateWebhook } = require('replicate');
+const storage = require('../storage');
+const { config } = require('../config/env.config');
+
+const TERMINAL_STATUSES = ['succeeded', 'failed', 'canceled'];
+
+// How long an update is kept for a waiter that subscribes after it arrived
+const LATEST_TTL_MS = 10 * 60 * 1000;
+
+class ReplicateWebhookService extends EventEmitter {
+  constructor() {
+    super();
+    this.secret = config.replicate.webhookSecret || null;
+    // Latest update per prediction: { predictionId: prediction }
+    this.latest = new Map();
+    this.setMaxListeners(0);
+  }
+
+  isEnabled() {
+    return Boolean(config.replicate.webhookUrl);
+  }
+
+  /**
+   * Options added to predictions.create when webhooks are enabled
+   */
+  getPredictionOptions() {
+    if (!this.isEnabled()) return {};
+
+    return {
+      webhook: config.replicate.webhookUrl,
+      webhook_events_filter: ['start', 'completed']
+    };
+  }
+
+  /**
+   * Signing secret from config, or fetched once from Replicate
+   */
+  async getSecret() {
+    if (!this.secret) {
+      // Required lazily: the image generation service owns the Replicate client
+      const imageGenerationService = require('./image-generation.service');
+      const { key } = await imageGenerationService.replicate.webhooks.default.secret.get();
+      this.secret = key;
+    }
+    return this.secret;
+  }
+
+  /**
+   * Check the webhook-id / webhook-timestamp / webhook-signature headers against the raw body
+   */
+  async verify(headers, rawBody) {
+    const timestamp = Number(headers['webhook-timestamp']);
+    const age = Math.abs(Date.now() / 1000 - timestamp);
+
+    if (!Number.isFinite(timestamp) || age > config.replicate.webhookToleranceSeconds) {
+      console.warn('[Replicate Webhook] Rejected: timestamp outside tolerance');
+      return false;
+    }
+
+    try {
+      return await validateWebhook({
+        id: headers['webhook-id'],
+        timestamp: headers['webhook-timestamp'],
+        signature: headers['webhook-signature'],
+        body: rawBody,
+        secret: await this.getSecret()
+      });
+    } catch (error) {
+      console.warn('[Replicate Webhook] Rejected:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Apply a verified prediction update
+   */
+  async handlePrediction(prediction) {
+    console.log(`[Replicate Webhook] Prediction ${prediction.id}: ${prediction.status}`);
+
+    this.latest.set(prediction.id, prediction);
+    setTimeout(() => {
+      if (this.latest.get(prediction.id) === prediction) {
+        this.latest.delete(prediction.id);
+      }
+    }, LATEST_TTL_MS).unref();
+
+    const generation = await storage.getGenerationByPredictionId(prediction.id);
+    if (generation) {
+      await this.updateGeneration(generation, prediction);
+    }
+
+    this.emit('prediction', prediction);
+    this.emit(`prediction:${prediction.id}`, prediction);
+
+    return generation;
+  }
+
+  /**
+   * Record the prediction state on its generation row
+   * Only the keys written here are merged into the stored metadata, so pipeline metadata written
+   * meanwhile (refinedData, replay, parent) is kept
+   */
+  async updateGeneration(generation, prediction) {
+    const jobId = generation.job_id || generation.jobId;
+    const metadata = {
+      prediction: {
+        id: prediction.id,
+        status: prediction.status,
+        model: prediction.model,
+        metrics: prediction.metrics
+      }
+    };
+    const updates = {};
+
+    // Background jobs set their own final status (they may still fall back to another model)
+    if (generation.metadata?.type !== 'orchestrated' && TERMINAL_STATUSES.includes(prediction.status)) {
+      if (prediction.status === 'succeeded') {
+        const imageGenerationService = require('./image-generation.service');
+        updates.status = 'completed';
+        updates.image_url = imageGenerationService.extractImageUrl(prediction.output);
+      } else {
+        updates.status = 'failed';
+        metadata.error = prediction.error || `Prediction ${prediction.status}`;
+      }
+    }
+
+    await storage.updateGenerationMetadata(jobId, metadata, updates);
+  }
+
+  /**
+   * Wait for the next update of a prediction whose status differs from knownStatus
+   * Resolves with the prediction, or null on timeout / abort
+   */
+  waitForUpdate(predictionId, knownStatus, { timeoutMs, signal } = {}) {
+    const latest = this.latest.get(predictionId);
+    if (latest && latest.status !== knownStatus) {
+      return Promise.resolve(latest);
+    }
+
+    return new Promise((resolve) => {
+      const eventName = `prediction:${predictionId}`;
+
+      const finish = (prediction) => {
+        clearTimeout(timer);
+        this.off(eventName, onUpdate);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(prediction);
+      };
+      const onUpdate = (prediction) => {
+        if (prediction.status !== knownStatus) finish(prediction);
+      };
+      const onAbort = () => finish(null);
+      const timer = setTimeout(() => finish(null), timeoutMs);
+
+      this.on(eventName, onUpdate);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = new ReplicateWebhookService();
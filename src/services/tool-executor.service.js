@@ -5,6 +5,101 @@
 const imageGenerationService = require('./image-generation.service');
 const replicateModelsService = require('./replicate-models.service');
 const modelFilterService = require('./model-filter.service');
+const { getImageInputParams, getMaskParam } = require('./input-mapper.service');
+const { config } = require('../config/env.config');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Validate a requested image count (defaults to 1)
+ */
+function parseImageCount(count) {
+  if (count === undefined || count === null) return 1;
+
+  const max = config.generation.maxImagesPerRequest;
+  const value = Number(count);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new Error(`count must be an integer between 1 and ${max}`);
+  }
+  return value;
+}
+
+const IMAGE_DATA_URI = /^data:image\/(png|jpe?g|webp|gif);base64,[A-Za-z0-9+/=]+$/;
+
+/**
+ * Check that a value is an http(s) image URL or a base64 image data URI
+ */
+function isImageSource(value) {
+  if (typeof value !== 'string') return false;
+  if (value.startsWith('data:')) return IMAGE_DATA_URI.test(value);
+
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Normalize the reference images of a request (a string or an array) to a list
+ * Throws when one is not an http(s) URL or a base64 image data URI
+ */
+function parseReferenceImages(referenceImages) {
+  const references = (Array.isArray(referenceImages) ? referenceImages : [referenceImages])
+    .filter(ref => typeof ref === 'string' && ref.trim().length > 0)
+    .map(ref => ref.trim());
+
+  if (!references.every(isImageSource)) {
+    throw new Error('referenceImages must be http(s) URLs or base64 image data URIs');
+  }
+  return references;
+}
+
+/**
+ * Shorten data URIs for metadata and logs; URLs are returned as-is
+ */
+function describeImageSource(value) {
+  if (!value.startsWith('data:')) return value;
+  return `${value.slice(0, value.indexOf(',') + 1)}… (${value.length} chars)`;
+}
+
+/**
+ * Validate the inpainting fields of a generate request
+ * Returns { image, mask } in inpaint mode and null otherwise
+ */
+function parseInpaintInput({ mode, image, mask } = {}) {
+  if (mode === undefined || mode === null || mode === 'generate') return null;
+
+  if (mode !== 'inpaint') {
+    throw new Error('mode must be "generate" or "inpaint"');
+  }
+  if (!isImageSource(image?.trim())) {
+    throw new Error('image (the source image) must be an http(s) URL or a base64 image data URI in inpaint mode');
+  }
+  if (!isImageSource(mask?.trim())) {
+    throw new Error('mask must be an http(s) URL or a base64 image data URI in inpaint mode');
+  }
+
+  return { image: image.trim(), mask: mask.trim() };
+}
+
+/**
+ * Check whether a model can take the given number of reference images
+ */
+function supportsReferenceImages(model, referenceCount = 0) {
+  if (referenceCount === 0) return true;
+
+  const imageInputParams = getImageInputParams(model);
+  if (imageInputParams.length === 0) return false;
+
+  return referenceCount === 1 || imageInputParams.some(p => p.type === 'array');
+}
+
+/**
+ * Check whether a model can edit a masked region
+ */
+function supportsInpainting(model) {
+  return getMaskParam(model) !== null && getImageInputParams(model).length > 0;
+}
 
 /**
  * Execute list-models tool
@@ -29,6 +124,9 @@ async function executeListModels({ referenceImageCount, modelRequirements } = {}
         models = await replicateModelsService.getImageModels({ 
           referenceImageCount: fallbackCount 
         });
+        if (modelRequirements.needsMask) {
+          models = models.filter(supportsInpainting);
+        }
       }
     } else {
       // Legacy path: use basic filtering
@@ -91,6 +189,55 @@ async function executeListModels({ referenceImageCount, modelRequirements } = {}
   }
 }
 
+/**
+ * Execute suggest-prompt tool
+ * Runs the refiner phase on the user's idea and recommends the best matching model
+ */
+async function executeSuggestPrompt({ userInput, referenceImages = [], userId, inpaint = null } = {}) {
+  try {
+    if (!userInput || typeof userInput !== 'string' || userInput.trim().length === 0) {
+      throw new Error('userInput is required and must be a non-empty string');
+    }
+
+    // Required lazily: the orchestrator requires this module
+    const { refinePromptWithGemini } = require('./orchestrator.service');
+
+    const refinedData = await refinePromptWithGemini({
+      userId,
+      prompt: userInput.trim(),
+      referenceImages: Array.isArray(referenceImages) ? referenceImages : [referenceImages].filter(Boolean),
+      inpaint
+    });
+
+    const [model] = modelFilterService.filterAndScoreModels(refinedData.modelRequirements, 1);
+    if (!model) {
+      throw new Error('No model matches the refined requirements');
+    }
+
+    return {
+      success: true,
+      suggestion: {
+        prompt: refinedData.refined_prompt || userInput.trim(),
+        aspectRatio: refinedData.aspect_ratio || '1:1',
+        style: refinedData.style || 'None',
+        model: {
+          id: model.id,
+          name: model.name
+        },
+        promptMetadata: {
+          title: refinedData.title || 'Untitled',
+          mode: refinedData.mode,
+          preferredModel: refinedData.preferred_model || null,
+          modelRequirements: refinedData.modelRequirements,
+          modelSummary: model.summary?.oneLinePitch || null
+        }
+      }
+    };
+  } catch (error) {
+    throw new Error(error.message || 'Failed to suggest prompt');
+  }
+}
+
 /**
  * Execute search-models tool
  */
@@ -168,8 +315,12 @@ async function executeGenerateImage({
   aspectRatio,
   style,
   negativePrompt,
-  extraParams
-}) {
+  extraParams,
+  count,
+  mode,
+  image,
+  mask
+}, context = {}) {
   try {
     // Validate required params
     if (!modelId) {
@@ -180,15 +331,11 @@ async function executeGenerateImage({
       throw new Error('prompt is required and must be a non-empty string');
     }
 
-    // Normalize referenceImages to array
-    let normalizedReferences = [];
-    if (referenceImages) {
-      if (Array.isArray(referenceImages)) {
-        normalizedReferences = referenceImages.filter(ref => typeof ref === 'string' && ref.trim().length > 0);
-      } else if (typeof referenceImages === 'string' && referenceImages.trim().length > 0) {
-        normalizedReferences = [referenceImages.trim()];
-      }
-    }
+    const imageCount = parseImageCount(count);
+    const inpaint = parseInpaintInput({ mode, image, mask });
+
+    // Normalize referenceImages to array; in inpaint mode the source image is the only reference
+    const normalizedReferences = inpaint ? [inpaint.image] : parseReferenceImages(referenceImages);
 
     // Get model details
     const model = await replicateModelsService.getModelById(modelId);
@@ -198,9 +345,7 @@ async function executeGenerateImage({
 
     // Schema-aware validation: Check if model accepts reference images
     if (normalizedReferences.length > 0) {
-      const imageInputParams = Object.entries(model.inputSchema || {})
-        .filter(([_, param]) => param.isImageInput === true && !param.isMask)
-        .map(([name, param]) => ({ name, type: param.type }));
+      const imageInputParams = getImageInputParams(model);
 
       if (imageInputParams.length === 0) {
         throw new Error(
@@ -224,24 +369,55 @@ async function executeGenerateImage({
       console.log(`[Schema Validation] Model "${model.name}" accepts images via: ${imageInputParams.map(p => p.name).join(', ')}`);
     }
 
-    // Note: Mask parameters are excluded from validation - they're for inpainting, not standard reference-based generation
+    // Mask parameters are only used in inpaint mode
+    if (inpaint) {
+      const maskParam = getMaskParam(model);
+      if (!maskParam) {
+        throw new Error(
+          `Model "${model.name}" does not support inpainting. ` +
+          `Its inputSchema does not have a mask parameter. ` +
+          `Please choose a model with a mask parameter.`
+        );
+      }
+      console.log(`[Schema Validation] Model "${model.name}" accepts a mask via: ${maskParam}`);
+    }
 
-    console.log(`[Generate Image] Model: ${model.name}, References: ${normalizedReferences.length}`);
+    console.log(`[Generate Image] Model: ${model.name}, Mode: ${inpaint ? 'inpaint' : 'generate'}, References: ${normalizedReferences.length}, Count: ${imageCount}`);
 
-    // Generate the image
+    // Generate the image(s)
     const generationResult = await imageGenerationService.generateImage(model.id, prompt, {
       aspectRatio: aspectRatio || '1:1',
       style: style || 'None',
       referenceImages: normalizedReferences,
+      mask: inpaint?.mask,
       negativePrompt,
+      count: imageCount,
       extraParams: extraParams || {}
-    });
+    }, context);
 
     const { imageUrl, metadata } = generationResult;
 
+    // One generation row per image, linked to the request
+    const requestId = context.requestId || uuidv4();
+    const images = await imageGenerationService.recordImages({
+      requestId,
+      userId: context.userId,
+      prompt,
+      modelId: model.id,
+      images: generationResult.images,
+      metadata: {
+        title: title || 'Untitled',
+        mode: inpaint ? 'inpaint' : 'generate',
+        aspectRatio: metadata.aspectRatio,
+        dimensions: metadata.dimensions
+      }
+    });
+
     return {
       success: true,
       imageUrl,
+      images,
+      requestId,
       metadata: {
         title: title || 'Untitled',
         model: {
@@ -251,12 +427,19 @@ async function executeGenerateImage({
           capabilities: model.capabilities
         },
         prompt,
+        mode: inpaint ? 'inpaint' : 'generate',
         negativePrompt: negativePrompt || null,
-        referenceImages: normalizedReferences,
+        referenceImages: normalizedReferences.map(describeImageSource),
+        ...(inpaint && { mask: describeImageSource(inpaint.mask) }),
         aspectRatio: metadata.aspectRatio,
         style: style || 'None',
         dimensions: metadata.dimensions,
-        size: metadata.dimensions ? `${metadata.dimensions.width}x${metadata.dimensions.height}` : undefined
+        size: metadata.dimensions ? `${metadata.dimensions.width}x${metadata.dimensions.height}` : undefined,
+        asset: metadata.asset || null,
+        count: metadata.count,
+        requestedCount: metadata.requestedCount,
+        failedPredictions: metadata.failedPredictions || [],
+        inputAdjustments: metadata.inputAdjustments || []
       }
     };
   } catch (error) {
@@ -266,8 +449,9 @@ async function executeGenerateImage({
 
 /**
  * Main executor function that routes to appropriate tool handler
+ * @param {Object} context - Options that are not tool arguments ({ signal, onPrediction, requestId, userId })
  */
-async function executeTool(toolName, args = {}) {
+async function executeTool(toolName, args = {}, context = {}) {
   console.log('[Tool Executor] Executing:', toolName, 'with args:', Object.keys(args));
 
   switch (toolName) {
@@ -284,11 +468,11 @@ async function executeTool(toolName, args = {}) {
       return await executeGetModel(args);
     
     case 'generate-image':
-      return await executeGenerateImage(args);
+      return await executeGenerateImage(args, context);
     
     // Legacy support
     case 'image-generation-workflow':
-      return await executeGenerateImage(args);
+      return await executeGenerateImage(args, context);
 
     default:
       throw new Error(`Unknown tool: ${toolName}`);
@@ -297,8 +481,15 @@ async function executeTool(toolName, args = {}) {
 
 module.exports = {
   executeTool,
+  executeSuggestPrompt,
   executeListModels,
   executeSearchModels,
   executeGetModel,
-  executeGenerateImage
+  executeGenerateImage,
+  parseImageCount,
+  parseInpaintInput,
+  parseReferenceImages,
+  describeImageSource,
+  supportsReferenceImages,
+  supportsInpainting
 };
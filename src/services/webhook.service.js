@@ -0,0 +1,385 @@
+/**
+ * Webhook Service
+ * Delivers the generation routes' start/success/failure webhooks
+ *
+ * Every delivery is logged in storage before it is sent and retried with exponential backoff
+ * (network errors, timeouts, 408, 429 and 5xx). Requests are signed the Standard Webhooks way -
+ * the same scheme Replicate uses - so receivers can verify them with any Standard Webhooks library:
+ *   webhook-id         delivery id, stable across retries and redeliveries
+ *   webhook-timestamp  unix seconds of the attempt
+ *   webhook-signature  v1,<base64 HMAC-SHA256 of "<id>.<timestamp>.<body>">
+ *   webhook-event      generation.started | generation.succeeded | generation.failed
+ *
+ * Webhooks are only sent signed: without WEBHOOK_SIGNING_SECRET (or with WEBHOOKS_ENABLED=false) webhook URLs
+ * are refused and logged deliveries fail unsent
+ *
+ * Targets must be http(s) URLs resolving to public addresses; private, loopback and link-local
+ * targets are refused unless WEBHOOK_ALLOW_PRIVATE_TARGETS=true. The request connects to the address that was
+ * checked, so a host re-resolving to a private address between the check and the send (DNS rebinding) is not reached
+ *
+ * A delivery belongs to the user whose request it reports on; the log only shows a user their own
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('../storage');
+const { config } = require('../config/env.config');
+
+const EVENTS = {
+  started: 'generation.started',
+  succeeded: 'generation.succeeded',
+  failed: 'generation.failed'
+};
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+class WebhookService {
+  constructor() {
+    this.events = EVENTS;
+    // Scheduled attempts: { deliveryId: timeout }
+    this.timers = new Map();
+  }
+
+  /**
+   * Whether webhooks can be sent: enabled, with a signing secret
+   */
+  isEnabled() {
+    return config.webhooks.enabled && !!config.webhooks.secret;
+  }
+
+  /**
+   * Throw when a URL is not an acceptable webhook target (error.code WEBHOOK_TARGET_BLOCKED)
+   * @returns {Object|null} the vetted { address, family } to connect to (null when private targets are allowed)
+   */
+  async checkTarget(url) {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      throw blockedError(`Invalid webhook URL: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw blockedError(`Webhook URL must use http or https: ${url}`);
+    }
+
+    if (config.webhooks.allowPrivateTargets) return null;
+
+    // URL keeps the brackets around IPv6 literals
+    const hostname = target.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = await dns.lookup(hostname, { all: true });
+    } catch (error) {
+      throw blockedError(`Webhook host ${hostname} does not resolve`);
+    }
+
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      throw blockedError(`Webhook host ${hostname} resolves to a private address (${blocked.address})`);
+    }
+
+    return addresses[0];
+  }
+
+  /**
+   * Log a delivery and send it in the background; never throws
+   * @param {string} event - one of this.events
+   * @param {string} url - target; nothing is sent when empty
+   * @param {string} userId - the signed-in caller the delivery belongs to (none for anonymous requests)
+   * @returns {Object|null} the logged delivery
+   */
+  async dispatch(event, url, payload, userId = null) {
+    if (!url) return null;
+
+    try {
+      const delivery = await storage.createWebhookDelivery({
+        id: `whd_${uuidv4()}`,
+        userId,
+        event,
+        url,
+        payload
+      });
+
+      this.schedule(delivery.id, 0);
+      return formatDelivery(delivery);
+    } catch (error) {
+      console.error(`[Webhooks] Failed to log ${event} delivery to ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Send one of a user's logged deliveries again from its first attempt, whatever its status
+   */
+  async redeliver(id, userId) {
+    const delivery = await this.getOwnedDelivery(id, userId);
+    if (!delivery) return null;
+
+    const updated = await storage.updateWebhookDelivery(id, {
+      status: 'pending',
+      attempts: 0,
+      last_error: null,
+      next_attempt_at: new Date()
+    });
+
+    console.log(`[Webhooks] Redelivering ${id} (${delivery.event}) to ${delivery.url}`);
+    this.schedule(id, 0);
+    return formatDelivery(updated);
+  }
+
+  /**
+   * Pick up deliveries left pending by a previous process
+   */
+  async resumePending() {
+    const pending = await storage.getWebhookDeliveries({ status: 'pending', limit: 1000 });
+    pending.forEach(delivery => {
+      const delay = delivery.next_attempt_at ? new Date(delivery.next_attempt_at) - Date.now() : 0;
+      this.schedule(delivery.id, Math.max(0, delay));
+    });
+
+    if (pending.length > 0) {
+      console.log(`[Webhooks] Resumed ${pending.length} pending deliveries`);
+    }
+  }
+
+  async getDelivery(id, userId) {
+    const delivery = await this.getOwnedDelivery(id, userId);
+    return delivery ? formatDelivery(delivery) : null;
+  }
+
+  async listDeliveries(userId, { status, limit } = {}) {
+    const deliveries = await storage.getWebhookDeliveries({ userId, status, limit });
+    return deliveries.map(formatDelivery);
+  }
+
+  /**
+   * The stored delivery when it belongs to the user, otherwise null
+   */
+  async getOwnedDelivery(id, userId) {
+    const delivery = await storage.getWebhookDelivery(id);
+    return delivery && userId && delivery.user_id === userId ? delivery : null;
+  }
+
+  schedule(id, delayMs) {
+    clearTimeout(this.timers.get(id));
+
+    const timer = setTimeout(() => {
+      this.timers.delete(id);
+      this.attempt(id).catch(error => {
+        console.error(`[Webhooks] Delivery ${id} attempt crashed:`, error);
+      });
+    }, delayMs);
+    // Pending retries must not keep the process alive; resumePending picks them up after a restart
+    timer.unref();
+    this.timers.set(id, timer);
+  }
+
+  async attempt(id) {
+    const delivery = await storage.getWebhookDelivery(id);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const attempts = delivery.attempts + 1;
+
+    if (!this.isEnabled()) {
+      console.warn(`[Webhooks] Delivery ${id} not sent: webhooks are disabled or WEBHOOK_SIGNING_SECRET is not set`);
+      await storage.updateWebhookDelivery(id, {
+        status: 'failed',
+        attempts,
+        last_error: 'Webhooks are disabled on this server (no signing secret)',
+        next_attempt_at: null
+      });
+      return;
+    }
+
+    let address;
+    try {
+      address = await this.checkTarget(delivery.url);
+    } catch (error) {
+      console.warn(`[Webhooks] Delivery ${id} blocked: ${error.message}`);
+      await storage.updateWebhookDelivery(id, {
+        status: 'blocked',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: null
+      });
+      return;
+    }
+
+    let statusCode = null;
+    let lastError = null;
+    try {
+      const response = await this.send(delivery, address);
+      statusCode = response.status;
+      if (!response.ok) {
+        lastError = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      lastError = error.name === 'TimeoutError' ? `Timed out after ${config.webhooks.timeoutMs}ms` : error.message;
+    }
+
+    if (!lastError) {
+      console.log(`[Webhooks] Delivered ${id} (${delivery.event}) to ${delivery.url} on attempt ${attempts}`);
+      await storage.updateWebhookDelivery(id, {
+        status: 'delivered',
+        attempts,
+        last_status_code: statusCode,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: new Date()
+      });
+      return;
+    }
+
+    // Redirects are not followed (they could point anywhere) and other 4xx will not change on retry
+    const retriable = statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+    if (!retriable || attempts >= config.webhooks.maxAttempts) {
+      console.warn(`[Webhooks] Delivery ${id} to ${delivery.url} failed after ${attempts} attempt(s): ${lastError}`);
+      await storage.updateWebhookDelivery(id, {
+        status: 'failed',
+        attempts,
+        last_status_code: statusCode,
+        last_error: lastError,
+        next_attempt_at: null
+      });
+      return;
+    }
+
+    const delayMs = config.webhooks.initialBackoffMs * 2 ** (attempts - 1);
+    console.warn(`[Webhooks] Delivery ${id} attempt ${attempts} failed (${lastError}), retrying in ${delayMs}ms`);
+    await storage.updateWebhookDelivery(id, {
+      attempts,
+      last_status_code: statusCode,
+      last_error: lastError,
+      next_attempt_at: new Date(Date.now() + delayMs)
+    });
+    this.schedule(id, delayMs);
+  }
+
+  /**
+   * POST a delivery; resolves with { status, ok } once the response headers arrive
+   * @param {Object} address - { address, family } to connect to instead of resolving the host again
+   */
+  async send(delivery, address = null) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'webhook-id': delivery.id,
+      'webhook-timestamp': String(timestamp),
+      'webhook-event': delivery.event,
+      'webhook-signature': this.sign(delivery.id, timestamp, body)
+    };
+
+    const target = new URL(delivery.url);
+    const signal = AbortSignal.timeout(config.webhooks.timeoutMs);
+
+    // Redirects are not followed: http(s).request hands back the 3xx as is
+    return await new Promise((resolve, reject) => {
+      const request = (target.protocol === 'https:' ? https : http).request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: address ? pinnedLookup(address) : undefined
+      }, (response) => {
+        response.resume();
+        resolve({ status: response.statusCode, ok: response.statusCode >= 200 && response.statusCode < 300 });
+      });
+
+      signal.addEventListener('abort', () => request.destroy(signal.reason), { once: true });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Standard Webhooks signature; throws without a signing secret
+   */
+  sign(id, timestamp, body) {
+    const secret = config.webhooks.secret;
+    if (!secret) {
+      throw new Error('WEBHOOK_SIGNING_SECRET is not set');
+    }
+
+    const key = secret.startsWith('whsec_') ? Buffer.from(secret.slice('whsec_'.length), 'base64') : Buffer.from(secret);
+    const digest = crypto
+      .createHmac('sha256', key)
+      .update(`${id}.${timestamp}.${body}`)
+      .digest('base64');
+
+    return `v1,${digest}`;
+  }
+}
+
+/**
+ * dns.lookup stand-in that always answers with the vetted address
+ */
+function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) => {
+    if (options.all) {
+      callback(null, [{ address, family }]);
+    } else {
+      callback(null, address, family);
+    }
+  };
+}
+
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function blockedError(message) {
+  const error = new Error(message);
+  error.code = 'WEBHOOK_TARGET_BLOCKED';
+  return error;
+}
+
+/**
+ * Normalize a delivery row for API responses
+ */
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    event: delivery.event,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    lastStatusCode: delivery.last_status_code,
+    lastError: delivery.last_error,
+    nextAttemptAt: delivery.next_attempt_at,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    payload: delivery.payload
+  };
+}
+
+module.exports = new WebhookService();
@@ -3,6 +3,15 @@
  * For production, replace with a proper database
  */
 
+// Generation columns updated by their PostgreSQL names, stored under the keys createGeneration uses
+const GENERATION_KEYS = {
+  user_id: 'userId',
+  wallet_address: 'walletAddress',
+  model_name: 'modelName',
+  image_url: 'imageUrl',
+  payment_reference: 'paymentReference'
+};
+
 class MemoryStorage {
   constructor() {
     // Store wallets: { walletAddress: { address, secretKey, createdAt } }
@@ -11,17 +20,38 @@ class MemoryStorage {
     // Store transactions: { txId: { id, walletAddress, type, amount, status, metadata, createdAt } }
     this.transactions = new Map();
     
-    // Store generations: { jobId: { jobId, walletAddress, prompt, status, imageUrl, createdAt } }
+    // Store generations: { jobId: { jobId, userId, walletAddress, prompt, status, imageUrl, createdAt } }
     this.generations = new Map();
+
+    // Store prediction links: { predictionId: jobId }
+    this.predictionLinks = new Map();
     
     // Store users: { userId: { id, username, wallet_address, wallet_private_key, balance, createdAt } }
     this.users = new Map();
     
-    // Store conversations: { userId: [ { role, content, timestamp } ] }
+    // Store conversations: { threadId | userId: [ { role, content, threadId, metadata, timestamp } ] }
     this.conversations = new Map();
     
+    // Store conversation threads: { threadId: { id, userId, title, createdAt, updatedAt } }
+    this.threads = new Map();
+    
     // Store user data: { userId: { key: value } }
     this.userData = new Map();
+    
+    // Store API keys: { id: { id, user_id, name, prefix, key_hash, scopes, last_used_at, revoked_at, created_at } }
+    this.apiKeys = new Map();
+    
+    // Store rate limit buckets: { key: { tokens, updatedAt (ms) } }
+    this.rateLimitBuckets = new Map();
+    
+    // Store daily generation counts: { 'subject day': generations }
+    this.usageCounters = new Map();
+    
+    // Store idempotency keys: { 'scope key': { scope, key, fingerprint, status, responseStatus, responseHeaders, responseBody, createdAt, expiresAt } }
+    this.idempotencyKeys = new Map();
+    
+    // Store webhook deliveries: { id: { id, event, url, payload, status, attempts, last_status_code, last_error, ... } }
+    this.webhookDeliveries = new Map();
   }
 
   // Wallet operations
@@ -47,6 +77,7 @@ class MemoryStorage {
   createTransaction(txData) {
     const transaction = {
       id: txData.id,
+      userId: txData.userId || null,
       walletAddress: txData.walletAddress,
       type: txData.type, // 'GENERATION', 'PAYMENT', etc.
       amount: txData.amount,
@@ -61,6 +92,40 @@ class MemoryStorage {
     return transaction;
   }
 
+  /**
+   * Apply a credit movement: ledger row, balance change and optional generation row
+   * Same contract as the PostgreSQL implementation
+   */
+  recordCreditTransaction(txData, genData = null) {
+    if (this.transactions.has(txData.id)) return null;
+
+    const user = this.users.get(txData.userId);
+    // Same precision as the DECIMAL(20, 9) column
+    const balance = Number((Number(user?.balance || 0) + txData.amount).toFixed(9));
+    if (!user || balance < 0) {
+      const error = new Error('Insufficient credits');
+      error.code = 'INSUFFICIENT_CREDITS';
+      throw error;
+    }
+
+    user.balance = balance;
+    return {
+      transaction: this.createTransaction(txData),
+      generation: genData ? this.createGeneration(genData) : null,
+      balance
+    };
+  }
+
+  updateTransaction(id, { status, signature, metadata }) {
+    const transaction = this.transactions.get(id);
+    if (!transaction) return null;
+
+    if (status) transaction.status = status;
+    if (signature) transaction.signature = signature;
+    transaction.metadata = { ...transaction.metadata, ...metadata };
+    return transaction;
+  }
+
   getTransaction(id) {
     return this.transactions.get(id);
   }
@@ -79,6 +144,7 @@ class MemoryStorage {
   createGeneration(genData) {
     const generation = {
       jobId: genData.jobId,
+      userId: genData.userId || null,
       walletAddress: genData.walletAddress,
       prompt: genData.prompt,
       modelName: genData.modelName || 'flux-schnell',
@@ -95,22 +161,77 @@ class MemoryStorage {
   updateGeneration(jobId, updates) {
     const generation = this.generations.get(jobId);
     if (!generation) return null;
-    
-    Object.assign(generation, updates);
+
+    for (const [key, value] of Object.entries(updates)) {
+      generation[GENERATION_KEYS[key] || key] = value;
+    }
     this.generations.set(jobId, generation);
     return generation;
   }
 
+  updateGenerationMetadata(jobId, metadata, updates = {}) {
+    const generation = this.updateGeneration(jobId, updates);
+    if (!generation) return null;
+
+    generation.metadata = { ...generation.metadata, ...metadata };
+    return generation;
+  }
+
   getGeneration(jobId) {
     return this.generations.get(jobId);
   }
 
+  linkPrediction(jobId, predictionId) {
+    if (!this.predictionLinks.has(predictionId)) {
+      this.predictionLinks.set(predictionId, jobId);
+    }
+  }
+
+  getGenerationByPredictionId(predictionId) {
+    const linked = this.generations.get(this.predictionLinks.get(predictionId));
+    if (linked) return linked;
+
+    return Array.from(this.generations.values())
+      .find(gen => gen.prediction_id === predictionId) || null;
+  }
+
   getGenerationsByWallet(walletAddress) {
     return Array.from(this.generations.values())
       .filter(gen => gen.walletAddress === walletAddress)
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
 
+  getGenerations({ userId, type, modelName, status, since, until, search, parentId, limit = 20, offset = 0 }) {
+    const needle = search?.toLowerCase();
+    const matches = Array.from(this.generations.values())
+      .filter(gen => gen.userId === userId && gen.metadata?.type === type)
+      .filter(gen => !modelName || gen.modelName === modelName)
+      .filter(gen => !status || gen.status === status)
+      .filter(gen => !since || new Date(gen.createdAt) >= new Date(since))
+      .filter(gen => !until || new Date(gen.createdAt) < new Date(until))
+      .filter(gen => !needle || gen.prompt.toLowerCase().includes(needle))
+      .filter(gen => !parentId || gen.metadata.parent?.id === parentId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    return { generations: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  getGenerationsByRequestId(requestId) {
+    return Array.from(this.generations.values())
+      .filter(gen => gen.metadata?.requestId === requestId)
+      .sort((a, b) => a.metadata.index - b.metadata.index);
+  }
+
+  deleteGeneration(jobId) {
+    const doomed = Array.from(this.generations.values())
+      .filter(gen => gen.jobId === jobId || gen.metadata?.requestId === jobId);
+    doomed.forEach(gen => this.generations.delete(gen.jobId));
+    for (const [predictionId, linkedJobId] of this.predictionLinks) {
+      if (!this.generations.has(linkedJobId)) this.predictionLinks.delete(predictionId);
+    }
+    return doomed.length;
+  }
+
   // User operations
   createUser(userData) {
     const user = {
@@ -118,6 +239,8 @@ class MemoryStorage {
       username: userData.username || userData.id,
       wallet_address: userData.wallet_address,
       wallet_private_key: userData.wallet_private_key,
+      password_hash: userData.password_hash || null,
+      plan: userData.plan || null,
       balance: userData.balance || 0,
       createdAt: new Date().toISOString()
     };
@@ -129,6 +252,15 @@ class MemoryStorage {
     return this.users.get(userId);
   }
 
+  /**
+   * Registered account (one with a password) by case-insensitive username
+   */
+  getUserByUsername(username) {
+    const name = username.toLowerCase();
+    return Array.from(this.users.values())
+      .find(user => user.password_hash && user.username.toLowerCase() === name) || null;
+  }
+
   getAllUsers() {
     return Array.from(this.users.values());
   }
@@ -142,28 +274,79 @@ class MemoryStorage {
   }
 
   // Conversation operations
+  // Messages are keyed by thread when message.threadId is set, otherwise by user (legacy)
   addConversation(userId, message) {
-    if (!this.conversations.has(userId)) {
-      this.conversations.set(userId, []);
+    const key = message.threadId || userId;
+    if (!this.conversations.has(key)) {
+      this.conversations.set(key, []);
     }
-    const conversation = this.conversations.get(userId);
+    const conversation = this.conversations.get(key);
     conversation.push({
       ...message,
+      userId,
+      threadId: message.threadId || null,
+      metadata: message.metadata || {},
       timestamp: new Date().toISOString()
     });
     // Keep only last 20 messages
     if (conversation.length > 20) {
       conversation.shift();
     }
+    if (message.threadId) {
+      this.touchThread(message.threadId);
+    }
     return conversation;
   }
 
-  getConversation(userId) {
-    return this.conversations.get(userId) || [];
+  getConversation(userId, threadId) {
+    return this.conversations.get(threadId || userId) || [];
+  }
+
+  clearConversation(userId, threadId) {
+    this.conversations.delete(threadId || userId);
+  }
+
+  // Conversation thread operations
+  createThread(threadData) {
+    const now = new Date().toISOString();
+    const thread = {
+      id: threadData.id,
+      userId: threadData.userId,
+      title: threadData.title || 'New conversation',
+      createdAt: now,
+      updatedAt: now
+    };
+    this.threads.set(thread.id, thread);
+    return thread;
+  }
+
+  getThread(threadId) {
+    return this.threads.get(threadId) || null;
+  }
+
+  getUserThreads(userId) {
+    return Array.from(this.threads.values())
+      .filter(thread => thread.userId === userId)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
   }
 
-  clearConversation(userId) {
-    this.conversations.delete(userId);
+  updateThread(threadId, updates) {
+    const thread = this.threads.get(threadId);
+    if (!thread) return null;
+    Object.assign(thread, updates, { updatedAt: new Date().toISOString() });
+    return thread;
+  }
+
+  touchThread(threadId) {
+    const thread = this.threads.get(threadId);
+    if (thread) {
+      thread.updatedAt = new Date().toISOString();
+    }
+  }
+
+  deleteThread(threadId) {
+    this.conversations.delete(threadId);
+    return this.threads.delete(threadId);
   }
 
   // User data operations (for storing temporary data like suggestions)
@@ -193,6 +376,165 @@ class MemoryStorage {
     }
   }
 
+  // API key operations (snake_case like the PostgreSQL rows)
+  createApiKey(keyData) {
+    const apiKey = {
+      id: keyData.id,
+      user_id: keyData.userId,
+      name: keyData.name,
+      prefix: keyData.prefix,
+      key_hash: keyData.keyHash,
+      scopes: keyData.scopes || [],
+      last_used_at: null,
+      revoked_at: null,
+      created_at: new Date().toISOString()
+    };
+    this.apiKeys.set(apiKey.id, apiKey);
+    return apiKey;
+  }
+
+  getApiKeyByHash(keyHash) {
+    return Array.from(this.apiKeys.values()).find(apiKey => apiKey.key_hash === keyHash) || null;
+  }
+
+  getUserApiKeys(userId) {
+    return Array.from(this.apiKeys.values())
+      .filter(apiKey => apiKey.user_id === userId)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  revokeApiKey(id, userId) {
+    const apiKey = this.apiKeys.get(id);
+    if (!apiKey || apiKey.user_id !== userId) return null;
+
+    apiKey.revoked_at = apiKey.revoked_at || new Date().toISOString();
+    return apiKey;
+  }
+
+  touchApiKey(id) {
+    const apiKey = this.apiKeys.get(id);
+    if (apiKey) apiKey.last_used_at = new Date().toISOString();
+  }
+
+  // Rate limit operations (same contract as the PostgreSQL implementation)
+  takeRateLimitToken(key, { capacity, refillPerSecond }) {
+    const tokens = this.getRateLimitTokens(key, { capacity, refillPerSecond });
+    if (tokens < 1) {
+      return { allowed: false, tokens };
+    }
+
+    this.rateLimitBuckets.set(key, { tokens: tokens - 1, updatedAt: Date.now() });
+    return { allowed: true, tokens: tokens - 1 };
+  }
+
+  getRateLimitTokens(key, { capacity, refillPerSecond }) {
+    const bucket = this.rateLimitBuckets.get(key);
+    if (!bucket) return capacity;
+
+    return Math.min(capacity, bucket.tokens + ((Date.now() - bucket.updatedAt) / 1000) * refillPerSecond);
+  }
+
+  reserveUsage(subject, day, units, limit) {
+    const used = this.getUsage(subject, day);
+    if (used + units > limit) {
+      return { allowed: false, used };
+    }
+
+    this.usageCounters.set(`${subject} ${day}`, used + units);
+    return { allowed: true, used: used + units };
+  }
+
+  releaseUsage(subject, day, units) {
+    const used = this.getUsage(subject, day);
+    this.usageCounters.set(`${subject} ${day}`, Math.max(0, used - units));
+  }
+
+  getUsage(subject, day) {
+    return this.usageCounters.get(`${subject} ${day}`) || 0;
+  }
+
+  // Idempotency key operations (same contract as the PostgreSQL implementation)
+  claimIdempotencyKey({ scope, key, fingerprint, expiresAt }) {
+    const id = `${scope} ${key}`;
+    const existing = this.idempotencyKeys.get(id);
+    if (existing && new Date(existing.expiresAt) > new Date()) {
+      return { record: existing, claimed: false };
+    }
+
+    const record = {
+      scope,
+      key,
+      fingerprint,
+      status: 'in_progress',
+      responseStatus: null,
+      responseHeaders: null,
+      responseBody: null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+    this.idempotencyKeys.set(id, record);
+    return { record, claimed: true };
+  }
+
+  completeIdempotencyKey(scope, key, { responseStatus, responseHeaders, responseBody }) {
+    const record = this.idempotencyKeys.get(`${scope} ${key}`);
+    if (!record) return null;
+
+    Object.assign(record, {
+      status: 'completed',
+      responseStatus,
+      responseHeaders: responseHeaders || {},
+      responseBody
+    });
+    return record;
+  }
+
+  releaseIdempotencyKey(scope, key) {
+    this.idempotencyKeys.delete(`${scope} ${key}`);
+  }
+
+  // Webhook delivery operations (snake_case like the PostgreSQL rows, so updates use the same keys)
+  createWebhookDelivery(deliveryData) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: deliveryData.id,
+      user_id: deliveryData.userId || null,
+      event: deliveryData.event,
+      url: deliveryData.url,
+      payload: deliveryData.payload || {},
+      status: deliveryData.status || 'pending',
+      attempts: 0,
+      last_status_code: null,
+      last_error: null,
+      next_attempt_at: null,
+      delivered_at: null,
+      created_at: now,
+      updated_at: now
+    };
+    this.webhookDeliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  updateWebhookDelivery(id, updates) {
+    const delivery = this.webhookDeliveries.get(id);
+    if (!delivery) return null;
+
+    Object.assign(delivery, updates, { updated_at: new Date().toISOString() });
+    return delivery;
+  }
+
+  getWebhookDelivery(id) {
+    return this.webhookDeliveries.get(id) || null;
+  }
+
+  getWebhookDeliveries({ userId, status, limit = 50 } = {}) {
+    return Array.from(this.webhookDeliveries.values())
+      .filter(delivery => !userId || delivery.user_id === userId)
+      .filter(delivery => !status || delivery.status === status)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+      .slice(0, limit);
+  }
+
   // Helper methods for user's transactions and generations
   getUserTransactions(userId) {
     const user = this.getUser(userId);
@@ -200,10 +542,19 @@ class MemoryStorage {
     return this.getTransactionsByWallet(user.wallet_address);
   }
 
+  getUserCreditTransactions(userId) {
+    return Array.from(this.transactions.values())
+      .filter(tx => tx.userId === userId && tx.type.startsWith('CREDIT_'))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
   getUserGenerations(userId) {
     const user = this.getUser(userId);
     if (!user) return [];
-    return this.getGenerationsByWallet(user.wallet_address);
+
+    return Array.from(this.generations.values())
+      .filter(gen => gen.userId === userId || gen.walletAddress === user.wallet_address)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
   }
 
   // Clear all data (for testing)
@@ -211,9 +562,16 @@ class MemoryStorage {
     this.wallets.clear();
     this.transactions.clear();
     this.generations.clear();
+    this.predictionLinks.clear();
     this.users.clear();
     this.conversations.clear();
+    this.threads.clear();
     this.userData.clear();
+    this.apiKeys.clear();
+    this.rateLimitBuckets.clear();
+    this.usageCounters.clear();
+    this.idempotencyKeys.clear();
+    this.webhookDeliveries.clear();
   }
 }
 
@@ -12,8 +12,8 @@ class PostgresStorage {
 
   async createUser(userData) {
     const query = `
-      INSERT INTO users (id, username, wallet_address, wallet_private_key, balance)
-      VALUES ($1, $2, $3, $4, $5)
+      INSERT INTO users (id, username, wallet_address, wallet_private_key, password_hash, plan, balance)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
     const values = [
@@ -21,6 +21,8 @@ class PostgresStorage {
       userData.username || userData.id,
       userData.wallet_address,
       userData.wallet_private_key,
+      userData.password_hash || null,
+      userData.plan || null,
       userData.balance || 0
     ];
     
@@ -34,6 +36,15 @@ class PostgresStorage {
     return result.rows[0] || null;
   }
 
+  /**
+   * Registered account (one with a password) by case-insensitive username
+   */
+  async getUserByUsername(username) {
+    const query = 'SELECT * FROM users WHERE LOWER(username) = LOWER($1) AND password_hash IS NOT NULL';
+    const result = await db.query(query, [username]);
+    return result.rows[0] || null;
+  }
+
   async getAllUsers() {
     const query = 'SELECT * FROM users ORDER BY created_at DESC';
     const result = await db.query(query);
@@ -95,7 +106,7 @@ class PostgresStorage {
   // TRANSACTION OPERATIONS
   // ============================================
 
-  async createTransaction(txData) {
+  async createTransaction(txData, client = db) {
     const query = `
       INSERT INTO transactions 
       (id, user_id, wallet_address, type, amount, token, chain, status, signature, metadata)
@@ -115,10 +126,78 @@ class PostgresStorage {
       JSON.stringify(txData.metadata || {})
     ];
 
-    const result = await db.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
+  /**
+   * Apply a credit movement atomically: the ledger row, the balance change and
+   * (for debits) the generation row it pays for commit together
+   * txData.amount is signed; a debit that would overdraw the balance throws INSUFFICIENT_CREDITS
+   * Returns null when txData.id is already recorded (replayed top-up or refund)
+   */
+  async recordCreditTransaction(txData, genData = null) {
+    const client = await db.getClient();
+
+    try {
+      await client.query('BEGIN');
+
+      let transaction;
+      try {
+        transaction = await this.createTransaction(txData, client);
+      } catch (error) {
+        // unique_violation: this movement was already applied
+        if (error.code === '23505') {
+          await client.query('ROLLBACK');
+          return null;
+        }
+        throw error;
+      }
+
+      const balanceResult = await client.query(
+        'UPDATE users SET balance = balance + $1 WHERE id = $2 AND balance + $1 >= 0 RETURNING balance',
+        [txData.amount, txData.userId]
+      );
+      if (balanceResult.rows.length === 0) {
+        const error = new Error('Insufficient credits');
+        error.code = 'INSUFFICIENT_CREDITS';
+        throw error;
+      }
+
+      const generation = genData ? await this.createGeneration(genData, client) : null;
+
+      await client.query('COMMIT');
+
+      return {
+        transaction,
+        generation,
+        balance: Number(balanceResult.rows[0].balance)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a transaction's status and signature; metadata is merged into the stored object
+   */
+  async updateTransaction(id, { status, signature, metadata }) {
+    const query = `
+      UPDATE transactions
+      SET status = COALESCE($2, status),
+          signature = COALESCE($3, signature),
+          metadata = COALESCE(metadata, '{}'::jsonb) || $4::jsonb
+      WHERE id = $1
+      RETURNING *
+    `;
+    const values = [id, status || null, signature || null, JSON.stringify(metadata || {})];
+    const result = await db.query(query, values);
+    return result.rows[0] || null;
+  }
+
   async getTransaction(id) {
     const query = 'SELECT * FROM transactions WHERE id = $1';
     const result = await db.query(query, [id]);
@@ -145,7 +224,7 @@ class PostgresStorage {
   // GENERATION OPERATIONS
   // ============================================
 
-  async createGeneration(genData) {
+  async createGeneration(genData, client = db) {
     const query = `
       INSERT INTO generations 
       (job_id, user_id, wallet_address, prompt, model_name, status, image_url, payment_reference, metadata)
@@ -164,7 +243,7 @@ class PostgresStorage {
       JSON.stringify(genData.metadata || {})
     ];
 
-    const result = await db.query(query, values);
+    const result = await client.query(query, values);
     return result.rows[0];
   }
 
@@ -198,12 +277,56 @@ class PostgresStorage {
     return result.rows[0] || null;
   }
 
+  /**
+   * Merge keys into a generation's metadata (without reading it first, so concurrent writers
+   * keep each other's keys); other updates replace their columns as in updateGeneration
+   */
+  async updateGenerationMetadata(jobId, metadata, updates = {}) {
+    const fields = [
+      `metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb`,
+      ...Object.keys(updates).map((key, index) => `${key} = $${index + 3}`)
+    ];
+    const query = `
+      UPDATE generations
+      SET ${fields.join(', ')}
+      WHERE job_id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [jobId, JSON.stringify(metadata), ...Object.values(updates)]);
+    return result.rows[0] || null;
+  }
+
   async getGeneration(jobId) {
     const query = 'SELECT * FROM generations WHERE job_id = $1';
     const result = await db.query(query, [jobId]);
     return result.rows[0] || null;
   }
 
+  /**
+   * The generation a prediction belongs to (linked with linkPrediction, or the older prediction_id column)
+   */
+  async getGenerationByPredictionId(predictionId) {
+    const query = `
+      SELECT * FROM generations
+      WHERE job_id = (SELECT job_id FROM generation_predictions WHERE prediction_id = $1)
+         OR prediction_id = $1
+      LIMIT 1
+    `;
+    const result = await db.query(query, [predictionId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Link a Replicate prediction to its generation; a generation can have several
+   */
+  async linkPrediction(jobId, predictionId) {
+    await db.query(`
+      INSERT INTO generation_predictions (prediction_id, job_id)
+      VALUES ($1, $2)
+      ON CONFLICT (prediction_id) DO NOTHING
+    `, [predictionId, jobId]);
+  }
+
   async getGenerationsByWallet(walletAddress) {
     const query = `
       SELECT * FROM generations 
@@ -214,48 +337,183 @@ class PostgresStorage {
     return result.rows;
   }
 
+  /**
+   * A user's generations of one type (metadata.type), newest first, with the total before paging
+   * @param {Object} filters - { userId, type, modelName, status, since, until, search, parentId, limit, offset }
+   * @returns {Object} { generations, total }
+   */
+  async getGenerations({ userId, type, modelName, status, since, until, search, parentId, limit = 20, offset = 0 }) {
+    const where = `
+      WHERE user_id = $1
+        AND metadata->>'type' = $2
+        AND ($3::varchar IS NULL OR model_name = $3)
+        AND ($4::varchar IS NULL OR status = $4)
+        AND ($5::timestamp IS NULL OR created_at >= $5)
+        AND ($6::timestamp IS NULL OR created_at < $6)
+        AND ($7::text IS NULL OR prompt ILIKE '%' || $7 || '%')
+        AND ($8::varchar IS NULL OR metadata->'parent'->>'id' = $8)
+    `;
+    const values = [
+      userId,
+      type,
+      modelName || null,
+      status || null,
+      since || null,
+      until || null,
+      // LIKE wildcards in the search text match literally
+      search ? search.replace(/[\\%_]/g, '\\$&') : null,
+      parentId || null
+    ];
+
+    const [rows, count] = await Promise.all([
+      db.query(`SELECT * FROM generations ${where} ORDER BY created_at DESC LIMIT $9 OFFSET $10`, [...values, limit, offset]),
+      db.query(`SELECT COUNT(*)::int AS total FROM generations ${where}`, values)
+    ]);
+
+    return { generations: rows.rows, total: count.rows[0].total };
+  }
+
+  /**
+   * Image rows of a generation request (metadata.requestId), in generation order
+   */
+  async getGenerationsByRequestId(requestId) {
+    const query = `
+      SELECT * FROM generations
+      WHERE metadata->>'requestId' = $1
+      ORDER BY (metadata->>'index')::int, created_at
+    `;
+    const result = await db.query(query, [requestId]);
+    return result.rows;
+  }
+
+  /**
+   * Delete a generation and the image rows of its request; returns the number of rows deleted
+   */
+  async deleteGeneration(jobId) {
+    const result = await db.query(`
+      DELETE FROM generations
+      WHERE job_id = $1 OR metadata->>'requestId' = $1
+    `, [jobId]);
+    return result.rowCount;
+  }
+
   // ============================================
   // CONVERSATION OPERATIONS
   // ============================================
 
   async addConversation(userId, message) {
     const query = `
-      INSERT INTO conversations (user_id, role, content)
-      VALUES ($1, $2, $3)
+      INSERT INTO conversations (user_id, thread_id, role, content, metadata)
+      VALUES ($1, $2, $3, $4, $5)
       RETURNING *
     `;
-    const values = [userId, message.role, message.content];
+    const values = [
+      userId,
+      message.threadId || null,
+      message.role,
+      message.content,
+      JSON.stringify(message.metadata || {})
+    ];
     const result = await db.query(query, values);
 
-    // Keep only last 20 messages per user
+    // Keep only last 20 messages per thread (or per user for legacy history)
+    const scope = message.threadId
+      ? 'thread_id = $1'
+      : 'user_id = $1 AND thread_id IS NULL';
     await db.query(`
       DELETE FROM conversations
-      WHERE user_id = $1
+      WHERE ${scope}
       AND id NOT IN (
         SELECT id FROM conversations
-        WHERE user_id = $1
+        WHERE ${scope}
         ORDER BY timestamp DESC
         LIMIT 20
       )
-    `, [userId]);
+    `, [message.threadId || userId]);
+
+    if (message.threadId) {
+      await db.query(
+        'UPDATE conversation_threads SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [message.threadId]
+      );
+    }
 
     return result.rows[0];
   }
 
-  async getConversation(userId) {
+  async getConversation(userId, threadId) {
+    const query = threadId
+      ? `
+        SELECT * FROM (
+          SELECT * FROM conversations
+          WHERE thread_id = $1
+          ORDER BY timestamp DESC, id DESC
+          LIMIT 20
+        ) recent ORDER BY timestamp ASC, id ASC
+      `
+      : `
+        SELECT * FROM conversations 
+        WHERE user_id = $1 AND thread_id IS NULL
+        ORDER BY timestamp ASC
+        LIMIT 20
+      `;
+    const result = await db.query(query, [threadId || userId]);
+    return result.rows;
+  }
+
+  async clearConversation(userId, threadId) {
+    if (threadId) {
+      await db.query('DELETE FROM conversations WHERE thread_id = $1', [threadId]);
+    } else {
+      await db.query('DELETE FROM conversations WHERE user_id = $1', [userId]);
+    }
+  }
+
+  // ============================================
+  // CONVERSATION THREAD OPERATIONS
+  // ============================================
+
+  async createThread(threadData) {
     const query = `
-      SELECT * FROM conversations 
-      WHERE user_id = $1 
-      ORDER BY timestamp ASC
-      LIMIT 20
+      INSERT INTO conversation_threads (id, user_id, title)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `;
+    const values = [threadData.id, threadData.userId, threadData.title || 'New conversation'];
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  async getThread(threadId) {
+    const query = 'SELECT * FROM conversation_threads WHERE id = $1';
+    const result = await db.query(query, [threadId]);
+    return result.rows[0] || null;
+  }
+
+  async getUserThreads(userId) {
+    const query = `
+      SELECT * FROM conversation_threads
+      WHERE user_id = $1
+      ORDER BY updated_at DESC
     `;
     const result = await db.query(query, [userId]);
     return result.rows;
   }
 
-  async clearConversation(userId) {
-    const query = 'DELETE FROM conversations WHERE user_id = $1';
-    await db.query(query, [userId]);
+  async updateThread(threadId, updates) {
+    const query = `
+      UPDATE conversation_threads
+      SET title = COALESCE($1, title)
+      WHERE id = $2
+      RETURNING *
+    `;
+    const result = await db.query(query, [updates.title || null, threadId]);
+    return result.rows[0] || null;
+  }
+
+  async deleteThread(threadId) {
+    const result = await db.query('DELETE FROM conversation_threads WHERE id = $1', [threadId]);
+    return result.rowCount > 0;
   }
 
   // ============================================
@@ -301,6 +559,233 @@ class PostgresStorage {
     }
   }
 
+  // ============================================
+  // API KEY OPERATIONS
+  // ============================================
+
+  async createApiKey(keyData) {
+    const query = `
+      INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const values = [
+      keyData.id,
+      keyData.userId,
+      keyData.name,
+      keyData.prefix,
+      keyData.keyHash,
+      JSON.stringify(keyData.scopes || [])
+    ];
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  async getApiKeyByHash(keyHash) {
+    const result = await db.query('SELECT * FROM api_keys WHERE key_hash = $1', [keyHash]);
+    return result.rows[0] || null;
+  }
+
+  async getUserApiKeys(userId) {
+    const query = 'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC';
+    const result = await db.query(query, [userId]);
+    return result.rows;
+  }
+
+  /**
+   * Revoke one of a user's keys; returns null when the user has no such key
+   */
+  async revokeApiKey(id, userId) {
+    const query = `
+      UPDATE api_keys
+      SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+      WHERE id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, userId]);
+    return result.rows[0] || null;
+  }
+
+  async touchApiKey(id) {
+    await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  }
+
+  // ============================================
+  // RATE LIMIT OPERATIONS
+  // ============================================
+
+  /**
+   * Take one token from a bucket refilled continuously up to capacity
+   * Returns { allowed, tokens }: the tokens left after taking one, or available now when denied
+   */
+  async takeRateLimitToken(key, { capacity, refillPerSecond }) {
+    const refilled = `LEAST($2, rate_limit_buckets.tokens + EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - rate_limit_buckets.updated_at)) * $3)`;
+    const taken = await db.query(`
+      INSERT INTO rate_limit_buckets (key, tokens, updated_at)
+      VALUES ($1, $2 - 1, CURRENT_TIMESTAMP)
+      ON CONFLICT (key) DO UPDATE
+      SET tokens = ${refilled} - 1, updated_at = CURRENT_TIMESTAMP
+      WHERE ${refilled} >= 1
+      RETURNING tokens
+    `, [key, capacity, refillPerSecond]);
+
+    if (taken.rows[0]) {
+      return { allowed: true, tokens: Number(taken.rows[0].tokens) };
+    }
+
+    return { allowed: false, tokens: await this.getRateLimitTokens(key, { capacity, refillPerSecond }) };
+  }
+
+  async getRateLimitTokens(key, { capacity, refillPerSecond }) {
+    const result = await db.query(`
+      SELECT LEAST($2, tokens + EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - updated_at)) * $3) AS tokens
+      FROM rate_limit_buckets
+      WHERE key = $1
+    `, [key, capacity, refillPerSecond]);
+    return result.rows[0] ? Number(result.rows[0].tokens) : capacity;
+  }
+
+  /**
+   * Count one generation against a daily limit; returns { allowed, used }
+   */
+  /**
+   * Add units to a subject's daily usage unless that would exceed limit
+   * Returns { allowed, used }; nothing is counted when not allowed
+   */
+  async reserveUsage(subject, day, units, limit) {
+    const reserved = await db.query(`
+      INSERT INTO usage_counters (subject, day, generations)
+      SELECT $1::varchar, $2::date, $3::integer
+      WHERE $3::integer <= $4::integer
+      ON CONFLICT (subject, day) DO UPDATE
+      SET generations = usage_counters.generations + EXCLUDED.generations
+      WHERE usage_counters.generations + EXCLUDED.generations <= $4
+      RETURNING generations
+    `, [subject, day, units, limit]);
+
+    if (reserved.rows[0]) {
+      return { allowed: true, used: reserved.rows[0].generations };
+    }
+
+    return { allowed: false, used: await this.getUsage(subject, day) };
+  }
+
+  async releaseUsage(subject, day, units) {
+    await db.query(`
+      UPDATE usage_counters
+      SET generations = GREATEST(generations - $3, 0)
+      WHERE subject = $1 AND day = $2
+    `, [subject, day, units]);
+  }
+
+  async getUsage(subject, day) {
+    const result = await db.query('SELECT generations FROM usage_counters WHERE subject = $1 AND day = $2', [subject, day]);
+    return result.rows[0]?.generations || 0;
+  }
+
+  // ============================================
+  // IDEMPOTENCY KEY OPERATIONS
+  // ============================================
+
+  /**
+   * Claim an idempotency key for a request (an expired claim is replaced)
+   * Returns { record, claimed }: claimed is false when the key is already held, and record is that claim
+   */
+  async claimIdempotencyKey({ scope, key, fingerprint, expiresAt }) {
+    await db.query(
+      'DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2 AND expires_at <= CURRENT_TIMESTAMP',
+      [scope, key]
+    );
+
+    const inserted = await db.query(`
+      INSERT INTO idempotency_keys (scope, key, fingerprint, expires_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (scope, key) DO NOTHING
+      RETURNING *
+    `, [scope, key, fingerprint, expiresAt]);
+    if (inserted.rows[0]) {
+      return { record: inserted.rows[0], claimed: true };
+    }
+
+    const existing = await db.query('SELECT * FROM idempotency_keys WHERE scope = $1 AND key = $2', [scope, key]);
+    return { record: existing.rows[0] || null, claimed: false };
+  }
+
+  async completeIdempotencyKey(scope, key, { responseStatus, responseHeaders, responseBody }) {
+    const query = `
+      UPDATE idempotency_keys
+      SET status = 'completed', response_status = $3, response_headers = $4, response_body = $5
+      WHERE scope = $1 AND key = $2
+      RETURNING *
+    `;
+    const values = [scope, key, responseStatus, JSON.stringify(responseHeaders || {}), JSON.stringify(responseBody)];
+    const result = await db.query(query, values);
+    return result.rows[0] || null;
+  }
+
+  async releaseIdempotencyKey(scope, key) {
+    await db.query('DELETE FROM idempotency_keys WHERE scope = $1 AND key = $2', [scope, key]);
+  }
+
+  // ============================================
+  // WEBHOOK DELIVERY OPERATIONS
+  // ============================================
+
+  async createWebhookDelivery(deliveryData) {
+    const query = `
+      INSERT INTO webhook_deliveries (id, user_id, event, url, payload, status)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const values = [
+      deliveryData.id,
+      deliveryData.userId || null,
+      deliveryData.event,
+      deliveryData.url,
+      JSON.stringify(deliveryData.payload || {}),
+      deliveryData.status || 'pending'
+    ];
+    const result = await db.query(query, values);
+    return result.rows[0];
+  }
+
+  /**
+   * updates use column names (status, attempts, last_status_code, last_error, next_attempt_at, delivered_at)
+   */
+  async updateWebhookDelivery(id, updates) {
+    const fields = Object.keys(updates).map((key, index) => `${key} = $${index + 1}`);
+    if (fields.length === 0) return null;
+
+    const query = `
+      UPDATE webhook_deliveries
+      SET ${fields.join(', ')}
+      WHERE id = $${fields.length + 1}
+      RETURNING *
+    `;
+    const result = await db.query(query, [...Object.values(updates), id]);
+    return result.rows[0] || null;
+  }
+
+  async getWebhookDelivery(id) {
+    const result = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Newest first; userId and status filter when given
+   */
+  async getWebhookDeliveries({ userId, status, limit = 50 } = {}) {
+    const query = `
+      SELECT * FROM webhook_deliveries
+      WHERE ($1::varchar IS NULL OR user_id = $1)
+        AND ($2::varchar IS NULL OR status = $2)
+      ORDER BY created_at DESC
+      LIMIT $3
+    `;
+    const result = await db.query(query, [userId || null, status || null, limit]);
+    return result.rows;
+  }
+
   // ============================================
   // HELPER METHODS
   // ============================================
@@ -311,10 +796,27 @@ class PostgresStorage {
     return await this.getTransactionsByWallet(user.wallet_address);
   }
 
+  async getUserCreditTransactions(userId) {
+    const query = `
+      SELECT * FROM transactions 
+      WHERE user_id = $1 AND type LIKE 'CREDIT_%'
+      ORDER BY created_at DESC
+    `;
+    const result = await db.query(query, [userId]);
+    return result.rows;
+  }
+
   async getUserGenerations(userId) {
     const user = await this.getUser(userId);
     if (!user) return [];
-    return await this.getGenerationsByWallet(user.wallet_address);
+
+    const query = `
+      SELECT * FROM generations
+      WHERE user_id = $1 OR wallet_address = $2
+      ORDER BY created_at DESC
+    `;
+    const result = await db.query(query, [userId, user.wallet_address]);
+    return result.rows;
   }
 
   // For backward compatibility (if needed)
@@ -331,7 +833,7 @@ class PostgresStorage {
 
   async clear() {
     // Careful! This deletes all data
-    await db.query('TRUNCATE users, wallets, transactions, generations, conversations, user_data CASCADE');
+    await db.query('TRUNCATE users, wallets, transactions, generations, conversations, conversation_threads, user_data, api_keys, idempotency_keys, webhook_deliveries, rate_limit_buckets, usage_counters CASCADE');
     console.log('⚠️  All data cleared from database');
   }
 }
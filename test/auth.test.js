@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/auth': require('../src/routes/auth.routes') });
+});
+
+after(() => app.close());
+
+test('register returns a session and rejects a taken username', async () => {
+  const created = await app.request('POST', '/api/auth/register', {
+    body: { username: 'alice', password: 'correct horse battery' }
+  });
+  assert.equal(created.status, 201);
+  assert.ok(created.body.data.token);
+  assert.equal(created.body.data.user.username, 'alice');
+  assert.equal(created.body.data.user.password_hash, undefined);
+
+  const taken = await app.request('POST', '/api/auth/register', {
+    body: { username: 'alice', password: 'another password' }
+  });
+  assert.equal(taken.status, 409);
+});
+
+test('register validates credentials', async () => {
+  const response = await app.request('POST', '/api/auth/register', {
+    body: { username: 'x', password: 'short' }
+  });
+  assert.equal(response.status, 400);
+});
+
+test('login checks the password and the token authenticates /me', async () => {
+  await signUp(app.request, 'bob');
+
+  const wrong = await app.request('POST', '/api/auth/login', {
+    body: { username: 'bob', password: 'wrong password' }
+  });
+  assert.equal(wrong.status, 401);
+
+  const login = await app.request('POST', '/api/auth/login', {
+    body: { username: 'bob', password: 'correct horse battery' }
+  });
+  assert.equal(login.status, 200);
+
+  const me = await app.request('GET', '/api/auth/me', { token: login.body.data.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.data.user.username, 'bob');
+
+  const anonymous = await app.request('GET', '/api/auth/me');
+  assert.equal(anonymous.status, 401);
+});
+
+test('register and login refuse passwords over the length limit', async () => {
+  const password = 'x'.repeat(257);
+
+  const register = await app.request('POST', '/api/auth/register', { body: { username: 'carol', password } });
+  assert.equal(register.status, 400);
+
+  await signUp(app.request, 'dave');
+  const login = await app.request('POST', '/api/auth/login', { body: { username: 'dave', password } });
+  assert.equal(login.status, 401);
+});
+
+test('API keys authenticate within their scopes and stop working once revoked', async () => {
+  const { token } = await signUp(app.request, 'carol');
+
+  const created = await app.request('POST', '/api/auth/keys', {
+    token,
+    body: { name: 'ci', scopes: ['generate'] }
+  });
+  assert.equal(created.status, 201);
+  const { key, apiKey } = created.body.data;
+
+  const me = await app.request('GET', '/api/auth/me', { token: key });
+  assert.equal(me.status, 200);
+  assert.deepEqual(me.body.data.scopes, ['generate']);
+
+  // Keys cannot manage keys
+  const nested = await app.request('GET', '/api/auth/keys', { token: key });
+  assert.equal(nested.status, 403);
+
+  const revoked = await app.request('DELETE', `/api/auth/keys/${apiKey.id}`, { token });
+  assert.equal(revoked.status, 200);
+
+  const after = await app.request('GET', '/api/auth/me', { token: key });
+  assert.equal(after.status, 401);
+});
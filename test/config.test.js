@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Load the config in a fresh process with the given environment
+ */
+function loadConfig(env) {
+  const script = `
+    const { config, validateConfig } = require(${JSON.stringify(path.join(__dirname, '..', 'src', 'config', 'env.config'))});
+    console.log(JSON.stringify({ generation: config.generation, errors: validateConfig().errors }));
+  `;
+  return JSON.parse(execFileSync(process.execPath, ['-e', script], {
+    env: { ...process.env, ...env },
+    encoding: 'utf8'
+  }));
+}
+
+test('GENERATION_MAX_FALLBACKS takes a non-negative integer', () => {
+  assert.equal(loadConfig({ GENERATION_MAX_FALLBACKS: '0' }).generation.maxFallbackAttempts, 0);
+  assert.equal(loadConfig({ GENERATION_MAX_FALLBACKS: '5' }).generation.maxFallbackAttempts, 5);
+  assert.equal(loadConfig({ GENERATION_MAX_FALLBACKS: '' }).generation.maxFallbackAttempts, 2);
+});
+
+test('an invalid GENERATION_MAX_FALLBACKS is reported and falls back to the default', () => {
+  for (const value of ['two', '-1', '1.5']) {
+    const { generation, errors } = loadConfig({ GENERATION_MAX_FALLBACKS: value });
+    assert.equal(generation.maxFallbackAttempts, 2);
+    assert.ok(errors.some(error => error.startsWith('GENERATION_MAX_FALLBACKS')), value);
+  }
+});
+
+test('AUTH_TOKEN_SECRET is required in production', () => {
+  assert.ok(loadConfig({ NODE_ENV: 'production', AUTH_TOKEN_SECRET: '' }).errors.includes('AUTH_TOKEN_SECRET is required in production'));
+  assert.ok(!loadConfig({ NODE_ENV: 'development', AUTH_TOKEN_SECRET: '' }).errors.some(error => error.startsWith('AUTH_TOKEN_SECRET')));
+  assert.ok(!loadConfig({ NODE_ENV: 'production', AUTH_TOKEN_SECRET: 'secret' }).errors.some(error => error.startsWith('AUTH_TOKEN_SECRET')));
+});
+
+test('WEBHOOK_SIGNING_SECRET is required unless webhooks are disabled', () => {
+  const missing = errors => errors.some(error => error.startsWith('WEBHOOK_SIGNING_SECRET'));
+  assert.ok(missing(loadConfig({ WEBHOOK_SIGNING_SECRET: '' }).errors));
+  assert.ok(!missing(loadConfig({ WEBHOOK_SIGNING_SECRET: '', WEBHOOKS_ENABLED: 'false' }).errors));
+  assert.ok(!missing(loadConfig({ WEBHOOK_SIGNING_SECRET: 'whsec_c2VjcmV0' }).errors));
+});
@@ -0,0 +1,176 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, payments, replicate, startApp, signUp } = require('./helpers');
+const creditsService = require('../src/services/credits.service');
+const modelFilter = require('../src/services/model-filter.service');
+const { executeGenerateImageFor } = require('../src/services/orchestrator.service');
+const { config } = require('../src/config/env.config');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/credits': require('../src/routes/credits.routes'),
+    '/api/agent': require('../src/routes/orchestrator.routes')
+  });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  replicate.fail = false;
+});
+
+function enableCredits(t) {
+  config.credits.enabled = true;
+  t.after(() => { config.credits.enabled = false; });
+}
+
+async function fund(userId, amountUsd, transaction) {
+  await creditsService.topUp({ userId, amountUsd, settlement: { transaction, network: 'solana-devnet' } });
+}
+
+async function ledgerOf(userId) {
+  return (await storage.getUserCreditTransactions(userId)).map(tx => tx.type).sort();
+}
+
+test('credits routes require authentication', async () => {
+  assert.equal((await app.request('GET', '/api/credits')).status, 401);
+  assert.equal((await app.request('POST', '/api/credits/topup', { body: { amountUsd: 5 } })).status, 401);
+});
+
+test('a settled top-up is credited to the caller, whatever userId is sent', async () => {
+  const other = await signUp(app.request, 'other');
+  const { token, user } = await signUp(app.request, 'buyer');
+
+  const unpaid = await app.request('POST', '/api/credits/topup', { token, body: { amountUsd: 5 } });
+  assert.equal(unpaid.status, 402);
+  assert.equal(unpaid.body.accepts[0].maxAmountRequired, '5');
+
+  const paid = await app.request('POST', '/api/credits/topup', {
+    token,
+    headers: { 'X-PAYMENT': 'valid' },
+    body: { amountUsd: 5, userId: other.user.id }
+  });
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.userId, user.id);
+  assert.equal(paid.body.balance, 5);
+  assert.equal(payments.settled.length, 1);
+
+  const credits = await app.request('GET', `/api/credits?userId=${other.user.id}`, { token });
+  assert.equal(credits.body.userId, user.id);
+  assert.equal(credits.body.balance, 5);
+  assert.deepEqual(credits.body.transactions.map(tx => tx.type), ['CREDIT_TOPUP']);
+
+  const otherCredits = await app.request('GET', '/api/credits', { token: other.token });
+  assert.equal(otherCredits.body.balance, 0);
+});
+
+test('an invalid payment is refused without settling', async () => {
+  const { token } = await signUp(app.request, 'refused');
+  const settled = payments.settled.length;
+
+  const response = await app.request('POST', '/api/credits/topup', {
+    token,
+    headers: { 'X-PAYMENT': 'forged' },
+    body: { amountUsd: 5 }
+  });
+  assert.equal(response.status, 402);
+  assert.equal(payments.settled.length, settled);
+});
+
+test('a settled top-up that fails to be credited is credited on retry without settling again', async () => {
+  const { token, user } = await signUp(app.request, 'retrier');
+  const settled = payments.settled.length;
+
+  const recordCreditTransaction = storage.recordCreditTransaction;
+  storage.recordCreditTransaction = async () => {
+    throw new Error('Database unavailable');
+  };
+  let failed;
+  try {
+    failed = await app.request('POST', '/api/credits/topup', {
+      token,
+      headers: { 'X-PAYMENT': 'valid-retried' },
+      body: { amountUsd: 3 }
+    });
+  } finally {
+    storage.recordCreditTransaction = recordCreditTransaction;
+  }
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.settlement.transaction, payments.settled.at(-1));
+  assert.equal(payments.settled.length, settled + 1);
+
+  const retried = await app.request('POST', '/api/credits/topup', {
+    token,
+    headers: { 'X-PAYMENT': 'valid-retried' },
+    body: { amountUsd: 3 }
+  });
+  assert.equal(retried.status, 200);
+  assert.equal(retried.body.balance, 3);
+  assert.equal(payments.settled.length, settled + 1);
+
+  const payment = (await storage.getAllTransactions())
+    .find(tx => tx.type === 'PAYMENT' && tx.userId === user.id);
+  assert.equal(payment.status, 'completed');
+  assert.equal(payment.signature, failed.body.settlement.transaction);
+});
+
+test('a payment cannot be reused for another top-up', async () => {
+  const { token } = await signUp(app.request, 'reuser');
+
+  const response = await app.request('POST', '/api/credits/topup', {
+    token,
+    headers: { 'X-PAYMENT': 'valid-retried' },
+    body: { amountUsd: 4 }
+  });
+  assert.equal(response.status, 409);
+});
+
+test('/api/agent/generate is charged to the caller and refunded when it fails', async (t) => {
+  enableCredits(t);
+  const { token, user } = await signUp(app.request, 'agent-payer');
+
+  assert.equal((await app.request('POST', '/api/agent/generate', { body: { prompt: 'a lighthouse' } })).status, 401);
+
+  const unfunded = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a lighthouse' } });
+  assert.equal(unfunded.status, 402);
+  assert.ok(unfunded.body.quote.priceUsd > 0);
+
+  await fund(user.id, 5, 'agent-payer-topup');
+  const generated = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a lighthouse' } });
+  assert.equal(generated.status, 200);
+  const run = await storage.getGeneration(generated.body.requestId);
+  assert.equal(run.metadata.billing.priceUsd, unfunded.body.quote.priceUsd);
+  const balance = await creditsService.getBalance(user.id);
+  assert.equal(balance, 5 - run.metadata.billing.priceUsd);
+
+  replicate.fail = true;
+  const failed = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a lighthouse at night' } });
+  assert.equal(failed.status, 500);
+  assert.equal(await creditsService.getBalance(user.id), balance);
+  assert.deepEqual(await ledgerOf(user.id), ['CREDIT_DEBIT', 'CREDIT_DEBIT', 'CREDIT_REFUND', 'CREDIT_TOPUP']);
+});
+
+test('generate-image tool calls from chat and MCP are charged and refunded when they fail', async (t) => {
+  enableCredits(t);
+  const { user } = await signUp(app.request, 'tool-payer');
+  const args = { modelId: modelFilter.loadModelSummaries()[0].id, prompt: 'a paper crane' };
+
+  await assert.rejects(executeGenerateImageFor({ user: null, ip: '127.0.0.1' }, args), { code: 'AUTH_REQUIRED' });
+  await assert.rejects(executeGenerateImageFor({ user }, args), { code: 'INSUFFICIENT_CREDITS' });
+
+  await fund(user.id, 5, 'tool-payer-topup');
+  const result = await executeGenerateImageFor({ user }, args);
+  assert.equal(result.success, true);
+  const charge = await storage.getGeneration(result.requestId);
+  assert.equal(charge.status, 'completed');
+  const balance = await creditsService.getBalance(user.id);
+  assert.equal(balance, 5 - charge.metadata.billing.priceUsd);
+
+  replicate.fail = true;
+  await assert.rejects(executeGenerateImageFor({ user }, args));
+  assert.equal(await creditsService.getBalance(user.id), balance);
+  assert.deepEqual(await ledgerOf(user.id), ['CREDIT_DEBIT', 'CREDIT_DEBIT', 'CREDIT_REFUND', 'CREDIT_TOPUP']);
+});
@@ -0,0 +1,141 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { replicate, startApp, signUp } = require('./helpers');
+const assets = require('../src/assets');
+const { config } = require('../src/config/env.config');
+const imageGenerationService = require('../src/services/image-generation.service');
+
+// A 1x1 PNG; generated images are stored as this asset, served from the (unreachable) localhost base URL
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+const PNG_DATA_URI = `data:image/png;base64,${PNG.toString('base64')}`;
+
+imageGenerationService.persistOutput = async () => await assets.putBuffer(PNG);
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/agent': require('../src/routes/orchestrator.routes'),
+    '/api/generations': require('../src/routes/generations.routes'),
+    '/api/usage': require('../src/routes/usage.routes')
+  });
+});
+
+after(() => app.close());
+
+test('runs are recorded for their user and filtered by the model that was chosen', async () => {
+  const { token } = await signUp(app.request, 'historian');
+
+  const generated = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a paper crane' } });
+  assert.equal(generated.status, 200);
+  const model = generated.body.modelUsed.id;
+
+  const all = await app.request('GET', '/api/generations', { token });
+  assert.equal(all.status, 200);
+  assert.equal(all.body.generations.length, 1);
+  assert.equal(all.body.generations[0].id, generated.body.requestId);
+  assert.equal(all.body.generations[0].model, model);
+
+  const byModel = await app.request('GET', `/api/generations?model=${encodeURIComponent(model)}`, { token });
+  assert.deepEqual(byModel.body.generations.map(generation => generation.id), [generated.body.requestId]);
+
+  const otherModel = await app.request('GET', '/api/generations?model=no-such-model', { token });
+  assert.equal(otherModel.body.generations.length, 0);
+
+  const byPrompt = await app.request('GET', '/api/generations?q=CRANE', { token });
+  assert.equal(byPrompt.body.generations.length, 1);
+});
+
+test('a run is only visible to its owner', async () => {
+  const owner = await signUp(app.request, 'owner');
+  const stranger = await signUp(app.request, 'stranger');
+
+  const generated = await app.request('POST', '/api/agent/generate', { token: owner.token, body: { prompt: 'a locked box' } });
+  const id = generated.body.requestId;
+
+  const own = await app.request('GET', `/api/generations/${id}`, { token: owner.token });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.generation.images.length, 1);
+
+  assert.equal((await app.request('GET', `/api/generations/${id}`, { token: stranger.token })).status, 404);
+  assert.equal((await app.request('DELETE', `/api/generations/${id}`, { token: stranger.token })).status, 404);
+  assert.equal((await app.request('GET', '/api/generations', { token: stranger.token })).body.generations.length, 0);
+});
+
+test('remix sends the stored image bytes instead of its asset URL', async () => {
+  const { token } = await signUp(app.request, 'remixer');
+
+  const generated = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a teapot' } });
+  assert.ok(generated.body.imageUrl.startsWith(config.assets.publicBaseUrl));
+
+  const remixed = await app.request('POST', `/api/generations/${generated.body.requestId}/remix`, {
+    token,
+    body: { instruction: 'make it blue' }
+  });
+  assert.equal(remixed.status, 200);
+  assert.deepEqual(remixed.body.parent, { id: generated.body.requestId, relation: 'remix' });
+
+  const input = JSON.stringify(replicate.inputs.at(-1));
+  assert.ok(input.includes(PNG_DATA_URI));
+  assert.ok(!input.includes(config.assets.publicBaseUrl));
+
+  // The remix records the asset URL, not the inlined bytes
+  const record = await app.request('GET', `/api/generations/${remixed.body.requestId}`, { token });
+  assert.deepEqual(record.body.generation.metadata.replay.referenceImages, [generated.body.imageUrl]);
+});
+
+test('remix takes imageIndex as an integer only', async () => {
+  const { token } = await signUp(app.request, 'indexer');
+  const generated = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a kite' } });
+
+  for (const imageIndex of ['0', 1.5, -1]) {
+    const response = await app.request('POST', `/api/generations/${generated.body.requestId}/remix`, {
+      token,
+      body: { instruction: 'at night', imageIndex }
+    });
+    assert.equal(response.status, 400, `imageIndex ${JSON.stringify(imageIndex)}`);
+  }
+
+  const outOfRange = await app.request('POST', `/api/generations/${generated.body.requestId}/remix`, {
+    token,
+    body: { instruction: 'at night', imageIndex: 1 }
+  });
+  assert.equal(outOfRange.status, 400);
+});
+
+test('rerun and remix count against the quota only once the source is usable', async () => {
+  const owner = await signUp(app.request, 'quota-owner');
+  const stranger = await signUp(app.request, 'quota-stranger');
+  const used = async (token) => (await app.request('GET', '/api/usage', { token })).body.usage.quota.used;
+
+  const generated = await app.request('POST', '/api/agent/generate', { token: owner.token, body: { prompt: 'a lantern', count: 2 } });
+  const id = generated.body.requestId;
+  assert.equal(await used(owner.token), 2);
+
+  const notOwned = await app.request('POST', `/api/generations/${id}/rerun`, { token: stranger.token, body: {} });
+  assert.equal(notOwned.status, 404);
+  const notFound = await app.request('POST', '/api/generations/no-such-run/remix', {
+    token: stranger.token,
+    body: { instruction: 'in the rain' }
+  });
+  assert.equal(notFound.status, 404);
+  assert.equal(await used(stranger.token), 0);
+
+  // A rerun makes as many images as the run it repeats
+  const rerun = await app.request('POST', `/api/generations/${id}/rerun`, { token: owner.token, body: {} });
+  assert.equal(rerun.status, 200);
+  assert.deepEqual(rerun.body.parent, { id, relation: 'rerun' });
+  assert.equal(await used(owner.token), 4);
+});
+
+test('reference images must be URLs or image data URIs, and only images are stored as assets', async () => {
+  const html = `data:text/html;base64,${Buffer.from('<script>alert(1)</script>').toString('base64')}`;
+
+  const generated = await app.request('POST', '/api/agent/generate', { body: { prompt: 'a page', referenceImages: [html] } });
+  assert.equal(generated.status, 400);
+  assert.match(generated.body.error, /referenceImages/);
+
+  await assert.rejects(assets.putBuffer(Buffer.from('<script>alert(1)</script>')), /not a PNG/);
+  assert.equal((await assets.putBuffer(PNG)).contentType, 'image/png');
+});
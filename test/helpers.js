@@ -0,0 +1,155 @@
+/**
+ * Test helpers
+ * Routes run in-process on memory storage with the fake LLM provider; Replicate, the model
+ * catalog and the x402 facilitator are replaced by local stand-ins
+ *
+ * Require this module before anything from src: the config is read once, at load
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.USE_MEMORY_STORAGE = 'true';
+process.env.LLM_PROVIDER = 'fake';
+process.env.REPLICATE_API_TOKEN = 'test-token';
+process.env.REPLICATE_POLL_INTERVAL_MS = '5';
+process.env.AUTH_TOKEN_SECRET = 'test-secret';
+process.env.WEBHOOK_SIGNING_SECRET = 'test-webhook-secret';
+process.env.X402_SOLANA_RECEIVING_ADDRESS = 'PayToAddress1111111111111111111111111111111';
+process.env.ASSET_DIR = path.join(os.tmpdir(), `lana-test-assets-${process.pid}`);
+
+process.on('exit', () => fs.rmSync(process.env.ASSET_DIR, { recursive: true, force: true }));
+
+const express = require('express');
+const storage = require('../src/storage');
+const modelFilter = require('../src/services/model-filter.service');
+const replicateModelsService = require('../src/services/replicate-models.service');
+const imageGenerationService = require('../src/services/image-generation.service');
+const paymentService = require('../src/services/payment.service');
+
+// ============================================
+// STAND-INS
+// ============================================
+
+const models = Object.fromEntries(modelFilter.loadModelSummaries().map(model => [model.id, model]));
+replicateModelsService.getModelById = async (id) => models[id] || null;
+
+// Generated images are not downloaded into the asset store
+imageGenerationService.persistOutput = async () => null;
+
+// Replicate predictions succeed at once; every prediction id and input is kept for assertions
+const replicate = {
+  ids: [],
+  inputs: [],
+  fail: false
+};
+let predictionCount = 0;
+imageGenerationService.replicate.predictions = {
+  create: async ({ input }) => {
+    predictionCount++;
+    const id = `prediction-${predictionCount}`;
+    replicate.ids.push(id);
+    replicate.inputs.push(input);
+    return { id, status: 'starting' };
+  },
+  get: async (id) => replicate.fail
+    ? { id, status: 'failed', error: 'Stand-in failure' }
+    : { id, status: 'succeeded', output: [`https://replicate.test/${id}.png`] },
+  cancel: async (id) => ({ id, status: 'canceled' })
+};
+
+// x402: headers starting with "valid" verify and settle, anything else is refused
+const payments = { settled: [] };
+paymentService.preparePayment = async ({ priceUsd, resource }) => [{
+  scheme: 'exact',
+  network: 'solana-devnet',
+  maxAmountRequired: String(priceUsd),
+  resource
+}];
+paymentService.verifyPayment = async (header) => {
+  if (!header.startsWith('valid')) throw new Error('Invalid payment');
+  return { verification: { isValid: true, payer: 'PayerAddress' } };
+};
+paymentService.settleOnlyPayment = async () => {
+  const transaction = `settlement-${payments.settled.length + 1}`;
+  payments.settled.push(transaction);
+  const raw = { success: true, transaction, network: 'solana-devnet', payer: 'PayerAddress' };
+  return { success: true, settlement: { ...raw, raw } };
+};
+
+// ============================================
+// SERVER
+// ============================================
+
+/**
+ * Start an app with the given routers ({ '/api/auth': router, ... }) on a random port
+ * Returns { request, close }; request(method, path, { body, headers, token }) resolves to
+ * { status, headers, body }
+ */
+async function startApp(routes) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, headers = {}, token } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null
+    };
+  }
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Register an account and return { token, user }
+ */
+async function signUp(request, username, password = 'correct horse battery') {
+  const response = await request('POST', '/api/auth/register', { body: { username, password } });
+  return response.body.data;
+}
+
+/**
+ * Wait until check() returns a truthy value
+ */
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+module.exports = {
+  storage,
+  replicate,
+  payments,
+  startApp,
+  signUp,
+  waitFor
+};
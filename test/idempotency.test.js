@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp, waitFor } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/jobs': require('../src/routes/jobs.routes')
+  });
+});
+
+after(() => app.close());
+
+test('a retried key replays the first response instead of starting another job', async () => {
+  const { token } = await signUp(app.request, 'retrying');
+  const headers = { 'Idempotency-Key': 'retry-key' };
+
+  const first = await app.request('POST', '/api/jobs', { token, headers, body: { prompt: 'a lighthouse' } });
+  assert.equal(first.status, 202);
+
+  const retry = await app.request('POST', '/api/jobs', { token, headers, body: { prompt: 'a lighthouse' } });
+  assert.equal(retry.status, 202);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.equal(retry.body.jobId, first.body.jobId);
+
+  const conflict = await app.request('POST', '/api/jobs', { token, headers, body: { prompt: 'a windmill' } });
+  assert.equal(conflict.status, 409);
+
+  await waitFor(async () => {
+    const { body } = await app.request('GET', `/api/jobs/${first.body.jobId}`, { token });
+    return body.job.status === 'completed';
+  });
+});
+
+test('the same key and body from two users start two jobs', async () => {
+  const alice = await signUp(app.request, 'alice');
+  const bob = await signUp(app.request, 'bob');
+  const request = { headers: { 'Idempotency-Key': 'shared-key' }, body: { prompt: 'a harbour at dusk' } };
+
+  const first = await app.request('POST', '/api/jobs', { ...request, token: alice.token });
+  const second = await app.request('POST', '/api/jobs', { ...request, token: bob.token });
+  assert.equal(first.status, 202);
+  assert.equal(second.status, 202);
+  assert.equal(second.headers.get('idempotent-replayed'), null);
+  assert.notEqual(second.body.jobId, first.body.jobId);
+
+  for (const [{ token }, { body }] of [[alice, first], [bob, second]]) {
+    await waitFor(async () => {
+      const response = await app.request('GET', `/api/jobs/${body.jobId}`, { token });
+      return response.body.job.status === 'completed';
+    });
+  }
+});
@@ -0,0 +1,122 @@
+process.env.CREDITS_ENABLED = 'true';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, replicate, startApp, signUp, waitFor } = require('./helpers');
+const creditsService = require('../src/services/credits.service');
+const { config } = require('../src/config/env.config');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/jobs': require('../src/routes/jobs.routes'),
+    '/api/generations': require('../src/routes/generations.routes')
+  });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  replicate.fail = false;
+});
+
+async function fund(userId, amountUsd, transaction) {
+  await creditsService.topUp({ userId, amountUsd, settlement: { transaction, network: 'solana-devnet' } });
+}
+
+async function waitForJob(jobId, token) {
+  return waitFor(async () => {
+    const { body } = await app.request('GET', `/api/jobs/${jobId}`, { token });
+    return ['completed', 'failed', 'canceled'].includes(body.job?.status) && body.job;
+  });
+}
+
+test('billed jobs require authentication', async () => {
+  const response = await app.request('POST', '/api/jobs', { body: { prompt: 'a red fox' } });
+  assert.equal(response.status, 401);
+});
+
+test('billed jobs ignore a userId in the body and charge the caller', async () => {
+  const victim = await signUp(app.request, 'victim');
+  await fund(victim.user.id, 5, 'victim-topup');
+  const caller = await signUp(app.request, 'caller');
+
+  const response = await app.request('POST', '/api/jobs', {
+    token: caller.token,
+    body: { prompt: 'a red fox', userId: victim.user.id }
+  });
+  assert.equal(response.status, 402);
+  assert.equal(await creditsService.getBalance(victim.user.id), 5);
+});
+
+test('a job is debited, recorded and refunded under the same user', async () => {
+  const { token, user } = await signUp(app.request, 'payer');
+  await fund(user.id, 5, 'payer-topup');
+
+  const completed = await app.request('POST', '/api/jobs', { token, body: { prompt: 'a red fox' } });
+  assert.equal(completed.status, 202);
+  const job = await waitForJob(completed.body.jobId, token);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.userId, user.id);
+
+  const priceUsd = completed.body.billing.priceUsd;
+  assert.equal(await creditsService.getBalance(user.id), 5 - priceUsd);
+
+  const history = await app.request('GET', '/api/generations', { token });
+  assert.ok(history.body.generations.some(generation => generation.id === completed.body.jobId));
+
+  replicate.fail = true;
+  const failed = await app.request('POST', '/api/jobs', { token, body: { prompt: 'a blue fox' } });
+  assert.equal(failed.status, 202);
+  assert.equal((await waitForJob(failed.body.jobId, token)).status, 'failed');
+
+  const ledger = (await storage.getUserCreditTransactions(user.id)).map(tx => tx.type);
+  assert.deepEqual(ledger.sort(), ['CREDIT_DEBIT', 'CREDIT_DEBIT', 'CREDIT_REFUND', 'CREDIT_TOPUP']);
+  assert.equal(await creditsService.getBalance(user.id), 5 - priceUsd);
+});
+
+test('a job can only be read, streamed and canceled by its owner', async () => {
+  const owner = await signUp(app.request, 'job-owner');
+  const stranger = await signUp(app.request, 'job-stranger');
+  await fund(owner.user.id, 5, 'job-owner-topup');
+
+  const created = await app.request('POST', '/api/jobs', { token: owner.token, body: { prompt: 'a sealed letter' } });
+  const { jobId } = created.body;
+
+  for (const credentials of [{ token: stranger.token }, {}]) {
+    assert.equal((await app.request('GET', `/api/jobs/${jobId}`, credentials)).status, 404);
+    assert.equal((await app.request('GET', `/api/jobs/${jobId}/events`, credentials)).status, 404);
+    assert.equal((await app.request('POST', `/api/jobs/${jobId}/cancel`, credentials)).status, 404);
+  }
+
+  assert.equal((await waitForJob(jobId, owner.token)).status, 'completed');
+});
+
+test('an anonymous job is only readable with its access token', async (t) => {
+  config.credits.enabled = false;
+  t.after(() => { config.credits.enabled = true; });
+
+  const created = await app.request('POST', '/api/jobs', { body: { prompt: 'an unsigned note' } });
+  assert.equal(created.status, 202);
+  const { jobId, accessToken } = created.body;
+  assert.ok(accessToken);
+  assert.equal(created.body.statusUrl, `/api/jobs/${jobId}?token=${accessToken}`);
+
+  const stranger = await signUp(app.request, 'anonymous-stranger');
+  for (const credentials of [{}, { headers: { 'X-Job-Token': 'wrong' } }, { token: stranger.token }]) {
+    assert.equal((await app.request('GET', `/api/jobs/${jobId}`, credentials)).status, 404);
+    assert.equal((await app.request('GET', `/api/jobs/${jobId}/events`, credentials)).status, 404);
+    assert.equal((await app.request('POST', `/api/jobs/${jobId}/cancel`, credentials)).status, 404);
+  }
+
+  const job = await waitFor(async () => {
+    const { body } = await app.request('GET', `/api/jobs/${jobId}`, { headers: { 'X-Job-Token': accessToken } });
+    return body.job?.status === 'completed' && body.job;
+  });
+  assert.equal(job.userId, null);
+
+  const byQuery = await app.request('GET', created.body.statusUrl);
+  assert.equal(byQuery.body.job.status, 'completed');
+});
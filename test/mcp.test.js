@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage } = require('./helpers');
+const rateLimitService = require('../src/services/rate-limit.service');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { createAgentServer } = require('../src/mcp/agent-server');
+
+/**
+ * Connect a client to a new agent server created with the given options
+ */
+async function connect(options) {
+  const server = createAgentServer(options);
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  return client;
+}
+
+test('a generation resource is only readable by its user', async () => {
+  await storage.createGeneration({
+    jobId: 'resource-run',
+    userId: 'resource-owner',
+    prompt: 'a private sketch',
+    modelName: 'auto',
+    status: 'completed',
+    metadata: { type: 'orchestrated' }
+  });
+  const uri = 'lana://generations/resource-run';
+
+  const owner = await connect({ userId: 'resource-owner' });
+  const { contents } = await owner.readResource({ uri });
+  assert.equal(JSON.parse(contents[0].text).prompt, 'a private sketch');
+
+  for (const options of [{}, { userId: 'someone-else' }]) {
+    const client = await connect(options);
+    await assert.rejects(client.readResource({ uri }), /not found/);
+    await client.close();
+  }
+
+  const local = await connect({ allGenerations: true });
+  assert.equal((await local.readResource({ uri })).contents.length, 1);
+
+  await owner.close();
+  await local.close();
+});
+
+test('generate tools run for the session\'s caller and count against their quota', async () => {
+  const user = await storage.createUser({ id: 'mcp-caller', username: 'mcp-caller', balance: 0 });
+  const client = await connect({ userId: user.id, caller: { user, auth: null, ip: '127.0.0.1' } });
+
+  const result = await client.callTool({
+    name: 'orchestrated-generate',
+    arguments: { prompt: 'a tin robot', count: 2 }
+  });
+  assert.equal(result.isError, undefined, result.content[0].text);
+
+  const usage = await rateLimitService.getUsage({ user });
+  assert.equal(usage.subject, 'user:mcp-caller');
+  assert.equal(usage.quota.used, 2);
+
+  const run = await storage.getGeneration(result.structuredContent.requestId);
+  assert.equal(run.userId, user.id);
+
+  await client.close();
+});
@@ -0,0 +1,124 @@
+process.env.QUOTA_FREE_DAILY = '5';
+process.env.RATE_LIMIT_GENERATE_BURST = '100';
+process.env.RATE_LIMIT_QUOTE_BURST = '3';
+process.env.RATE_LIMIT_QUOTE_PER_MINUTE = '1';
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { replicate, startApp, signUp, waitFor } = require('./helpers');
+const fakeProvider = require('../src/llm/fake.provider');
+const modelFilter = require('../src/services/model-filter.service');
+const pricingService = require('../src/services/pricing.service');
+const { executeGenerateImageFor } = require('../src/services/orchestrator.service');
+const { config } = require('../src/config/env.config');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/agent': require('../src/routes/orchestrator.routes'),
+    '/api/jobs': require('../src/routes/jobs.routes'),
+    '/api/usage': require('../src/routes/usage.routes')
+  });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  replicate.fail = false;
+  fakeProvider.reset();
+});
+
+async function used(token) {
+  const { body } = await app.request('GET', '/api/usage', { token });
+  return body.usage.quota.used;
+}
+
+test('a generation counts its images against the quota', async () => {
+  const { token } = await signUp(app.request, 'counted');
+
+  const response = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'three pears', count: 3 } });
+  assert.equal(response.status, 200);
+  assert.equal(await used(token), 3);
+
+  const over = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'three plums', count: 3 } });
+  assert.equal(over.status, 429);
+  assert.ok(Number(over.headers.get('retry-after')) > 0);
+  assert.equal(await used(token), 3);
+
+  const fits = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'two plums', count: 2 } });
+  assert.equal(fits.status, 200);
+  assert.equal(await used(token), 5);
+});
+
+test('rejected and failed generations give their units back', async () => {
+  const { token } = await signUp(app.request, 'refunded');
+
+  const invalid = await app.request('POST', '/api/agent/generate', { token, body: { prompt: '', count: 2 } });
+  assert.equal(invalid.status, 400);
+
+  fakeProvider.script('safety', [{
+    text: JSON.stringify({ safe: false, reason: 'Not allowed', category: 'violence', confidence: 1 })
+  }]);
+  const unsafe = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'something unsafe' } });
+  assert.equal(unsafe.status, 400);
+  assert.equal(unsafe.body.safetyCheck.safe, false);
+
+  replicate.fail = true;
+  const failed = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'a failing prompt' } });
+  assert.equal(failed.status, 500);
+
+  assert.equal(await used(token), 0);
+});
+
+test('a job that fails gives its units back', async () => {
+  const { token } = await signUp(app.request, 'jobs');
+
+  replicate.fail = true;
+  const response = await app.request('POST', '/api/jobs', { token, body: { prompt: 'a failing job', count: 2 } });
+  assert.equal(response.status, 202);
+  assert.equal(await used(token), 2);
+
+  await waitFor(async () => {
+    const { body } = await app.request('GET', `/api/jobs/${response.body.jobId}`, { token });
+    return body.job.status === 'failed';
+  });
+  assert.equal(await used(token), 0);
+});
+
+test('generate-image tool calls from chat and MCP count against the same quota', async () => {
+  const { token, user } = await signUp(app.request, 'tool-counted');
+  const args = { modelId: modelFilter.loadModelSummaries()[0].id, prompt: 'three kites', count: 3 };
+
+  assert.equal((await executeGenerateImageFor({ user }, args)).success, true);
+  assert.equal(await used(token), 3);
+
+  await assert.rejects(executeGenerateImageFor({ user }, args), { code: 'RATE_LIMITED' });
+  assert.equal(await used(token), 3);
+
+  replicate.fail = true;
+  await assert.rejects(executeGenerateImageFor({ user }, { ...args, count: 2 }));
+  assert.equal(await used(token), 3);
+});
+
+test('quotes are rate limited and only a bounded number is kept', async (t) => {
+  const maxOpenQuotes = config.pricing.maxOpenQuotes;
+  config.pricing.maxOpenQuotes = 2;
+  t.after(() => { config.pricing.maxOpenQuotes = maxOpenQuotes; });
+
+  const modelId = modelFilter.loadModelSummaries()[0].id;
+  const quotes = [];
+  for (let i = 0; i < 3; i++) {
+    const response = await app.request('POST', '/api/agent/quote', { body: { prompt: `a kite ${i}`, modelId } });
+    assert.equal(response.status, 200);
+    quotes.push(response.body.quote.id);
+  }
+
+  const limited = await app.request('POST', '/api/agent/quote', { body: { prompt: 'a kite', modelId } });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  assert.equal(pricingService.getQuote(quotes[0]), null);
+  assert.ok(pricingService.getQuote(quotes[2]));
+});
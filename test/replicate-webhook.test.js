@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, replicate, startApp, signUp } = require('./helpers');
+const replicateWebhookService = require('../src/services/replicate-webhook.service');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/agent': require('../src/routes/orchestrator.routes'),
+    '/api/generations': require('../src/routes/generations.routes')
+  });
+});
+
+after(() => app.close());
+
+test('every prediction of a run is linked and updates keep the pipeline metadata', async () => {
+  const { token } = await signUp(app.request, 'webhooked');
+  const before = replicate.ids.length;
+
+  // One prediction per image: the stand-in returns a single output per prediction
+  const generated = await app.request('POST', '/api/agent/generate', { token, body: { prompt: 'two owls', count: 2 } });
+  assert.equal(generated.status, 200);
+  const runId = generated.body.requestId;
+  const predictionIds = replicate.ids.slice(before);
+  assert.equal(predictionIds.length, 2);
+
+  for (const id of predictionIds) {
+    const generation = await replicateWebhookService.handlePrediction({
+      id,
+      status: 'succeeded',
+      model: 'stand-in/model',
+      output: [`https://replicate.test/${id}.png`],
+      metrics: { predict_time: 1.5 }
+    });
+    assert.equal(generation?.jobId, runId);
+  }
+
+  const run = await storage.getGeneration(runId);
+  assert.equal(run.status, 'completed');
+  assert.equal(run.metadata.prediction.id, predictionIds.at(-1));
+  assert.ok(run.metadata.refinedData);
+  assert.ok(run.metadata.replay);
+  assert.equal(run.metadata.images.length, 2);
+});
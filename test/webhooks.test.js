@@ -0,0 +1,89 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { storage, startApp, signUp, waitFor } = require('./helpers');
+const { config } = require('../src/config/env.config');
+const webhookService = require('../src/services/webhook.service');
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    '/api/auth': require('../src/routes/auth.routes'),
+    '/api/agent': require('../src/routes/orchestrator.routes'),
+    '/api/webhooks': require('../src/routes/webhooks.routes')
+  });
+});
+
+after(() => app.close());
+
+test('the delivery log requires authentication and shows each user only their deliveries', async () => {
+  const owner = await signUp(app.request, 'hook-owner');
+  const stranger = await signUp(app.request, 'hook-stranger');
+
+  const delivery = await webhookService.dispatch(webhookService.events.succeeded, 'http://127.0.0.1:9/hook', { prompt: 'secret' }, owner.user.id);
+  await webhookService.dispatch(webhookService.events.started, 'http://127.0.0.1:9/hook', { prompt: 'anonymous' });
+
+  assert.equal((await app.request('GET', '/api/webhooks/deliveries')).status, 401);
+  assert.equal((await app.request('GET', `/api/webhooks/deliveries/${delivery.id}`)).status, 401);
+  assert.equal((await app.request('POST', `/api/webhooks/deliveries/${delivery.id}/redeliver`)).status, 401);
+
+  const own = await app.request('GET', '/api/webhooks/deliveries', { token: owner.token });
+  assert.deepEqual(own.body.deliveries.map(({ id }) => id), [delivery.id]);
+  assert.equal((await app.request('GET', `/api/webhooks/deliveries/${delivery.id}`, { token: owner.token })).status, 200);
+
+  const others = await app.request('GET', '/api/webhooks/deliveries', { token: stranger.token });
+  assert.equal(others.body.deliveries.length, 0);
+  assert.equal((await app.request('GET', `/api/webhooks/deliveries/${delivery.id}`, { token: stranger.token })).status, 404);
+  assert.equal((await app.request('POST', `/api/webhooks/deliveries/${delivery.id}/redeliver`, { token: stranger.token })).status, 404);
+});
+
+test('without a signing secret webhook URLs are refused and nothing is sent', async (t) => {
+  const secret = config.webhooks.secret;
+  config.webhooks.secret = undefined;
+  t.after(() => { config.webhooks.secret = secret; });
+
+  assert.equal(webhookService.isEnabled(), false);
+  assert.throws(() => webhookService.sign('whd_1', 0, '{}'), /WEBHOOK_SIGNING_SECRET/);
+
+  const generate = await app.request('POST', '/api/agent/generate', {
+    body: { prompt: 'a bell', successWebhookUrl: 'https://example.com/hook' }
+  });
+  assert.equal(generate.status, 400);
+  assert.match(generate.body.error, /Webhooks are disabled/);
+
+  const delivery = await webhookService.dispatch(webhookService.events.started, 'https://example.com/hook', {});
+  const stored = await waitFor(async () => {
+    const row = await storage.getWebhookDelivery(delivery.id);
+    return row.status !== 'pending' && row;
+  });
+  assert.equal(stored.status, 'failed');
+  assert.equal(stored.last_status_code, null);
+});
+
+test('a delivery connects to the address that passed the target check', async (t) => {
+  const received = [];
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ host: req.headers.host, signature: req.headers['webhook-signature'], body });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  t.after(() => receiver.close());
+
+  // Nothing resolves this host to the receiver: only the pinned address reaches it
+  const url = `http://rebinding.invalid:${receiver.address().port}/hook`;
+  const response = await webhookService.send(
+    { id: 'whd_pinned', event: webhookService.events.succeeded, url, payload: { ok: true } },
+    { address: '127.0.0.1', family: 4 }
+  );
+
+  assert.equal(response.status, 200);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].host, `rebinding.invalid:${receiver.address().port}`);
+  assert.match(received[0].signature, /^v1,/);
+  assert.deepEqual(JSON.parse(received[0].body), { ok: true });
+});